@@ -0,0 +1,225 @@
+/**
+ * Achievements - Badges unlocked by gameplay
+ * Installs as a kitchen plugin and watches the game event bus. Unlocks and
+ * progress towards counted badges are saved in localStorage. Replays never
+ * unlock anything.
+ */
+
+class Achievements extends EventEmitter {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        super();
+        this.storage = storage;
+        this.definitions = Achievements.DEFINITIONS;
+        this.kitchen = null;
+        this.unlocked = {}; // achievement id -> ISO date unlocked
+        this.progress = {}; // achievement id -> count so far, for counted badges
+        this.session = Achievements.createSession(); // Facts about the current game
+
+        this.load();
+    }
+
+    // Plugin entry point: check every game event against the badges
+    install(events, kitchen) {
+        this.kitchen = kitchen;
+        const unsubscribe = events.on('*', (event) => this.handleEvent(event));
+
+        return () => {
+            unsubscribe();
+            this.kitchen = null;
+        };
+    }
+
+    handleEvent({ type, ...payload }) {
+        if (this.kitchen && this.kitchen.replay) return;
+
+        if (type === 'game:started' && !payload.resumed) {
+            this.session = Achievements.createSession();
+        } else if (type === 'order:expired') {
+            this.session.expiredOrders++;
+        }
+
+        for (const definition of this.definitions) {
+            if (definition.event !== type || this.isUnlocked(definition.id)) continue;
+            if (definition.filter && !definition.filter(payload, this.session)) continue;
+
+            if (definition.count) {
+                this.progress[definition.id] = (this.progress[definition.id] || 0) + 1;
+                if (this.progress[definition.id] < definition.count) {
+                    this.save();
+                    continue;
+                }
+            }
+
+            this.unlock(definition.id);
+        }
+    }
+
+    unlock(achievementId) {
+        const definition = this.getDefinition(achievementId);
+        if (!definition || this.isUnlocked(achievementId)) return false;
+
+        this.unlocked[achievementId] = new Date().toISOString();
+        this.save();
+
+        console.log(`Achievement unlocked: ${definition.name}`);
+        this.emit('unlocked', { achievement: this.describe(definition) });
+        return true;
+    }
+
+    isUnlocked(achievementId) {
+        return achievementId in this.unlocked;
+    }
+
+    getDefinition(achievementId) {
+        return this.definitions.find(definition => definition.id === achievementId);
+    }
+
+    // A badge as shown to the player
+    describe(definition) {
+        return {
+            id: definition.id,
+            name: definition.name,
+            description: definition.description,
+            icon: definition.icon,
+            unlocked: this.isUnlocked(definition.id),
+            unlockedAt: this.unlocked[definition.id] || null,
+            progress: Math.min(this.progress[definition.id] || 0, definition.count || 1),
+            count: definition.count || null
+        };
+    }
+
+    getAll() {
+        return this.definitions.map(definition => this.describe(definition));
+    }
+
+    getUnlockedCount() {
+        return this.definitions.filter(definition => this.isUnlocked(definition.id)).length;
+    }
+
+    // Forget every unlock and all progress
+    reset() {
+        this.unlocked = {};
+        this.progress = {};
+        this.save();
+    }
+
+    // Facts about the current game, for saving with the shift
+    getShiftState() {
+        return { ...this.session };
+    }
+
+    restoreShiftState(state) {
+        this.session = { ...Achievements.createSession(), ...state };
+    }
+
+    static createSession() {
+        return { expiredOrders: 0 };
+    }
+
+    // Save unlocks and progress to localStorage
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(Achievements.STORAGE_KEY, JSON.stringify({
+                unlocked: this.unlocked,
+                progress: this.progress
+            }));
+        } catch (error) {
+            console.warn('Could not save achievements:', error);
+        }
+    }
+
+    // Load unlocks and progress from localStorage
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(Achievements.STORAGE_KEY));
+            if (!saved) return;
+
+            this.unlocked = saved.unlocked || {};
+            this.progress = saved.progress || {};
+        } catch (error) {
+            console.warn('Could not load achievements:', error);
+        }
+    }
+}
+
+Achievements.STORAGE_KEY = 'cookTap.achievements';
+Achievements.SHIFT_STATE_KEY = 'achievements';
+
+// A badge unlocks on its `event` when `filter(payload, session)` passes (or every time, without one).
+// Badges with a `count` need that many passing events, across games.
+Achievements.DEFINITIONS = [
+    {
+        id: 'first_order',
+        name: 'Open for Business',
+        description: 'Serve your first order',
+        icon: '🛎️',
+        event: 'order:completed',
+        filter: ({ rating }) => rating !== 'bad'
+    },
+    {
+        id: 'perfect_burgers',
+        name: 'Burger Royalty',
+        description: 'Serve 10 perfect burgers',
+        icon: '🍔',
+        event: 'order:itemServed',
+        count: 10,
+        filter: ({ item }) => item.dishId === 'classic_burger' && item.rating === 'perfect'
+    },
+    {
+        id: 'perfect_50',
+        name: 'Five Stars',
+        description: 'Serve 50 perfect dishes',
+        icon: '⭐',
+        event: 'order:itemServed',
+        count: 50,
+        filter: ({ item }) => item.rating === 'perfect'
+    },
+    {
+        id: 'the_works',
+        name: 'The Works',
+        description: 'Serve a dish with every optional ingredient',
+        icon: '🥗',
+        event: 'order:itemServed',
+        filter: ({ item }) => item.rating !== 'bad' &&
+            item.dish.ingredients.some(ingredient => !ingredient.required) &&
+            item.dish.ingredients.every(ingredient => item.dish.currentIngredients.has(ingredient.id))
+    },
+    {
+        id: 'full_grill',
+        name: 'Grill Master',
+        description: 'Fill every grill slot at once',
+        icon: '🔥',
+        event: 'station:itemStarted',
+        filter: ({ station }) => station.id === 'grill' && station.currentItems.size >= station.cookingSlots
+    },
+    {
+        id: 'clean_day',
+        name: 'Nobody Waits',
+        description: 'Finish a campaign day without an order expiring',
+        icon: '⏱️',
+        event: 'campaign:dayEnded',
+        filter: (payload, session) => session.expiredOrders === 0
+    },
+    {
+        id: 'campaign_complete',
+        name: 'Restaurateur',
+        description: 'Pass the last day of the campaign',
+        icon: '🏆',
+        event: 'campaign:dayEnded',
+        filter: ({ result }) => result.campaignComplete
+    },
+    {
+        id: 'burnt',
+        name: 'Well Done. Very Well Done.',
+        description: 'Burn something to a crisp',
+        icon: '💨',
+        event: 'station:itemBurnt'
+    }
+];
+
+// Achievements will be initialized by the game
+window.Achievements = Achievements;
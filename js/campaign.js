@@ -0,0 +1,175 @@
+/**
+ * Campaign - Day-based restaurant campaign
+ * Tracks restaurant days, their menus and targets, and saved progress
+ */
+
+class Campaign {
+    constructor(dishSystem, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.dishSystem = dishSystem;
+        this.storage = storage;
+        this.days = Campaign.DAYS;
+        this.currentDay = null; // Day being played, null outside campaign mode
+
+        this.progress = this.loadProgress();
+    }
+
+    // Day definition by number (1-based)
+    getDay(dayNumber) {
+        return this.days.find(day => day.number === dayNumber) || null;
+    }
+
+    // Highest day the player may start
+    getUnlockedDay() {
+        return Math.min(this.progress.unlockedDay, this.days.length);
+    }
+
+    isActive() {
+        return this.currentDay !== null;
+    }
+
+    // Dishes on a day's menu that actually exist in the dish system
+    getMenu(day) {
+        return day.menu.filter(dishId => this.dishSystem.getDish(dishId));
+    }
+
+    // Dishes a day adds compared to the day before
+    getNewDishes(day) {
+        const previousDay = this.getDay(day.number - 1);
+        const previousMenu = previousDay ? previousDay.menu : [];
+        return this.getMenu(day).filter(dishId => !previousMenu.includes(dishId));
+    }
+
+    // Begin playing a day
+    startDay(dayNumber = this.getUnlockedDay()) {
+        const day = this.getDay(Math.min(dayNumber, this.getUnlockedDay()));
+        if (!day) return null;
+
+        this.currentDay = day;
+        return day;
+    }
+
+    // Check whether the current day has run its full length
+    isDayOver(gameTime) {
+        return this.isActive() && gameTime >= this.currentDay.length;
+    }
+
+    // Finish the current day with the order system stats; returns the day result
+    endDay(stats) {
+        if (!this.isActive()) return null;
+
+        const day = this.currentDay;
+        const passed = stats.totalScore >= day.targetScore;
+        const previous = this.progress.results[day.number];
+
+        this.progress.results[day.number] = {
+            bestScore: Math.max(stats.totalScore, previous ? previous.bestScore : 0),
+            passed: passed || (previous ? previous.passed : false)
+        };
+
+        const nextDay = this.getDay(day.number + 1);
+        let unlockedDishes = [];
+        if (passed && nextDay && this.progress.unlockedDay <= day.number) {
+            this.progress.unlockedDay = nextDay.number;
+            unlockedDishes = this.getNewDishes(nextDay);
+        }
+
+        this.saveProgress();
+        this.currentDay = null;
+
+        return {
+            day,
+            stats,
+            passed,
+            bestScore: this.progress.results[day.number].bestScore,
+            nextDay: passed ? nextDay : null,
+            unlockedDishes,
+            campaignComplete: passed && !nextDay
+        };
+    }
+
+    // Leave the current day without recording a result
+    abandonDay() {
+        this.currentDay = null;
+    }
+
+    // Forget all campaign progress
+    resetProgress() {
+        this.progress = Campaign.createEmptyProgress();
+        this.saveProgress();
+    }
+
+    static createEmptyProgress() {
+        return {
+            unlockedDay: 1,
+            results: {} // day number -> { bestScore, passed }
+        };
+    }
+
+    loadProgress() {
+        if (!this.storage) return Campaign.createEmptyProgress();
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(Campaign.STORAGE_KEY));
+            return saved ? { ...Campaign.createEmptyProgress(), ...saved } : Campaign.createEmptyProgress();
+        } catch (error) {
+            console.warn('Could not load campaign progress:', error);
+            return Campaign.createEmptyProgress();
+        }
+    }
+
+    saveProgress() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(Campaign.STORAGE_KEY, JSON.stringify(this.progress));
+        } catch (error) {
+            console.warn('Could not save campaign progress:', error);
+        }
+    }
+}
+
+Campaign.STORAGE_KEY = 'cookTap.campaign';
+
+// Restaurant days. Each day's menu grows on the last one; `length` is in seconds.
+Campaign.DAYS = [
+    {
+        number: 1,
+        name: 'Opening Day',
+        length: 120,
+        targetScore: 150,
+        menu: ['fried_chicken', 'classic_burger']
+    },
+    {
+        number: 2,
+        name: 'Lunch Rush',
+        length: 150,
+        targetScore: 300,
+        menu: ['fried_chicken', 'classic_burger', 'pasta_marinara']
+    },
+    {
+        number: 3,
+        name: 'Salad Bar',
+        length: 150,
+        targetScore: 400,
+        menu: ['fried_chicken', 'classic_burger', 'pasta_marinara', 'caesar_salad']
+    },
+    {
+        number: 4,
+        name: 'Pizza Night',
+        length: 180,
+        targetScore: 550,
+        spawnRate: 9000,
+        menu: ['fried_chicken', 'classic_burger', 'pasta_marinara', 'caesar_salad', 'margherita_pizza']
+    },
+    {
+        number: 5,
+        name: 'Full House',
+        length: 180,
+        targetScore: 700,
+        spawnRate: 8000,
+        menu: ['fried_chicken', 'classic_burger', 'pasta_marinara', 'caesar_salad', 'margherita_pizza']
+    }
+];
+
+// Campaign will be initialized by the game
+window.Campaign = Campaign;
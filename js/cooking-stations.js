@@ -2,50 +2,95 @@
  * Cooking Stations System - Manages different cooking stations and their states
  */
 
-class CookingStation {
-    constructor(id, config) {
+class CookingStation extends EventEmitter {
+    constructor(id, config, clock = GameClock.system, recorder = null) {
+        super();
         this.id = id;
+        this.clock = clock;
+        this.recorder = recorder;
         this.name = config.name;
         this.allowedActions = config.allowedActions;
         this.color = config.color;
-        this.cookingSlots = config.cookingSlots || 1;
+        this.baseSlots = config.cookingSlots || 1;
+        this.cookingSlots = this.baseSlots;
+        this.cookTimeMultiplier = 1;
+        this.keepsWarm = false; // Warming lamp: ready items overcook but never burn
+        this.autoRetrieve = false; // Finished items come off without pressing retrieve
         this.currentItems = new Map(); // Map of slot index to cooking item
         this.isActive = false;
-        this.element = document.getElementById(`${id}-station`);
     }
 
-    // Add item to cooking station
-    addItem(slotIndex, item) {
+    // Apply kitchen upgrades (see Upgrades.getStationEffects); takes effect for items put on from now
+    applyUpgrades({ extraSlots = 0, cookTimeMultiplier = 1, keepsWarm = false, autoRetrieve = false } = {}) {
+        this.cookingSlots = this.baseSlots + extraSlots;
+        this.cookTimeMultiplier = cookTimeMultiplier;
+        this.keepsWarm = keepsWarm;
+        this.autoRetrieve = autoRetrieve;
+    }
+
+    // Add item to cooking station; `elapsed` (ms) carries on an item that was already cooking
+    addItem(slotIndex, item, elapsed = 0) {
         if (slotIndex >= this.cookingSlots) return false;
         
-        this.currentItems.set(slotIndex, {
+        const cookingTime = item.cookingTime || 3000;
+        const burnTime = item.burnTime || 4000;
+        const cookingItem = {
             ...item,
-            startTime: Date.now(),
-            cookingTime: item.cookingTime || 3000,
+            startTime: this.clock.now() - elapsed,
+            cookingTime: cookingTime,
+            burnTime: burnTime,
+            state: 'cooking', // cooking -> ready -> overcooked -> burnt
             isReady: false
-        });
+        };
+        this.currentItems.set(slotIndex, cookingItem);
         
-        // Start cooking timer
-        setTimeout(() => {
-            const cookingItem = this.currentItems.get(slotIndex);
-            if (cookingItem) {
+        // Items left on the station past their burn window overcook, then burn (unless kept warm)
+        const stateChanges = [
+            ['ready', cookingTime],
+            ['overcooked', cookingTime + burnTime],
+            ['burnt', cookingTime + burnTime * 2]
+        ].filter(([state]) => !(this.keepsWarm && state === 'burnt'));
+        stateChanges.forEach(([state, time]) => {
+            if (time <= elapsed) {
+                cookingItem.state = state;
                 cookingItem.isReady = true;
-                this.updateSlotDisplay(slotIndex);
+            } else {
+                this.scheduleStateChange(slotIndex, cookingItem, state, time - elapsed);
             }
-        }, item.cookingTime || 3000);
+        });
         
-        this.updateSlotDisplay(slotIndex);
+        this.emit('slotChanged', { station: this, slotIndex, item: cookingItem });
         return true;
     }
 
+    // Move an item to a new cooking state after a delay, if it is still in the slot
+    scheduleStateChange(slotIndex, cookingItem, state, delay) {
+        this.clock.schedule(delay, () => {
+            if (this.currentItems.get(slotIndex) !== cookingItem) return;
+            
+            cookingItem.state = state;
+            cookingItem.isReady = true;
+            
+            if (this.recorder) {
+                this.recorder.record('station', { stationId: this.id, slotIndex, item: cookingItem.name, state });
+            }
+            this.emit('slotChanged', { station: this, slotIndex, item: cookingItem });
+        });
+    }
+
     // Remove item from cooking station
     removeItem(slotIndex) {
         const item = this.currentItems.get(slotIndex);
         this.currentItems.delete(slotIndex);
-        this.updateSlotDisplay(slotIndex);
+        this.emit('slotChanged', { station: this, slotIndex, item: null });
         return item;
     }
 
+    // Seconds until a cooking item is ready
+    getTimeLeft(item) {
+        return Math.max(0, Math.ceil((item.cookingTime - (this.clock.now() - item.startTime)) / 1000));
+    }
+
     // Check if station has available slots
     hasAvailableSlot() {
         return this.currentItems.size < this.cookingSlots;
@@ -61,108 +106,63 @@ class CookingStation {
         return -1;
     }
 
-    // Update slot display
-    updateSlotDisplay(slotIndex) {
-        const slotElement = this.element?.querySelector(`#${this.id}-slots .cooking-slot:nth-child(${slotIndex + 1})`);
-        if (!slotElement) return;
-
-        const item = this.currentItems.get(slotIndex);
-        
-        if (!item) {
-            slotElement.className = 'cooking-slot';
-            slotElement.textContent = 'Empty';
-            return;
-        }
-
-        if (item.isReady) {
-            slotElement.className = 'cooking-slot ready';
-            slotElement.innerHTML = `
-                <div class="cooked-item-name">${item.name} Ready!</div>
-                <div class="retrieve-hint">Press Enter to retrieve</div>
-            `;
-        } else {
-            slotElement.className = 'cooking-slot occupied';
-            const timeLeft = Math.ceil((item.cookingTime - (Date.now() - item.startTime)) / 1000);
-            slotElement.textContent = `${item.name} (${timeLeft}s)`;
-            
-            // Update timer every second
-            const timer = setInterval(() => {
-                if (item.isReady) {
-                    clearInterval(timer);
-                    return;
-                }
-                
-                const newTimeLeft = Math.ceil((item.cookingTime - (Date.now() - item.startTime)) / 1000);
-                if (newTimeLeft > 0) {
-                    slotElement.textContent = `${item.name} (${newTimeLeft}s)`;
-                } else {
-                    clearInterval(timer);
-                }
-            }, 1000);
-        }
-    }
-
     // Activate station (highlight)
     activate() {
         this.isActive = true;
-        if (this.element) {
-            this.element.classList.add('active');
-            this.element.style.borderWidth = '4px';
-            this.element.style.boxShadow = '0 0 15px rgba(0, 123, 255, 0.5)';
-        }
+        this.emit('activeChanged', { station: this });
     }
 
     // Deactivate station
     deactivate() {
         this.isActive = false;
-        if (this.element) {
-            this.element.classList.remove('active');
-            this.element.style.borderWidth = '3px';
-            this.element.style.boxShadow = '0 4px 15px rgba(0, 0, 0, 0.1)';
-        }
-    }
-
-    // Initialize station display
-    initializeDisplay() {
-        if (!this.element) return;
-
-        const slotsContainer = this.element.querySelector('.cooking-slots');
-        if (!slotsContainer) return;
-
-        slotsContainer.innerHTML = '';
-        
-        for (let i = 0; i < this.cookingSlots; i++) {
-            const slotElement = document.createElement('div');
-            slotElement.className = 'cooking-slot';
-            slotElement.textContent = 'Empty';
-            slotsContainer.appendChild(slotElement);
-        }
+        this.emit('activeChanged', { station: this });
     }
 }
 
-class CookingStationManager {
-    constructor(dishSystem) {
+class CookingStationManager extends EventEmitter {
+    constructor(dishSystem, clock = GameClock.system, recorder = null) {
+        super();
         this.dishSystem = dishSystem;
+        this.clock = clock;
+        this.recorder = recorder;
         this.stations = new Map();
         this.activeStation = null;
         this.currentDish = null;
+        this.upgrades = null; // Set by the Upgrades plugin
         
         this.initializeStations();
     }
 
+    // Create stations from the dish system configuration (recipe packs can add more later)
+    // and apply kitchen upgrades to every station; views rebuild their slots on stationsChanged
     initializeStations() {
-        // Create cooking stations based on dish system configuration
         for (const [stationId, config] of this.dishSystem.cookingStations) {
-            const station = new CookingStation(stationId, config);
-            this.stations.set(stationId, station);
-            station.initializeDisplay();
+            let station = this.stations.get(stationId);
+            
+            if (!station) {
+                station = new CookingStation(stationId, config, this.clock, this.recorder);
+                
+                // Pass station events on so views only need to watch the manager
+                station.on('slotChanged', payload => this.emit('slotChanged', payload));
+                station.on('activeChanged', payload => this.emit('stationActiveChanged', payload));
+                
+                this.stations.set(stationId, station);
+            }
+            
+            station.applyUpgrades(this.upgrades ? this.upgrades.getStationEffects(stationId) : {});
         }
+        
+        this.emit('stationsChanged', { stations: this.getAllStations() });
     }
 
-    // Set active station and dish
-    setActiveDish(dishId, stationId = null) {
-        this.currentDish = dishId;
-        const dish = this.dishSystem.getDish(dishId);
+    // Upgrade levels the stations are built with, for session settings
+    getUpgradeLevels() {
+        return this.upgrades ? { ...this.upgrades.getLevels() } : {};
+    }
+
+    // Set active station and dish instance
+    setActiveDish(dish, stationId = null) {
+        this.currentDish = dish;
         
         if (!dish) return false;
 
@@ -181,127 +181,16 @@ class CookingStationManager {
         this.activeStation = station;
         station.activate();
 
-        // Update station display
-        this.updateStationDisplay(targetStationId, dishId);
+        this.emit('activeDishChanged', { station, dish });
 
         return true;
     }
 
-    // Update station display with current dish
-    updateStationDisplay(stationId, dishId) {
-        const station = this.stations.get(stationId);
-        if (!station || !station.element) return;
-
-        const dish = this.dishSystem.getDish(dishId);
-        if (!dish) return;
-
-        // Update current dish display
-        const dishDisplay = station.element.querySelector('.current-dish');
-        if (dishDisplay) {
-            if (stationId === 'prep') {
-                // Show ingredient preparation progress
-                const totalIngredients = dish.ingredients.filter(ing => dish.currentIngredients.has(ing.id)).length;
-                const readyIngredients = Array.from(dish.ingredientStates.values()).filter(state => state.isReady).length;
-                
-                dishDisplay.innerHTML = `
-                    <div class="dish-name" style="background-color: ${dish.baseColor}">${dish.name}</div>
-                    <div class="dish-progress">Ingredients: ${readyIngredients}/${totalIngredients} ready</div>
-                    <div class="dish-progress">Final: ${dish.finalStepsProgress}/${dish.finalSteps?.length || 0} steps</div>
-                `;
-            } else {
-                dishDisplay.innerHTML = `
-                    <div class="dish-name" style="background-color: ${dish.baseColor}">${dish.name}</div>
-                    <div class="station-status">Cooking in progress...</div>
-                `;
-            }
-            dishDisplay.classList.add('active');
-        }
-
-        // Update ingredients panel for prep station
-        if (stationId === 'prep') {
-            const ingredientsPanel = station.element.querySelector('.ingredients-panel');
-            if (ingredientsPanel) {
-                this.updateIngredientsPanel(ingredientsPanel, dish);
-            }
-        }
-    }
-
-    // Update ingredients panel with better workflow display
-    updateIngredientsPanel(panel, dish) {
-        panel.innerHTML = '';
-        
-        // Show ingredient workflow
-        dish.ingredients.forEach(ingredient => {
-            const ingredientData = this.dishSystem.getIngredient(ingredient.id);
-            if (!ingredientData) return;
-            
-            const isAdded = dish.currentIngredients.has(ingredient.id);
-            const ingredientState = dish.ingredientStates.get(ingredient.id);
-            
-            let statusClass = '';
-            let statusText = '';
-            
-            if (!isAdded) {
-                statusClass = ingredient.required ? 'needed-required' : 'needed-optional';
-                statusText = `Press ${ingredientData.key.toUpperCase()}`;
-            } else if (ingredientState && !ingredientState.isReady) {
-                const nextStep = ingredient.prepSteps[ingredientState.prepStepsCompleted];
-                statusClass = 'needs-prep';
-                statusText = `${nextStep.description} (${nextStep.key.toUpperCase()})`;
-            } else {
-                statusClass = 'ready';
-                statusText = 'Ready ✓';
-            }
-            
-            const ingredientElement = document.createElement('div');
-            ingredientElement.className = `ingredient-workflow-item ${statusClass}`;
-            
-            ingredientElement.innerHTML = `
-                <div class="ingredient-name">${ingredientData.name}</div>
-                <div class="ingredient-status">${statusText}</div>
-                ${ingredient.required ? '<div class="required-marker">*</div>' : ''}
-            `;
-            
-            panel.appendChild(ingredientElement);
-        });
-        
-        // Show final assembly steps if ingredients are ready
-        const readyRequired = dish.ingredients
-            .filter(ing => ing.required)
-            .every(ing => {
-                const state = dish.ingredientStates.get(ing.id);
-                return state && state.isReady;
-            });
-            
-        if (readyRequired && dish.finalSteps) {
-            const finalStepsTitle = document.createElement('div');
-            finalStepsTitle.className = 'final-steps-title';
-            finalStepsTitle.textContent = 'Final Assembly:';
-            panel.appendChild(finalStepsTitle);
-            
-            dish.finalSteps.forEach((step, index) => {
-                const isDone = index < dish.finalStepsProgress;
-                const isCurrent = index === dish.finalStepsProgress;
-                
-                const stepElement = document.createElement('div');
-                stepElement.className = `final-step ${isDone ? 'done' : ''} ${isCurrent ? 'current' : ''}`;
-                
-                stepElement.innerHTML = `
-                    <div class="step-name">${step.description}</div>
-                    <div class="step-key">${isDone ? '✓' : step.key.toUpperCase()}</div>
-                `;
-                
-                panel.appendChild(stepElement);
-            });
-        }
-    }
-
     // Handle cooking action (for stations with cooking slots)
     handleCookingAction(action, ingredient) {
         if (!this.activeStation || !this.currentDish) return false;
 
-        const dish = this.dishSystem.getDish(this.currentDish);
-        if (!dish) return false;
+        const dish = this.currentDish;
 
         // Check if action is allowed on this station
         if (!this.activeStation.allowedActions.includes(action)) {
@@ -309,36 +198,69 @@ class CookingStationManager {
             return false;
         }
 
-        // For cooking stations (grill, fryer, stove), add item to cooking slot
-        if (this.activeStation.cookingSlots > 1) {
-            const slotIndex = this.activeStation.getNextAvailableSlot();
-            if (slotIndex === -1) {
-                console.warn(`No available slots on station ${this.activeStation.id}`);
-                return false;
-            }
+        // Prep work happens on the dish itself; every other station cooks the item in a slot
+        if (this.activeStation.id === 'prep') return true;
 
-            // Find cooking time from ingredient prep steps
-            let cookingTime = 3000; // default
-            const ingredientConfig = dish.ingredients.find(ing => ing.id === ingredient);
-            if (ingredientConfig && ingredientConfig.prepSteps) {
-                const step = ingredientConfig.prepSteps.find(s => s.action === action);
-                if (step && step.time) {
-                    cookingTime = step.time;
-                }
+        const slotIndex = this.activeStation.getNextAvailableSlot();
+        if (slotIndex === -1) {
+            console.warn(`No available slots on station ${this.activeStation.id}`);
+            return false;
+        }
+
+        // Find cooking and burn times from ingredient prep steps
+        let cookingTime = 3000; // default
+        let burnTime = null;
+        const ingredientConfig = dish.ingredients.find(ing => ing.id === ingredient);
+        if (ingredientConfig && ingredientConfig.prepSteps) {
+            const step = ingredientConfig.prepSteps.find(s => s.action === action);
+            if (step && step.time) {
+                cookingTime = step.time;
             }
+            if (step && step.burnTime) {
+                burnTime = step.burnTime;
+            }
+        }
 
-            const ingredientData = this.dishSystem.getIngredient(ingredient);
-            const cookingItem = {
-                name: ingredientData ? ingredientData.name : ingredient,
-                action: action,
-                ingredient: ingredient,
-                cookingTime: cookingTime
-            };
+        const ingredientData = this.dishSystem.getIngredient(ingredient);
+        const cookingItem = {
+            name: ingredientData ? ingredientData.name : ingredient,
+            action: action,
+            ingredient: ingredient,
+            dish: dish,
+            cookingTime: Math.round(cookingTime * this.activeStation.cookTimeMultiplier),
+            burnTime: burnTime
+        };
+
+        return this.activeStation.addItem(slotIndex, cookingItem);
+    }
+
+    // Place the whole current dish into a slot for a station final step (e.g. baking)
+    handleFinalStepAction(step) {
+        if (!this.activeStation || !this.currentDish) return false;
 
-            return this.activeStation.addItem(slotIndex, cookingItem);
+        const dish = this.currentDish;
+
+        if (!this.activeStation.allowedActions.includes(step.action)) {
+            console.warn(`Action ${step.action} not allowed on station ${this.activeStation.id}`);
+            return false;
         }
 
-        return true;
+        const slotIndex = this.activeStation.getNextAvailableSlot();
+        if (slotIndex === -1) {
+            console.warn(`No available slots on station ${this.activeStation.id}`);
+            return false;
+        }
+
+        const cookingItem = {
+            name: dish.name,
+            action: step.action,
+            dish: dish,
+            isWholeDish: true,
+            cookingTime: Math.round((step.time || 3000) * this.activeStation.cookTimeMultiplier),
+            burnTime: step.burnTime || null
+        };
+
+        return this.activeStation.addItem(slotIndex, cookingItem);
     }
 
     // Remove cooked item from station
@@ -381,33 +303,47 @@ class CookingStationManager {
         return readyItems;
     }
 
-    // Clear current dish
-    clearCurrentDish() {
-        if (this.activeStation) {
-            this.activeStation.deactivate();
-            
-            // Clear station display
-            if (this.activeStation && this.activeStation.element) {
-                const dishDisplay = this.activeStation.element.querySelector('.current-dish');
-                if (dishDisplay) {
-                    if (this.activeStation.id === 'prep') {
-                        dishDisplay.innerHTML = '<div class="dish-placeholder">Select a dish to prepare</div>';
-                        const ingredientsPanel = this.activeStation.element.querySelector('.ingredients-panel');
-                        if (ingredientsPanel) {
-                            ingredientsPanel.innerHTML = '';
-                        }
-                    } else {
-                        dishDisplay.innerHTML = `<div class="dish-placeholder">${this.activeStation.name} ready</div>`;
-                    }
-                    dishDisplay.classList.remove('active');
+    // Let views know the current dish has changed
+    notifyDishChanged() {
+        if (this.activeStation && this.currentDish) {
+            this.emit('dishChanged', { station: this.activeStation, dish: this.currentDish });
+        }
+    }
+
+    // Take a dish's items off every station (when the dish is thrown away)
+    removeDishItems(dish) {
+        for (const station of this.stations.values()) {
+            for (const [slotIndex, item] of Array.from(station.currentItems)) {
+                if (item.dish === dish) {
+                    station.removeItem(slotIndex);
                 }
             }
         }
+    }
+
+    // Empty every cooking slot (useful for game reset)
+    clearAllSlots() {
+        for (const station of this.stations.values()) {
+            for (const slotIndex of Array.from(station.currentItems.keys())) {
+                station.removeItem(slotIndex);
+            }
+        }
+    }
+
+    // Clear current dish
+    clearCurrentDish() {
+        const station = this.activeStation;
+        if (station) {
+            station.deactivate();
+        }
         
         this.activeStation = null;
         this.currentDish = null;
+        
+        this.emit('dishCleared', { station });
     }
 }
 
 // Global cooking station manager will be initialized by the game
+window.CookingStation = CookingStation;
 window.CookingStationManager = CookingStationManager;
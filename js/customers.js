@@ -0,0 +1,94 @@
+/**
+ * Customers - Who placed an order, how patient they are and how they tip
+ * Every order belongs to a customer. The customer's type scales the order's
+ * time limit (their patience) and sets their base tip; their mood follows the
+ * patience they have left and scales both the points and the tip a serve earns.
+ */
+
+class Customer {
+    constructor(typeId = 'regular', name = null) {
+        this.typeId = Customer.TYPES[typeId] ? typeId : 'regular';
+        this.type = Customer.TYPES[this.typeId];
+        this.name = name || this.type.name;
+    }
+
+    // Pick a customer type (by weight) and a name
+    static random(random) {
+        const types = Object.entries(Customer.TYPES);
+        const total = types.reduce((sum, [, type]) => sum + type.weight, 0);
+
+        let roll = random.next() * total;
+        let typeId = types[0][0];
+        for (const [id, type] of types) {
+            roll -= type.weight;
+            if (roll < 0) {
+                typeId = id;
+                break;
+            }
+        }
+
+        return new Customer(typeId, random.pick(Customer.NAMES));
+    }
+
+    // How long this customer will wait, given the dish's usual time limit (seconds)
+    getPatience(timeLimit) {
+        return timeLimit * this.type.patience;
+    }
+
+    // Mood for the share of patience left (1 = just arrived, 0 = walked out)
+    getMood(patienceLeft) {
+        if (patienceLeft <= 0) return Customer.ANGRY;
+        return Customer.MOODS.find(mood => patienceLeft >= mood.minPatience);
+    }
+
+    // Points for a serve, after the customer's mood
+    getScore(baseScore, mood) {
+        return Math.round(baseScore * mood.scoreMultiplier);
+    }
+
+    // Tip in cents: the type's base tip, scaled by how fast (mood) and how well (rating) they were served
+    getTip(rating, mood) {
+        return Math.round(this.type.tip * (Customer.RATING_TIPS[rating] || 0) * mood.tipMultiplier);
+    }
+
+    toJSON() {
+        return { typeId: this.typeId, name: this.name };
+    }
+
+    static fromJSON(data) {
+        return data ? new Customer(data.typeId, data.name) : new Customer();
+    }
+
+    // Cents as $x.xx
+    static formatTip(cents) {
+        return `$${(cents / 100).toFixed(2)}`;
+    }
+}
+
+// patience multiplies the order's time limit; tip is in cents; weight is how often they turn up
+Customer.TYPES = {
+    regular: { name: 'Regular', icon: '🙂', patience: 1, tip: 200, weight: 6 },
+    family: { name: 'Family', icon: '👨‍👩‍👧', patience: 1.25, tip: 150, weight: 2 },
+    vip: { name: 'VIP', icon: '🎩', patience: 0.7, tip: 800, weight: 1 }
+};
+
+// Best first; a customer is in the first mood whose minPatience they still have
+Customer.MOODS = [
+    { id: 'happy', icon: '😊', minPatience: 0.5, scoreMultiplier: 1, tipMultiplier: 1 },
+    { id: 'impatient', icon: '😐', minPatience: 0.25, scoreMultiplier: 0.9, tipMultiplier: 0.6 },
+    { id: 'annoyed', icon: '😠', minPatience: 0, scoreMultiplier: 0.75, tipMultiplier: 0.25 }
+];
+
+// Out of patience: the order expires
+Customer.ANGRY = { id: 'angry', icon: '😡', minPatience: 0, scoreMultiplier: 0, tipMultiplier: 0 };
+
+// Share of the base tip each rating earns
+Customer.RATING_TIPS = { perfect: 1, good: 0.6, average: 0.3, bad: 0 };
+
+Customer.NAMES = [
+    'Alex', 'Sam', 'Jordan', 'Riley', 'Casey', 'Morgan', 'Taylor', 'Jamie',
+    'Robin', 'Quinn', 'Avery', 'Charlie', 'Drew', 'Emery', 'Frankie', 'Harper'
+];
+
+// Customers will be initialized by the order system
+window.Customer = Customer;
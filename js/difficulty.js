@@ -0,0 +1,172 @@
+/**
+ * Difficulty - Named difficulty presets and dynamic difficulty
+ * Decides how fast orders arrive, how many can queue up and how long each one lasts
+ */
+
+class Difficulty {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.preset = 'normal';
+        this.dynamic = false; // Ramp up with game time and player skill
+        this.pressure = 0; // 0 (preset values) to 1 (fully ramped)
+
+        this.load();
+    }
+
+    getPreset() {
+        return Difficulty.PRESETS[this.preset] || Difficulty.PRESETS.normal;
+    }
+
+    getName() {
+        return `${this.getPreset().name}${this.dynamic ? ' (Dynamic)' : ''}`;
+    }
+
+    setPreset(presetId) {
+        if (!Difficulty.PRESETS[presetId]) return false;
+
+        this.preset = presetId;
+        this.save();
+        return true;
+    }
+
+    setDynamic(dynamic) {
+        this.dynamic = Boolean(dynamic);
+        this.pressure = 0;
+        this.save();
+    }
+
+    // Recalculate dynamic pressure from elapsed game time (seconds) and order stats
+    update(gameTime, stats) {
+        if (!this.dynamic) {
+            this.pressure = 0;
+            return this.pressure;
+        }
+
+        const ramp = Difficulty.DYNAMIC;
+        const timePressure = Math.min(1, gameTime / ramp.rampTime);
+
+        // Skill only counts once there are enough orders to judge by
+        let skillPressure = 0;
+        if (stats.ordersCompleted >= ramp.minOrders) {
+            skillPressure = Math.max(0, (stats.perfectRate - ramp.perfectRateFloor) / (100 - ramp.perfectRateFloor));
+        }
+
+        this.pressure = Math.min(1, timePressure * ramp.timeWeight + skillPressure * ramp.skillWeight);
+        return this.pressure;
+    }
+
+    resetPressure() {
+        this.pressure = 0;
+    }
+
+    // Milliseconds between orders. Campaign days give their own rate at Normal
+    // difficulty, which the other presets scale.
+    getSpawnRate(normalRate = null) {
+        const preset = this.getPreset();
+        const baseRate = normalRate
+            ? normalRate * (preset.spawnRate / Difficulty.PRESETS.normal.spawnRate)
+            : preset.spawnRate;
+
+        const rate = baseRate * (1 - Difficulty.DYNAMIC.maxSpawnSpeedup * this.pressure);
+        return Math.max(Difficulty.DYNAMIC.minSpawnRate, Math.round(rate));
+    }
+
+    getMaxActiveOrders() {
+        return this.getPreset().maxActiveOrders;
+    }
+
+    // Time limit (seconds) for a new order; `roll` is a random number in [0, 1)
+    getTimeLimit(dish, roll) {
+        const preset = this.getPreset();
+        const timeLimit = preset.baseTime + dish.difficulty * preset.timePerDifficulty + roll * preset.timeVariance;
+
+        return Math.max(Difficulty.DYNAMIC.minTimeLimit, timeLimit * (1 - Difficulty.DYNAMIC.maxTimeSqueeze * this.pressure));
+    }
+
+    // Save the chosen difficulty to localStorage
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(Difficulty.STORAGE_KEY, JSON.stringify({
+                preset: this.preset,
+                dynamic: this.dynamic
+            }));
+        } catch (error) {
+            console.warn('Could not save difficulty:', error);
+        }
+    }
+
+    // Load the chosen difficulty from localStorage
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(Difficulty.STORAGE_KEY));
+            if (!saved) return;
+
+            if (Difficulty.PRESETS[saved.preset]) {
+                this.preset = saved.preset;
+            }
+            this.dynamic = Boolean(saved.dynamic);
+        } catch (error) {
+            console.warn('Could not load difficulty:', error);
+        }
+    }
+}
+
+Difficulty.STORAGE_KEY = 'cookTap.difficulty';
+
+// Order time limits are baseTime + dish difficulty * timePerDifficulty + up to timeVariance seconds
+Difficulty.PRESETS = {
+    easy: {
+        name: 'Easy',
+        spawnRate: 14000,
+        maxActiveOrders: 3,
+        baseTime: 60,
+        timePerDifficulty: 12,
+        timeVariance: 20
+    },
+    normal: {
+        name: 'Normal',
+        spawnRate: 10000,
+        maxActiveOrders: 5,
+        baseTime: 45,
+        timePerDifficulty: 10,
+        timeVariance: 20
+    },
+    hard: {
+        name: 'Hard',
+        spawnRate: 7500,
+        maxActiveOrders: 6,
+        baseTime: 35,
+        timePerDifficulty: 8,
+        timeVariance: 15
+    },
+    chef: {
+        name: 'Chef',
+        spawnRate: 5500,
+        maxActiveOrders: 8,
+        baseTime: 28,
+        timePerDifficulty: 7,
+        timeVariance: 10
+    }
+};
+
+// Dynamic mode: pressure builds over `rampTime` seconds and as the perfect rate
+// climbs above `perfectRateFloor`; full pressure spawns orders up to 40% faster
+// and cuts time limits by up to 30%.
+Difficulty.DYNAMIC = {
+    rampTime: 300,
+    timeWeight: 0.6,
+    skillWeight: 0.4,
+    minOrders: 3,
+    perfectRateFloor: 50,
+    maxSpawnSpeedup: 0.4,
+    maxTimeSqueeze: 0.3,
+    minSpawnRate: 3000,
+    minTimeLimit: 20
+};
+
+// Difficulty will be initialized by the game
+window.Difficulty = Difficulty;
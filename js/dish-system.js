@@ -3,17 +3,39 @@
  * Handles dish definitions, ingredients, tools, and preparation steps
  */
 
+/**
+ * Error thrown when a recipe pack fails validation.
+ * `errors` holds one readable message per problem found.
+ */
+class RecipePackError extends Error {
+    constructor(packName, errors) {
+        super(`Recipe pack "${packName}" is invalid:\n- ${errors.join('\n- ')}`);
+        this.name = 'RecipePackError';
+        this.packName = packName;
+        this.errors = errors;
+    }
+}
+
 class DishSystem {
-    constructor() {
+    constructor(keyBindings = null) {
+        this.keyBindings = keyBindings; // Player key layer; built-in keys are used without one
         this.dishes = new Map();
         this.ingredients = new Map();
         this.tools = new Map();
         this.cookingStations = new Map();
+        this.keyRemaps = new Map(); // dishId -> Map of `type:id` -> key
+        this.inventory = null; // Ingredient stock, set when an Inventory is installed; null means unlimited
         
         this.initializeIngredients();
         this.initializeTools();
         this.initializeCookingStations();
         this.initializeDishes();
+        this.validateKeyBindings();
+        
+        // Rebinding keys can create new conflicts in any dish
+        if (this.keyBindings) {
+            this.keyBindings.onChange(() => this.validateKeyBindings());
+        }
     }
 
     initializeIngredients() {
@@ -119,7 +141,7 @@ class DishSystem {
                     id: 'beef_patty', 
                     required: true,
                     prepSteps: [
-                        { action: 'grill', description: 'Grill patty', station: 'grill', time: 3000, key: 'q' }
+                        { action: 'grill', description: 'Grill patty', station: 'grill', time: 3000, burnTime: 4000, key: 'q' }
                     ]
                 },
                 { 
@@ -179,7 +201,7 @@ class DishSystem {
                 }
             ],
             finalSteps: [
-                { action: 'bake', description: 'Bake pizza', station: 'stove', time: 8000, key: '.' },
+                { action: 'bake', description: 'Bake pizza', station: 'stove', time: 8000, burnTime: 6000, key: '.' },
                 { action: 'plate', description: 'Plate and serve', key: 'space' }
             ],
             difficulty: 3,
@@ -196,7 +218,7 @@ class DishSystem {
                     id: 'chicken_breast', 
                     required: true,
                     prepSteps: [
-                        { action: 'fry', description: 'Fry chicken', station: 'fryer', time: 5000, key: 'f' }
+                        { action: 'fry', description: 'Fry chicken', station: 'fryer', time: 5000, burnTime: 3000, key: 'f' }
                     ]
                 },
                 { 
@@ -234,7 +256,7 @@ class DishSystem {
                     id: 'chicken_breast', 
                     required: true,
                     prepSteps: [
-                        { action: 'grill', description: 'Grill chicken', station: 'grill', time: 4000, key: 'q' },
+                        { action: 'grill', description: 'Grill chicken', station: 'grill', time: 4000, burnTime: 4000, key: 'q' },
                         { action: 'slice', description: 'Slice chicken', key: 'v' }
                     ]
                 },
@@ -267,7 +289,7 @@ class DishSystem {
                     id: 'pasta', 
                     required: true,
                     prepSteps: [
-                        { action: 'boil', description: 'Boil pasta', station: 'stove', time: 6000, key: ',' }
+                        { action: 'boil', description: 'Boil pasta', station: 'stove', time: 6000, burnTime: 5000, key: ',' }
                     ]
                 },
                 { 
@@ -295,13 +317,15 @@ class DishSystem {
         });
     }
 
-    addIngredient(id, name, type, color, key) {
+    // Cost is the unit cost in cents, defaulting to the usual cost for the type
+    addIngredient(id, name, type, color, key, cost = DishSystem.INGREDIENT_COSTS[type] || DishSystem.INGREDIENT_COSTS.default) {
         this.ingredients.set(id, {
             id,
             name,
             type,
             color,
             key,
+            cost,
             className: `ingredient-${type}`
         });
     }
@@ -320,14 +344,85 @@ class DishSystem {
     addDish(id, dishData) {
         this.dishes.set(id, {
             id,
-            ...dishData,
+            ...dishData
+        });
+    }
+
+    // Create a fresh dish-in-progress for an order from the recipe, with the customer's modifiers
+    createDishInstance(dishId, modifiers = []) {
+        const recipe = this.getDish(dishId);
+        if (!recipe) return null;
+        
+        return {
+            ...recipe,
+            ingredients: this.applyModifiers(recipe.ingredients, modifiers),
+            modifiers,
             currentIngredients: new Set(),
             ingredientStates: new Map(), // Track prep state of each ingredient
             finalStepsProgress: 0,
+            finalStepCooking: false, // Whole dish is in a station slot
+            finalCookedState: null,
             isComplete: false
+        };
+    }
+
+    // Copy of a recipe's ingredients with modifiers marked on them:
+    // extras become required, forbidden ones must stay off, well-done ones cook past ready
+    applyModifiers(ingredients, modifiers) {
+        return ingredients.map(ingredient => {
+            const types = modifiers
+                .filter(modifier => modifier.ingredientId === ingredient.id)
+                .map(modifier => modifier.type);
+            if (types.length === 0) return ingredient;
+            
+            return {
+                ...ingredient,
+                required: ingredient.required || types.includes('extra'),
+                extra: types.includes('extra'),
+                forbidden: types.includes('without'),
+                wellDone: types.includes('wellDone')
+            };
         });
     }
 
+    // Roll a customer's special requests for a dish: extras and leave-outs
+    // pick from the optional ingredients, well done from grilled ones
+    createModifiers(dishId, random, chance = DishSystem.MODIFIER_CHANCE) {
+        const recipe = this.getDish(dishId);
+        if (!recipe || random.next() >= chance) return [];
+        
+        const options = [];
+        recipe.ingredients.forEach(ingredient => {
+            if (!ingredient.required) {
+                options.push({ type: 'extra', ingredientId: ingredient.id });
+                options.push({ type: 'without', ingredientId: ingredient.id });
+            }
+            if ((ingredient.prepSteps || []).some(step => DishSystem.WELL_DONE_STATIONS.includes(step.station))) {
+                options.push({ type: 'wellDone', ingredientId: ingredient.id });
+            }
+        });
+        
+        const modifiers = [];
+        const count = 1 + random.nextInt(DishSystem.MAX_MODIFIERS);
+        while (modifiers.length < count && options.length > 0) {
+            const [modifier] = options.splice(random.nextInt(options.length), 1);
+            
+            // At most one request per ingredient
+            if (!modifiers.some(other => other.ingredientId === modifier.ingredientId)) {
+                modifiers.push(modifier);
+            }
+        }
+        
+        return modifiers;
+    }
+
+    // Order card label for a modifier, e.g. "No Pickles"
+    describeModifier(modifier) {
+        const ingredient = this.getIngredient(modifier.ingredientId);
+        const name = ingredient ? ingredient.name : modifier.ingredientId;
+        return `${DishSystem.MODIFIER_LABELS[modifier.type] || modifier.type} ${name}`;
+    }
+
     getDish(id) {
         return this.dishes.get(id);
     }
@@ -348,9 +443,8 @@ class DishSystem {
         return this.cookingStations.get(id);
     }
 
-    // Get available ingredients for a specific dish
-    getDishIngredients(dishId) {
-        const dish = this.getDish(dishId);
+    // Get available ingredients for a dish instance
+    getDishIngredients(dish) {
         if (!dish) return [];
         
         return dish.ingredients.map(ing => {
@@ -360,6 +454,10 @@ class DishSystem {
             return {
                 ...ingredientData,
                 required: ing.required,
+                stock: this.inventory ? this.inventory.getStock(ing.id) : null,
+                extra: Boolean(ing.extra),
+                forbidden: Boolean(ing.forbidden),
+                wellDone: Boolean(ing.wellDone),
                 prepSteps: ing.prepSteps || [],
                 added: dish.currentIngredients.has(ing.id)
             };
@@ -401,17 +499,16 @@ class DishSystem {
         }).filter(tool => tool !== null);
     }
 
-    // Add ingredient to current dish
-    addIngredientToDish(dishId, ingredientId) {
-        const dish = this.getDish(dishId);
+    // Add ingredient to a dish instance
+    addIngredientToDish(dish, ingredientId) {
         if (!dish) {
-            console.log(`Dish not found: ${dishId}`);
+            console.log('No dish to add ingredient to');
             return false;
         }
         
         const ingredient = dish.ingredients.find(ing => ing.id === ingredientId);
         if (!ingredient) {
-            console.log(`Ingredient ${ingredientId} not found in dish ${dishId}`);
+            console.log(`Ingredient ${ingredientId} not found in dish ${dish.id}`);
             console.log('Available ingredients:', dish.ingredients.map(ing => ing.id));
             return false;
         }
@@ -422,6 +519,12 @@ class DishSystem {
             return false;
         }
         
+        // Each ingredient added uses up one unit of stock
+        if (this.inventory && !this.inventory.take(ingredientId)) {
+            console.log(`Out of stock: ${ingredientId}`);
+            return false;
+        }
+        
         dish.currentIngredients.add(ingredientId);
         
         // Initialize ingredient state tracking
@@ -431,47 +534,80 @@ class DishSystem {
             isReady: (ingredient.prepSteps && ingredient.prepSteps.length === 0) || !ingredient.prepSteps // Ready if no prep steps
         });
         
-        console.log(`Successfully added ingredient: ${ingredientId} to ${dishId}`);
+        console.log(`Successfully added ingredient: ${ingredientId} to ${dish.id}`);
         return true;
     }
 
-    // Use tool on ingredient or final assembly
-    useToolOnDish(dishId, toolId) {
-        const dish = this.getDish(dishId);
-        if (!dish) return false;
-        
-        // Check if this tool is for ingredient preparation
-        let toolUsed = false;
+    // Check whether a prep step has to be cooked on a station with slots
+    isStationStep(step) {
+        return !!(step && step.station && step.station !== 'prep');
+    }
+
+    // Find the next prep step in a dish that this tool would perform
+    findPrepStepForTool(dish, toolId) {
+        if (!dish) return null;
         
         for (const ingredient of dish.ingredients) {
             if (!dish.currentIngredients.has(ingredient.id)) continue;
             
             const ingredientState = dish.ingredientStates.get(ingredient.id);
-            if (!ingredientState || ingredientState.isReady) continue;
+            if (!ingredientState || ingredientState.isReady || ingredientState.isCooking) continue;
             
             const currentPrepStep = ingredient.prepSteps[ingredientState.prepStepsCompleted];
             if (currentPrepStep && currentPrepStep.action === toolId) {
+                return { ingredient, ingredientState, step: currentPrepStep };
+            }
+        }
+        
+        return null;
+    }
+
+    // Get the final step this tool would perform next, if any
+    findFinalStepForTool(dish, toolId) {
+        if (!dish || !dish.finalSteps || dish.finalStepCooking) return null;
+        
+        const currentFinalStep = dish.finalSteps[dish.finalStepsProgress];
+        if (currentFinalStep && currentFinalStep.action === toolId) {
+            return currentFinalStep;
+        }
+        
+        return null;
+    }
+
+    // Use tool on ingredient or final assembly
+    useToolOnDish(dish, toolId) {
+        if (!dish) return false;
+        
+        // Check if this tool is for ingredient preparation
+        let toolUsed = false;
+        
+        const prepTarget = this.findPrepStepForTool(dish, toolId);
+        if (prepTarget) {
+            const { ingredient, ingredientState, step } = prepTarget;
+            
+            if (this.isStationStep(step)) {
+                // Station steps only count once the item is retrieved from its slot
+                ingredientState.isCooking = true;
+            } else {
                 ingredientState.prepStepsCompleted++;
                 
                 if (ingredientState.prepStepsCompleted >= ingredient.prepSteps.length) {
                     ingredientState.isReady = true;
                 }
-                
-                toolUsed = true;
-                break;
             }
+            
+            toolUsed = true;
         }
         
         // Check if this tool is for final assembly steps
-        if (!toolUsed && dish.finalSteps) {
-            const currentFinalStep = dish.finalSteps[dish.finalStepsProgress];
-            if (currentFinalStep && currentFinalStep.action === toolId) {
-                dish.finalStepsProgress++;
-                
-                if (dish.finalStepsProgress >= dish.finalSteps.length) {
-                    dish.isComplete = true;
-                }
-                
+        if (!toolUsed) {
+            const currentFinalStep = this.findFinalStepForTool(dish, toolId);
+            if (currentFinalStep && this.isStationStep(currentFinalStep)) {
+                // The whole dish goes into a station slot and must be retrieved
+                dish.finalStepCooking = true;
+                toolUsed = true;
+            } else if (currentFinalStep) {
+                this.advanceFinalStep(dish);
                 toolUsed = true;
             }
         }
@@ -479,11 +615,22 @@ class DishSystem {
         return toolUsed;
     }
 
+    // Move a dish on to its next final step
+    advanceFinalStep(dish) {
+        dish.finalStepsProgress++;
+        
+        if (dish.finalStepsProgress >= dish.finalSteps.length) {
+            dish.isComplete = true;
+        }
+    }
+
     // Check if dish meets minimum requirements
-    isDishValid(dishId) {
-        const dish = this.getDish(dishId);
+    isDishValid(dish) {
         if (!dish) return false;
         
+        // A dish still sitting on a station can't be served
+        if (dish.finalStepCooking) return false;
+        
         // Check required ingredients are added and prepared
         const requiredIngredients = dish.ingredients.filter(ing => ing.required);
         for (const ingredient of requiredIngredients) {
@@ -497,71 +644,525 @@ class DishSystem {
             }
         }
         
+        // Anything the customer asked to leave out must stay out
+        if (dish.ingredients.some(ing => ing.forbidden && dish.currentIngredients.has(ing.id))) {
+            return false;
+        }
+        
+        return true;
+    }
+
+    // Finish a station prep step when the cooked item is retrieved
+    completeStationStep(dish, ingredientId, cookedState = 'ready') {
+        if (!dish) return false;
+        
+        const ingredient = dish.ingredients.find(ing => ing.id === ingredientId);
+        const ingredientState = dish.ingredientStates.get(ingredientId);
+        if (!ingredient || !ingredientState || !ingredientState.isCooking) return false;
+        
+        ingredientState.isCooking = false;
+        ingredientState.prepStepsCompleted++;
+        ingredientState.cookedState = cookedState;
+        
+        if (cookedState === 'burnt') {
+            ingredientState.ruined = true;
+        }
+        
+        if (ingredientState.prepStepsCompleted >= ingredient.prepSteps.length) {
+            ingredientState.isReady = true;
+        }
+        
+        return true;
+    }
+
+    // Finish a station final step when the whole dish is retrieved
+    completeStationFinalStep(dish, cookedState = 'ready') {
+        if (!dish || !dish.finalStepCooking) return false;
+        
+        dish.finalStepCooking = false;
+        dish.finalCookedState = cookedState;
+        this.advanceFinalStep(dish);
+        
         return true;
     }
 
+    // Count overcooked and ruined (burnt) ingredients in a dish, and well-done
+    // requests that came off the station only just ready
+    getDishQuality(dish) {
+        const quality = { overcooked: 0, ruined: 0, wrongDoneness: 0 };
+        if (!dish) return quality;
+        
+        for (const [ingredientId, state] of dish.ingredientStates) {
+            const ingredient = dish.ingredients.find(ing => ing.id === ingredientId);
+            const wellDone = ingredient && ingredient.wellDone;
+            
+            if (state.ruined) {
+                quality.ruined++;
+            } else if (state.cookedState === 'overcooked' && !wellDone) {
+                quality.overcooked++;
+            } else if (state.cookedState === 'ready' && wellDone) {
+                quality.wrongDoneness++;
+            }
+        }
+        
+        // Station final steps (e.g. baking) affect the whole dish
+        if (dish.finalCookedState === 'burnt') {
+            quality.ruined++;
+        } else if (dish.finalCookedState === 'overcooked') {
+            quality.overcooked++;
+        }
+        
+        return quality;
+    }
+
     // Reset dish state
-    resetDish(dishId) {
-        const dish = this.getDish(dishId);
+    resetDish(dish) {
         if (!dish) return false;
         
         dish.currentIngredients.clear();
         dish.ingredientStates.clear();
         dish.finalStepsProgress = 0;
+        dish.finalStepCooking = false;
+        dish.finalCookedState = null;
         dish.isComplete = false;
         
         return true;
     }
 
-    // Get key mappings for a dish
-    getDishKeyMappings(dishId) {
-        const keyMappings = new Map();
-        const dish = this.getDish(dishId);
-        if (!dish) return keyMappings;
+    // Plain-data copy of a dish instance's progress, for saved shifts
+    getDishProgress(dish) {
+        return {
+            currentIngredients: Array.from(dish.currentIngredients),
+            ingredientStates: Array.from(dish.ingredientStates.entries()).map(([id, state]) => ({ ...state, id })),
+            finalStepsProgress: dish.finalStepsProgress,
+            finalStepCooking: dish.finalStepCooking,
+            finalCookedState: dish.finalCookedState,
+            isComplete: dish.isComplete,
+            modifiers: dish.modifiers
+        };
+    }
+
+    // Rebuild a dish instance from getDishProgress() data
+    restoreDishInstance(dishId, progress) {
+        const dish = this.createDishInstance(dishId, progress.modifiers || []);
+        if (!dish) return null;
+        
+        dish.currentIngredients = new Set(progress.currentIngredients);
+        dish.ingredientStates = new Map(progress.ingredientStates.map(({ id, ...state }) => [id, state]));
+        dish.finalStepsProgress = progress.finalStepsProgress;
+        dish.finalStepCooking = progress.finalStepCooking;
+        dish.finalCookedState = progress.finalCookedState;
+        dish.isComplete = progress.isComplete;
+        
+        return dish;
+    }
+
+    // Key the player has bound to an ingredient or tool
+    getBoundKey(type, id, defaultKey) {
+        if (!defaultKey) return defaultKey;
+        return this.keyBindings ? this.keyBindings.getKey(type, id, defaultKey) : defaultKey.toLowerCase();
+    }
+
+    // Key a dish uses for an ingredient or tool, after any conflict remapping
+    getDishKey(dish, type, id, defaultKey) {
+        const remap = dish && this.keyRemaps.get(dish.id);
+        return (remap && remap.get(`${type}:${id}`)) || this.getBoundKey(type, id, defaultKey);
+    }
+
+    // List every key binding a dish declares, in priority order
+    // (ingredients first, each followed by its prep steps, then final steps)
+    getDishKeyEntries(dish) {
+        const entries = [];
+        if (!dish) return entries;
         
-        // Add ingredient keys
         dish.ingredients.forEach(ingredient => {
             const ingredientData = this.getIngredient(ingredient.id);
             if (ingredientData && ingredientData.key) {
-                keyMappings.set(ingredientData.key.toLowerCase(), {
+                entries.push({
                     type: 'ingredient',
                     id: ingredient.id,
                     name: ingredientData.name,
-                    added: dish.currentIngredients.has(ingredient.id)
+                    key: this.getBoundKey('ingredient', ingredient.id, ingredientData.key)
                 });
             }
             
-            // Add keys for ingredient prep steps
-            if (ingredient.prepSteps) {
-                ingredient.prepSteps.forEach(step => {
-                    if (step.key) {
-                        keyMappings.set(step.key.toLowerCase(), {
-                            type: 'tool',
-                            id: step.action,
-                            name: step.description,
-                            ingredientId: ingredient.id
-                        });
-                    }
+            (ingredient.prepSteps || []).forEach(step => {
+                if (step.key) {
+                    entries.push({
+                        type: 'tool',
+                        id: step.action,
+                        name: step.description,
+                        ingredientId: ingredient.id,
+                        key: this.getBoundKey('tool', step.action, step.key)
+                    });
+                }
+            });
+        });
+        
+        (dish.finalSteps || []).forEach(step => {
+            if (step.key && step.key !== 'space') {
+                entries.push({
+                    type: 'tool',
+                    id: step.action,
+                    name: step.description,
+                    key: this.getBoundKey('tool', step.action, step.key)
                 });
             }
         });
         
-        // Add keys for final assembly steps
-        if (dish.finalSteps) {
-            dish.finalSteps.forEach(step => {
-                if (step.key && step.key !== 'space') {
-                    keyMappings.set(step.key.toLowerCase(), {
-                        type: 'tool',
-                        id: step.action,
-                        name: step.description
-                    });
+        return entries;
+    }
+
+    // Find keys a dish binds to more than one ingredient or tool
+    findKeyConflicts(dish) {
+        const owners = new Map(); // key -> first `type:id` that claimed it
+        const conflicts = [];
+        
+        // Special actions (serve, cancel, orders...) always keep their keys
+        if (this.keyBindings) {
+            for (const [key, action] of this.keyBindings.getSpecialKeys()) {
+                owners.set(key, `special:${action}`);
+            }
+        }
+        
+        for (const entry of this.getDishKeyEntries(dish)) {
+            const identity = `${entry.type}:${entry.id}`;
+            const owner = owners.get(entry.key);
+            
+            if (!owner) {
+                owners.set(entry.key, identity);
+            } else if (owner !== identity && !conflicts.some(c => c.key === entry.key && c.loser === identity)) {
+                conflicts.push({ key: entry.key, winner: owner, loser: identity, name: entry.name });
+            }
+        }
+        
+        return conflicts;
+    }
+
+    // Check every dish for key conflicts and optionally remap the losers.
+    // Strategies: 'home-row' (next free key, home row first) or 'none' (report only).
+    validateKeyBindings(strategy = 'home-row') {
+        const report = new Map();
+        
+        for (const dish of this.getAllDishes()) {
+            this.keyRemaps.delete(dish.id);
+            
+            const conflicts = this.findKeyConflicts(dish);
+            if (conflicts.length === 0) continue;
+            
+            if (strategy === 'home-row') {
+                const remap = new Map();
+                const usedKeys = new Set(this.getDishKeyEntries(dish).map(entry => entry.key));
+                const keyOrder = this.keyBindings ? this.keyBindings.getRemapKeyOrder() : KeyBindings.REMAP_KEY_ORDER;
+                
+                if (this.keyBindings) {
+                    this.keyBindings.getSpecialKeys().forEach((action, key) => usedKeys.add(key));
                 }
+                
+                conflicts.forEach(conflict => {
+                    if (remap.has(conflict.loser)) {
+                        conflict.remappedTo = remap.get(conflict.loser);
+                        return;
+                    }
+                    
+                    const freeKey = keyOrder.find(key => !usedKeys.has(key));
+                    if (!freeKey) return;
+                    
+                    usedKeys.add(freeKey);
+                    remap.set(conflict.loser, freeKey);
+                    conflict.remappedTo = freeKey;
+                });
+                
+                this.keyRemaps.set(dish.id, remap);
+            }
+            
+            report.set(dish.id, conflicts);
+            conflicts.forEach(conflict => {
+                const resolution = conflict.remappedTo ? `remapped to "${conflict.remappedTo}"` : 'unresolved';
+                console.warn(`Key conflict in ${dish.name}: "${conflict.key}" is bound to ${conflict.winner} and ${conflict.loser} (${resolution})`);
             });
         }
         
+        return report;
+    }
+
+    // Get key mappings for a dish instance
+    getDishKeyMappings(dish) {
+        const keyMappings = new Map();
+        if (!dish) return keyMappings;
+        
+        // Entries come in priority order, so an earlier binding is never overwritten.
+        // Their keys are already bound to the player's layout; only conflict remaps are left to apply
+        const remap = this.keyRemaps.get(dish.id);
+        this.getDishKeyEntries(dish).forEach(({ key, ...entry }) => {
+            const resolvedKey = (remap && remap.get(`${entry.type}:${entry.id}`)) || key;
+            if (keyMappings.has(resolvedKey)) return;
+            
+            if (entry.type === 'ingredient') {
+                entry.added = dish.currentIngredients.has(entry.id);
+            }
+            keyMappings.set(resolvedKey, entry);
+        });
+        
         return keyMappings;
     }
+
+    /*
+     * Recipe packs
+     *
+     * A pack is a JSON document with the same shapes used above:
+     * {
+     *   "name": "Breakfast Pack",
+     *   "mode": "merge" | "replace",
+     *   "ingredients": [{ "id", "name", "type", "color", "key" }],
+     *   "tools": [{ "id", "name", "type", "color", "key" }],
+     *   "cookingStations": [{ "id", "name", "allowedActions", "color", "cookingSlots" }],
+     *   "dishes": [{ "id", "name", "station", "baseColor", "ingredients", "finalSteps", "difficulty", "prepTime" }]
+     * }
+     * "merge" adds to (or overrides) the built-in menu; "replace" swaps out the
+     * dish menu while keeping the ingredient, tool and station catalog.
+     */
+
+    // Load a recipe pack from a URL or an already parsed object
+    async loadPack(source, options = {}) {
+        let pack = source;
+        
+        if (typeof source === 'string') {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new RecipePackError(source, [`Could not load pack (HTTP ${response.status})`]);
+            }
+            pack = await response.json();
+        }
+        
+        const packName = (pack && pack.name) || (typeof source === 'string' ? source : 'unnamed pack');
+        const mode = options.mode || (pack && pack.mode) || 'merge';
+        
+        const errors = this.validatePack(pack, mode);
+        if (errors.length > 0) {
+            throw new RecipePackError(packName, errors);
+        }
+        
+        this.applyPack(pack, mode);
+        const keyConflicts = this.validateKeyBindings(options.keyStrategy);
+        
+        console.log(`Loaded recipe pack "${packName}" (${mode}): ${(pack.dishes || []).length} dishes`);
+        return {
+            name: packName,
+            mode,
+            dishes: (pack.dishes || []).map(dish => dish.id),
+            stations: (pack.cookingStations || []).map(station => station.id),
+            keyConflicts
+        };
+    }
+
+    // Load packs named in the page URL (?pack=packs/example-pack.json)
+    async loadStartupPacks() {
+        if (typeof window === 'undefined' || !window.location) return [];
+        
+        const packUrls = new URLSearchParams(window.location.search).getAll('pack');
+        const loaded = [];
+        
+        for (const url of packUrls) {
+            try {
+                loaded.push(await this.loadPack(url));
+            } catch (error) {
+                console.error(error.message);
+            }
+        }
+        
+        return loaded;
+    }
+
+    // Check a pack against the current menu; returns a list of error messages
+    validatePack(pack, mode = 'merge') {
+        const errors = [];
+        
+        if (!pack || typeof pack !== 'object') {
+            return ['Pack must be a JSON object'];
+        }
+        
+        if (mode !== 'merge' && mode !== 'replace') {
+            errors.push(`Unknown mode "${mode}" (expected "merge" or "replace")`);
+        }
+        
+        if (mode === 'replace' && (!Array.isArray(pack.dishes) || pack.dishes.length === 0)) {
+            errors.push('A "replace" pack must define at least one dish');
+        }
+        
+        const sections = ['ingredients', 'tools', 'cookingStations', 'dishes'];
+        for (const section of sections) {
+            if (pack[section] !== undefined && !Array.isArray(pack[section])) {
+                errors.push(`"${section}" must be an array`);
+            }
+        }
+        if (errors.length > 0) return errors;
+        
+        // Build the catalog as it would look after loading
+        const ingredients = new Map(this.ingredients);
+        const tools = new Map(this.tools);
+        const stations = new Map(this.cookingStations);
+        
+        const checkEntry = (section, entry, fields) => {
+            if (!entry || !entry.id) {
+                errors.push(`${section}: entry without an "id"`);
+                return false;
+            }
+            const missing = fields.filter(field => entry[field] === undefined);
+            if (missing.length > 0) {
+                errors.push(`${section} "${entry.id}": missing ${missing.join(', ')}`);
+                return false;
+            }
+            return true;
+        };
+        
+        (pack.ingredients || []).forEach(entry => {
+            if (!checkEntry('ingredients', entry, ['name', 'type', 'key'])) return;
+            if (entry.cost !== undefined && !(Number.isFinite(entry.cost) && entry.cost >= 0)) {
+                errors.push(`ingredients "${entry.id}": cost must be a number of cents`);
+            }
+            ingredients.set(entry.id, entry);
+        });
+        (pack.tools || []).forEach(entry => {
+            if (checkEntry('tools', entry, ['name', 'type', 'key'])) tools.set(entry.id, entry);
+        });
+        (pack.cookingStations || []).forEach(entry => {
+            if (checkEntry('cookingStations', entry, ['name', 'allowedActions'])) stations.set(entry.id, entry);
+        });
+        
+        // Ingredient and tool keys must be unique across the whole catalog
+        const keyOwners = new Map();
+        const claimKey = (kind, item) => {
+            const key = String(item.key).toLowerCase();
+            const owner = keyOwners.get(key);
+            if (owner) {
+                errors.push(`Key collision on "${key}": ${owner} and ${kind} "${item.id}"`);
+            } else {
+                keyOwners.set(key, `${kind} "${item.id}"`);
+            }
+        };
+        ingredients.forEach(item => claimKey('ingredient', item));
+        tools.forEach(item => claimKey('tool', item));
+        
+        // Stations may only allow known tool actions
+        for (const [stationId, station] of stations) {
+            (station.allowedActions || []).forEach(action => {
+                if (!tools.has(action)) {
+                    errors.push(`Station "${stationId}": unknown tool action "${action}"`);
+                }
+            });
+        }
+        
+        const checkStep = (where, step) => {
+            if (!step || !step.action) {
+                errors.push(`${where}: step without an "action"`);
+                return;
+            }
+            if (!tools.has(step.action)) {
+                errors.push(`${where}: unknown tool action "${step.action}"`);
+            }
+            if (step.station && !stations.has(step.station)) {
+                errors.push(`${where}: unknown station "${step.station}"`);
+            } else if (step.station && tools.has(step.action) && !stations.get(step.station).allowedActions.includes(step.action)) {
+                errors.push(`${where}: station "${step.station}" does not allow "${step.action}"`);
+            }
+        };
+        
+        (pack.dishes || []).forEach(dish => {
+            if (!checkEntry('dishes', dish, ['name', 'ingredients'])) return;
+            
+            if (dish.station && !stations.has(dish.station)) {
+                errors.push(`Dish "${dish.id}": unknown station "${dish.station}"`);
+            }
+            if (!Array.isArray(dish.ingredients) || dish.ingredients.length === 0) {
+                errors.push(`Dish "${dish.id}": needs at least one ingredient`);
+                return;
+            }
+            
+            dish.ingredients.forEach(ingredient => {
+                if (!ingredient || !ingredient.id) {
+                    errors.push(`Dish "${dish.id}": ingredient entry without an "id"`);
+                    return;
+                }
+                if (!ingredients.has(ingredient.id)) {
+                    errors.push(`Dish "${dish.id}": missing ingredient "${ingredient.id}"`);
+                }
+                (ingredient.prepSteps || []).forEach(step => {
+                    checkStep(`Dish "${dish.id}" ingredient "${ingredient.id}"`, step);
+                });
+            });
+            
+            (dish.finalSteps || []).forEach(step => {
+                checkStep(`Dish "${dish.id}" final step`, step);
+            });
+        });
+        
+        return errors;
+    }
+
+    // Add a validated pack to the menu
+    applyPack(pack, mode = 'merge') {
+        (pack.ingredients || []).forEach(({ id, name, type, color, key, cost }) => {
+            this.addIngredient(id, name, type, color || '#f8f9fa', key, cost);
+        });
+        
+        (pack.tools || []).forEach(({ id, name, type, color, key }) => {
+            this.addTool(id, name, type, color || '#c0c0c0', key);
+        });
+        
+        (pack.cookingStations || []).forEach(({ id, ...config }) => {
+            this.cookingStations.set(id, { color: '#6c757d', ...config });
+        });
+        
+        if (mode === 'replace') {
+            this.dishes.clear();
+        }
+        
+        // Steps default to their tool's key so packs don't have to repeat it
+        const withKey = step => ({ ...step, key: step.key || this.getTool(step.action).key });
+        
+        (pack.dishes || []).forEach(({ id, ...dishData }) => {
+            this.addDish(id, {
+                station: 'prep',
+                baseColor: '#e9ecef',
+                difficulty: 1,
+                prepTime: 45,
+                ...dishData,
+                ingredients: dishData.ingredients.map(ingredient => ({
+                    required: false,
+                    ...ingredient,
+                    prepSteps: (ingredient.prepSteps || []).map(withKey)
+                })),
+                finalSteps: (dishData.finalSteps || []).map(withKey)
+            });
+        });
+    }
 }
 
+// Unit cost in cents of each ingredient type, for ingredients that don't set their own
+DishSystem.INGREDIENT_COSTS = {
+    meat: 120,
+    vegetable: 20,
+    dairy: 40,
+    grain: 30,
+    sauce: 10,
+    seasoning: 5,
+    default: 25
+};
+
+// Share of orders that come with special requests, and the most one order can have
+DishSystem.MODIFIER_CHANCE = 0.35;
+DishSystem.MAX_MODIFIERS = 2;
+
+// Stations where a customer can ask for an ingredient well done
+DishSystem.WELL_DONE_STATIONS = ['grill'];
+
+DishSystem.MODIFIER_LABELS = {
+    extra: 'Extra',
+    without: 'No',
+    wellDone: 'Well-done'
+};
+
 // Global dish system instance
-window.dishSystem = new DishSystem();
+window.RecipePackError = RecipePackError;
+window.dishSystem = new DishSystem(window.keyBindings);
@@ -0,0 +1,41 @@
+/**
+ * Event Emitter - Publish/subscribe base for the game core
+ * Core systems emit state-change events; the view layer subscribes and renders them
+ */
+
+class EventEmitter {
+    constructor() {
+        this.eventListeners = new Map(); // event name -> listeners
+    }
+
+    // Subscribe to an event; returns a function that unsubscribes
+    on(eventName, listener) {
+        if (!this.eventListeners.has(eventName)) {
+            this.eventListeners.set(eventName, []);
+        }
+        this.eventListeners.get(eventName).push(listener);
+
+        return () => this.off(eventName, listener);
+    }
+
+    off(eventName, listener) {
+        const listeners = this.eventListeners.get(eventName);
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(eventName, payload = {}) {
+        const listeners = this.eventListeners.get(eventName);
+        if (!listeners) return;
+
+        // Copy so listeners can unsubscribe while being called
+        listeners.slice().forEach(listener => listener(payload));
+    }
+}
+
+// Event emitter base class for the game core
+window.EventEmitter = EventEmitter;
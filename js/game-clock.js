@@ -0,0 +1,163 @@
+/**
+ * Game Clock - Single simulation clock for the whole game
+ * Driven by requestAnimationFrame while running. Orders, cooking stations and
+ * the game timer schedule their callbacks here instead of using setTimeout and
+ * setInterval, so pausing freezes everything, time can be sped up or slowed
+ * down, and tests can step time forward by hand with advance()
+ */
+
+class GameClock {
+    constructor() {
+        this.time = 0; // Simulated milliseconds; only moves while running or advanced
+        this.timeScale = 1;
+        this.isRunning = false;
+        this.timers = new Map(); // id -> { id, dueTime, interval, callback }
+        this.nextTimerId = 1;
+        this.lastFrameTime = null;
+        this.frameRequest = null;
+    }
+
+    // Current simulated time in milliseconds
+    now() {
+        return this.time;
+    }
+
+    // Start advancing with real time
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.lastFrameTime = null;
+        this.requestFrame();
+    }
+
+    // Freeze time; scheduled callbacks wait until the clock starts again
+    pause() {
+        this.isRunning = false;
+
+        if (this.frameRequest !== null) {
+            GameClock.cancelFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+    }
+
+    // Speed up (> 1) or slow down (< 1) the simulation
+    setTimeScale(scale) {
+        if (!(scale > 0)) return false;
+
+        this.timeScale = scale;
+        return true;
+    }
+
+    requestFrame() {
+        this.frameRequest = GameClock.requestFrame((frameTime) => this.onFrame(frameTime));
+    }
+
+    onFrame(frameTime) {
+        this.frameRequest = null;
+        if (!this.isRunning) return;
+
+        // Long gaps (e.g. a background tab) count as at most one short frame
+        if (this.lastFrameTime !== null) {
+            const elapsed = Math.min(frameTime - this.lastFrameTime, GameClock.MAX_FRAME_TIME);
+            this.advance(Math.max(0, elapsed) * this.timeScale);
+        }
+        this.lastFrameTime = frameTime;
+
+        if (this.isRunning) {
+            this.requestFrame();
+        }
+    }
+
+    // Move time forward, firing due callbacks in order (works while paused, for tests)
+    advance(milliseconds) {
+        const targetTime = this.time + milliseconds;
+
+        let timer = this.getNextTimer(targetTime);
+        while (timer) {
+            this.time = Math.max(this.time, timer.dueTime);
+
+            if (timer.interval) {
+                timer.dueTime += timer.interval;
+            } else {
+                this.timers.delete(timer.id);
+            }
+            timer.callback();
+
+            timer = this.getNextTimer(targetTime);
+        }
+
+        this.time = Math.max(this.time, targetTime);
+    }
+
+    // Earliest callback due by `targetTime`
+    getNextTimer(targetTime) {
+        let next = null;
+        for (const timer of this.timers.values()) {
+            if (timer.dueTime > targetTime) continue;
+            if (!next || timer.dueTime < next.dueTime) {
+                next = timer;
+            }
+        }
+        return next;
+    }
+
+    // Run a callback once after `delay` ms of game time; returns an id for cancel()
+    schedule(delay, callback) {
+        return this.addTimer(delay, 0, callback);
+    }
+
+    // Run a callback every `interval` ms of game time; returns an id for cancel()
+    every(interval, callback) {
+        return this.addTimer(interval, Math.max(1, interval), callback);
+    }
+
+    addTimer(delay, interval, callback) {
+        const id = this.nextTimerId++;
+        this.timers.set(id, {
+            id,
+            dueTime: this.time + Math.max(0, delay),
+            interval,
+            callback
+        });
+        return id;
+    }
+
+    // Milliseconds until a scheduled callback runs (null if it isn't scheduled)
+    getTimeUntil(timerId) {
+        const timer = this.timers.get(timerId);
+        return timer ? Math.max(0, timer.dueTime - this.time) : null;
+    }
+
+    cancel(timerId) {
+        this.timers.delete(timerId);
+    }
+
+    // Drop every scheduled callback
+    clearTimers() {
+        this.timers.clear();
+    }
+
+    static requestFrame(callback) {
+        if (typeof requestAnimationFrame === 'function') {
+            return requestAnimationFrame(callback);
+        }
+        return setTimeout(() => callback(Date.now()), 16);
+    }
+
+    static cancelFrame(frameRequest) {
+        if (typeof cancelAnimationFrame === 'function') {
+            cancelAnimationFrame(frameRequest);
+        } else {
+            clearTimeout(frameRequest);
+        }
+    }
+}
+
+GameClock.MAX_FRAME_TIME = 250;
+
+// Clock used when a system isn't given one
+GameClock.system = new GameClock();
+
+// Game clock will be initialized by the game
+window.GameClock = GameClock;
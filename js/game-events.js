@@ -0,0 +1,69 @@
+/**
+ * Game Events - Lifecycle event bus for add-ons
+ * Audio, achievements, analytics and tutorials subscribe here instead of
+ * patching core files. Only the event types listed in GameEvents.TYPES can be
+ * emitted or subscribed to, so a typo fails loudly instead of never firing.
+ */
+
+class GameEvents extends EventEmitter {
+    // Subscribe to one event type, or '*' for every event as { type, ...payload }
+    on(eventName, listener) {
+        GameEvents.assertType(eventName);
+        return super.on(eventName, listener);
+    }
+
+    emit(eventName, payload = {}) {
+        GameEvents.assertType(eventName);
+
+        this.notify(eventName, payload);
+        this.notify('*', { type: eventName, ...payload });
+    }
+
+    // Call listeners one at a time so a broken add-on can't stop the game
+    notify(eventName, payload) {
+        const listeners = this.eventListeners.get(eventName);
+        if (!listeners) return;
+
+        listeners.slice().forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${eventName} listener:`, error);
+            }
+        });
+    }
+
+    static assertType(eventName) {
+        if (eventName !== '*' && !GameEvents.TYPES[eventName]) {
+            throw new Error(`Unknown game event: ${eventName}`);
+        }
+    }
+}
+
+// Event type -> payload fields
+GameEvents.TYPES = {
+    'game:started': ['resumed'],
+    'game:paused': [],
+    'game:ended': ['stats'],
+    'game:reset': [],
+    'game:tick': ['gameTime'],
+    'order:spawned': ['order'],
+    'order:selected': ['order'],
+    'order:itemServed': ['order', 'item'],
+    'order:completed': ['order', 'rating', 'score', 'tip'],
+    'order:expired': ['order', 'score'],
+    'ingredient:added': ['dish', 'ingredientId'],
+    'tool:used': ['dish', 'toolId'],
+    'dish:cancelled': ['order', 'dish', 'wasted'],
+    'action:failed': ['type', 'id', 'dish'],
+    'key:unmapped': ['key'],
+    'station:itemStarted': ['station', 'slotIndex', 'item'],
+    'station:itemReady': ['station', 'slotIndex', 'item'],
+    'station:itemOvercooked': ['station', 'slotIndex', 'item'],
+    'station:itemBurnt': ['station', 'slotIndex', 'item'],
+    'station:itemRemoved': ['station', 'slotIndex'],
+    'campaign:dayEnded': ['result']
+};
+
+// Game events will be initialized by the kitchen
+window.GameEvents = GameEvents;
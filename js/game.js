@@ -4,19 +4,76 @@
 
 class CookTapGame {
     constructor() {
-        this.dishSystem = window.dishSystem;
-        this.cookingStationManager = new CookingStationManager(this.dishSystem);
-        this.orderSystem = new OrderSystem(this.dishSystem);
-        this.inputHandler = new InputHandler(this);
+        // The rules live in the headless Kitchen; this class connects it to the page
+        this.kitchen = new Kitchen({
+            dishSystem: window.dishSystem,
+            random: new SeededRandom(SeededRandom.getUrlSeed())
+        });
+        
+        // Shortcuts to the core systems
+        this.dishSystem = this.kitchen.dishSystem;
+        this.keyBindings = this.kitchen.keyBindings;
+        this.clock = this.kitchen.clock;
+        this.recorder = this.kitchen.recorder;
+        this.random = this.kitchen.random;
+        this.difficulty = this.kitchen.difficulty;
+        this.orderSystem = this.kitchen.orderSystem;
+        this.cookingStationManager = this.kitchen.cookingStationManager;
+        
+        // Views render the core's events
+        this.stationView = new StationView(this.cookingStationManager, this.dishSystem, this.clock);
+        this.orderView = new OrderView(this.orderSystem, (orderId) => this.selectOrder(orderId));
+        this.hintsView = new HintsView(this.kitchen);
+        this.daySummaryView = new DaySummaryView(this.dishSystem);
+        
+        // Sound plays from the kitchen's event bus like any other add-on
+        this.soundEngine = new SoundEngine();
+        this.kitchen.use(this.soundEngine);
+        
+        this.achievements = new Achievements();
+        this.kitchen.use(this.achievements);
+        this.achievementsView = new AchievementsView(this.achievements);
+        
+        this.highScores = new HighScores();
+        this.kitchen.use(this.highScores);
+        this.resultsView = new ResultsView(this.highScores, this.dishSystem, {
+            export: () => this.downloadHighScores(),
+            report: () => this.showShiftReport(),
+            shop: () => this.shopView.open()
+        });
+        
+        this.inventory = new Inventory(this.dishSystem);
+        this.kitchen.use(this.inventory);
+        this.upgrades = new Upgrades(this.inventory);
+        this.kitchen.use(this.upgrades);
+        this.shopView = new ShopView(this.inventory, this.dishSystem, this.upgrades);
         
-        this.isRunning = false;
-        this.gameTime = 0;
-        this.gameTimer = null;
+        this.shiftReport = new ShiftReport();
+        this.kitchen.use(this.shiftReport);
+        this.reportView = new ReportView((report) => this.downloadShiftReport(report));
+        
+        this.inputHandler = new InputHandler(this);
+        this.settingsPanel = new SettingsPanel(this);
+        this.campaign = new Campaign(this.dishSystem);
+        this.shiftSave = new ShiftSave();
         
         this.setupUI();
+        this.bindKitchenEvents();
         this.initializeGame();
     }
 
+    get isRunning() {
+        return this.kitchen.isRunning;
+    }
+
+    get gameTime() {
+        return this.kitchen.gameTime;
+    }
+
+    get replay() {
+        return this.kitchen.replay;
+    }
+
     setupUI() {
         // Update game time display
         this.gameTimeElement = document.getElementById('game-time');
@@ -43,9 +100,24 @@ class CookTapGame {
             const controls = document.createElement('div');
             controls.className = 'game-controls';
             controls.innerHTML = `
+                <div id="difficulty-options" class="difficulty-options">
+                    <select id="difficulty-select" title="Difficulty">
+                        ${Object.entries(Difficulty.PRESETS).map(([presetId, preset]) => `
+                            <option value="${presetId}" ${presetId === this.difficulty.preset ? 'selected' : ''}>${preset.name}</option>
+                        `).join('')}
+                    </select>
+                    <label title="Orders speed up over time and as you play better">
+                        <input type="checkbox" id="dynamic-difficulty" ${this.difficulty.dynamic ? 'checked' : ''}> Dynamic
+                    </label>
+                </div>
                 <button id="start-game-btn" class="btn btn-success">Start Game</button>
+                <button id="campaign-btn" class="btn btn-success">Campaign</button>
                 <button id="pause-game-btn" class="btn btn-warning" style="display: none;">Pause</button>
                 <button id="reset-game-btn" class="btn btn-secondary">Reset</button>
+                <button id="high-scores-btn" class="btn btn-secondary">High Scores</button>
+                <button id="shop-btn" class="btn btn-secondary">Shop</button>
+                <button id="achievements-btn" class="btn btn-secondary">Achievements</button>
+                <button id="settings-btn" class="btn btn-secondary">Settings</button>
             `;
             header.appendChild(controls);
 
@@ -54,6 +126,18 @@ class CookTapGame {
                 this.startGame();
             });
 
+            document.getElementById('difficulty-select').addEventListener('change', (event) => {
+                this.setDifficulty(event.target.value);
+            });
+
+            document.getElementById('dynamic-difficulty').addEventListener('change', (event) => {
+                this.setDynamicDifficulty(event.target.checked);
+            });
+
+            document.getElementById('campaign-btn').addEventListener('click', () => {
+                this.startCampaignDay();
+            });
+
             document.getElementById('pause-game-btn').addEventListener('click', () => {
                 this.pauseGame();
             });
@@ -61,6 +145,31 @@ class CookTapGame {
             document.getElementById('reset-game-btn').addEventListener('click', () => {
                 this.resetGame();
             });
+
+            document.getElementById('high-scores-btn').addEventListener('click', () => {
+                if (this.isRunning) {
+                    this.pauseGame();
+                }
+                this.resultsView.openLeaderboard();
+            });
+
+            document.getElementById('shop-btn').addEventListener('click', () => {
+                if (this.isRunning) {
+                    this.pauseGame();
+                }
+                this.shopView.open();
+            });
+
+            document.getElementById('achievements-btn').addEventListener('click', () => {
+                if (this.isRunning) {
+                    this.pauseGame();
+                }
+                this.achievementsView.openGallery();
+            });
+
+            document.getElementById('settings-btn').addEventListener('click', () => {
+                this.settingsPanel.open();
+            });
         }
 
         // Add CSS for buttons
@@ -108,6 +217,18 @@ class CookTapGame {
                 background-color: #5a6268;
             }
             
+            .difficulty-options {
+                display: flex;
+                align-items: center;
+                gap: 0.5rem;
+                font-size: 0.9rem;
+            }
+            
+            .difficulty-options select {
+                padding: 0.4rem;
+                border-radius: 4px;
+            }
+            
             .help-section {
                 min-width: 300px;
             }
@@ -204,345 +325,372 @@ class CookTapGame {
     }
 
     initializeGame() {
-        // Initialize cooking stations display
-        this.cookingStationManager.initializeStations();
-        
         // Show initial help
-        this.updateHelpDisplay();
+        this.hintsView.updateGeneralKeys();
+        this.hintsView.refresh();
+        this.updateSeedDisplay();
+        
+        // Add-on scripts queue themselves in window.cookTapPlugins before the game loads
+        (window.cookTapPlugins || []).forEach(plugin => this.kitchen.use(plugin));
+        
+        this.resumeSavedShift();
+        
+        // Closing or reloading the tab keeps the shift for next time
+        window.addEventListener('pagehide', () => this.saveShift());
         
         console.log('Cook Tap Game initialized!');
         console.log('Available dishes:', this.dishSystem.getAllDishes().map(d => d.name));
     }
 
-    startGame() {
-        if (this.isRunning) return;
-        
-        this.isRunning = true;
-        this.gameTime = 0;
-        
-        // Start systems
-        this.orderSystem.start();
-        this.inputHandler.startListening();
-        
-        // Start game timer
-        this.gameTimer = setInterval(() => {
-            this.gameTime++;
+    // Keep the page in step with the kitchen, whoever started or stopped it
+    bindKitchenEvents() {
+        this.kitchen.on('started', () => {
+            this.inputHandler.startListening();
+            this.updateSeedDisplay();
+            
+            document.getElementById('start-game-btn').style.display = 'none';
+            document.getElementById('campaign-btn').style.display = 'none';
+            document.getElementById('difficulty-options').style.display = 'none';
+            document.getElementById('pause-game-btn').style.display = 'inline-block';
+            
+            console.log('Game started!');
+        });
+
+        this.kitchen.on('paused', () => {
+            this.inputHandler.stopListening();
+            
+            document.getElementById('start-game-btn').style.display = 'inline-block';
+            document.getElementById('pause-game-btn').style.display = 'none';
+            document.getElementById('start-game-btn').textContent = 'Resume';
+            
+            this.saveShift();
+            console.log('Game paused!');
+        });
+
+        this.kitchen.on('reset', () => {
+            // Leave campaign mode
+            this.campaign.abandonDay();
+            this.updateCampaignDisplay();
             this.updateGameTimeDisplay();
-        }, 1000);
-        
-        // Update UI
-        document.getElementById('start-game-btn').style.display = 'none';
-        document.getElementById('pause-game-btn').style.display = 'inline-block';
-        
-        console.log('Game started!');
-    }
+            
+            document.getElementById('start-game-btn').textContent = 'Start Game';
+            document.getElementById('campaign-btn').style.display = 'inline-block';
+            document.getElementById('difficulty-options').style.display = '';
+            
+            this.shiftSave.clear();
+            console.log('Game reset!');
+        });
 
-    pauseGame() {
-        if (!this.isRunning) return;
-        
-        this.isRunning = false;
-        
-        // Stop systems
-        this.orderSystem.stop();
-        this.inputHandler.stopListening();
-        
-        // Stop game timer
-        if (this.gameTimer) {
-            clearInterval(this.gameTimer);
-            this.gameTimer = null;
-        }
-        
-        // Update UI
-        document.getElementById('start-game-btn').style.display = 'inline-block';
-        document.getElementById('pause-game-btn').style.display = 'none';
-        document.getElementById('start-game-btn').textContent = 'Resume';
-        
-        console.log('Game paused!');
+        this.kitchen.on('tick', ({ gameTime }) => {
+            this.updateGameTimeDisplay();
+            
+            if (this.campaign.isDayOver(gameTime)) {
+                this.endCampaignDay();
+            } else if (gameTime % CookTapGame.AUTOSAVE_SECONDS === 0) {
+                this.saveShift();
+            }
+        });
+
+        this.kitchen.on('seedChanged', () => this.updateSeedDisplay());
+
+        // Campaign days end on their own summary screen instead
+        this.highScores.on('recorded', (result) => {
+            if (!this.daySummaryView.element) {
+                this.resultsView.show(result);
+            }
+        });
+
+        this.inventory.on('changed', () => this.updateMoneyDisplay());
+        this.updateMoneyDisplay();
     }
 
-    resetGame() {
-        this.pauseGame();
-        
-        // Reset all systems
-        this.orderSystem.clearAllOrders();
-        this.cookingStationManager.clearCurrentDish();
-        
-        // Reset dishes
-        for (const dish of this.dishSystem.getAllDishes()) {
-            this.dishSystem.resetDish(dish.id);
-        }
-        
-        // Reset game state
-        this.gameTime = 0;
-        this.updateGameTimeDisplay();
-        
-        // Update UI
-        document.getElementById('start-game-btn').textContent = 'Start Game';
-        this.inputHandler.clearKeyHints();
-        this.updateHelpDisplay();
-        
-        console.log('Game reset!');
+    startGame() {
+        this.kitchen.start();
     }
 
-    updateGameTimeDisplay() {
-        if (this.gameTimeElement) {
-            const minutes = Math.floor(this.gameTime / 60);
-            const seconds = this.gameTime % 60;
-            this.gameTimeElement.textContent = 
-                `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-        }
+    pauseGame() {
+        this.kitchen.pause();
     }
 
-    // Select an order to work on
-    selectOrder(orderId) {
-        const order = this.orderSystem.selectOrder(orderId);
-        if (!order) return false;
-        
-        // Set up cooking station for this dish
-        this.cookingStationManager.setActiveDish(order.dishId);
-        
-        // Update key hints
-        this.inputHandler.updateKeyHints(order.dishId);
-        this.updateHelpDisplay();
-        
-        console.log(`Selected order: ${order.dishName}`);
-        return true;
+    resetGame() {
+        this.kitchen.reset();
     }
 
-    // Add ingredient to current dish
-    addIngredient(dishId, ingredientId) {
-        const success = this.dishSystem.addIngredientToDish(dishId, ingredientId);
+    // Save the shift in progress, if there is one
+    saveShift() {
+        if (!this.kitchen.isRunning && !this.kitchen.isPaused) return false;
         
-        if (success) {
-            // Update station display
-            const currentStation = this.cookingStationManager.activeStation;
-            if (currentStation) {
-                this.cookingStationManager.updateStationDisplay(currentStation.id, dishId);
-            }
-            
-            // Show feedback
-            const ingredient = this.dishSystem.getIngredient(ingredientId);
-            if (ingredient) {
-                this.inputHandler.showKeyFeedback(ingredient.key, true);
-                console.log(`Added ingredient: ${ingredient.name}`);
-            }
-        } else {
-            // Show failure feedback
-            console.log(`Failed to add ingredient: ${ingredientId}`);
-            this.inputHandler.showKeyFeedback('invalid', false);
-        }
-        
-        this.updateHelpDisplay();
-        return success;
+        return this.shiftSave.save(this.kitchen, {
+            campaignDay: this.campaign.isActive() ? this.campaign.currentDay.number : null
+        });
     }
 
-    // Use tool on current dish
-    useTool(dishId, toolId) {
-        const dish = this.dishSystem.getDish(dishId);
-        if (!dish) {
-            console.log(`Dish not found: ${dishId}`);
-            return false;
-        }
-        
-        const tool = this.dishSystem.getTool(toolId);
-        if (!tool) {
-            console.log(`Tool not found: ${toolId}`);
+    // Pick up a shift saved by an earlier visit, paused and ready to resume
+    resumeSavedShift() {
+        const snapshot = this.shiftSave.load();
+        if (!snapshot) return false;
+        
+        try {
+            this.kitchen.restoreSnapshot(snapshot);
+            if (snapshot.extra && snapshot.extra.campaignDay) {
+                this.campaign.startDay(snapshot.extra.campaignDay);
+            }
+        } catch (error) {
+            console.warn('Could not resume saved shift:', error);
+            this.resetGame();
+            this.shiftSave.clear();
             return false;
         }
         
-        console.log(`Using tool ${toolId} (${tool.name}) on dish ${dishId}`);
-        
-        // Use the updated dish system workflow
-        const success = this.dishSystem.useToolOnDish(dishId, toolId);
+        this.updateCampaignDisplay();
+        this.updateGameTimeDisplay();
+        this.updateSeedDisplay();
         
-        if (success) {
-            this.inputHandler.showKeyFeedback(tool.key, true);
-            console.log(`Successfully used tool: ${tool.name}`);
-            
-            // Handle cooking actions that require station switches
-            // Check if this tool triggers a cooking station action
-            for (const ingredient of dish.ingredients) {
-                if (!dish.currentIngredients.has(ingredient.id)) continue;
-                
-                const ingredientState = dish.ingredientStates.get(ingredient.id);
-                if (!ingredientState || ingredientState.isReady) continue;
-                
-                // Check if we just completed a prep step that requires a cooking station
-                if (ingredient.prepSteps && ingredient.prepSteps.length > ingredientState.prepStepsCompleted - 1) {
-                    const completedStep = ingredient.prepSteps[ingredientState.prepStepsCompleted - 1];
-                    if (completedStep && completedStep.action === toolId && completedStep.station && completedStep.station !== 'prep') {
-                        // Switch to cooking station and start cooking
-                        this.cookingStationManager.setActiveDish(dishId, completedStep.station);
-                        
-                        this.cookingStationManager.handleCookingAction(
-                            toolId,
-                            ingredient.id
-                        );
-                        
-                        console.log(`Started cooking: ${toolId} on ${completedStep.station} station`);
-                        break;
-                    }
-                }
-            }
-        } else {
-            this.inputHandler.showKeyFeedback(tool.key, false);
-            console.log(`Failed to use tool: ${tool.name}`);
-        }
+        document.getElementById('start-game-btn').textContent = 'Resume';
+        document.getElementById('campaign-btn').style.display = 'none';
+        document.getElementById('difficulty-options').style.display = 'none';
         
-        // Update displays
-        const currentStation = this.cookingStationManager.activeStation;
-        if (currentStation) {
-            this.cookingStationManager.updateStationDisplay(currentStation.id, dishId);
-        }
-        this.updateHelpDisplay();
+        // Restoring resets the kitchen first, which clears the save
+        this.saveShift();
         
-        return success;
+        console.log(`Resumed saved shift at ${snapshot.gameTime}s`);
+        return true;
     }
 
-    // Serve completed dish
-    serveDish() {
-        const activeOrder = this.orderSystem.getActiveOrder();
-        if (!activeOrder) {
-            console.log('No active order to serve');
+    // Choose a difficulty preset (easy, normal, hard or chef)
+    setDifficulty(presetId) {
+        if (!this.difficulty.setPreset(presetId)) {
+            console.warn(`Unknown difficulty: ${presetId}`);
             return false;
         }
         
-        const dish = this.dishSystem.getDish(activeOrder.dishId);
-        if (!dish) return false;
-        
-        // Check if dish is valid and ready
-        const isValid = this.dishSystem.isDishValid(activeOrder.dishId);
-        const isComplete = dish.isComplete;
-        
-        if (!isValid) {
-            console.log('Dish is missing required ingredients');
-            this.inputHandler.showKeyFeedback('space', false);
-            return false;
-        }
+        this.orderSystem.applyDifficulty();
+        console.log(`Difficulty set to ${this.difficulty.getName()}`);
+        return true;
+    }
+
+    // Turn dynamic difficulty on or off
+    setDynamicDifficulty(dynamic) {
+        this.difficulty.setDynamic(dynamic);
+        this.orderSystem.applyDifficulty();
+        console.log(`Difficulty set to ${this.difficulty.getName()}`);
+    }
+
+    // Start a campaign day (defaults to the furthest unlocked day)
+    startCampaignDay(dayNumber) {
+        this.resetGame();
         
-        // Complete the order
-        const rating = isComplete ? 'perfect' : 'good';
-        this.orderSystem.completeOrder(activeOrder.id, isValid);
+        const day = this.campaign.startDay(dayNumber);
+        if (!day) return false;
         
-        // Reset dish state
-        this.dishSystem.resetDish(activeOrder.dishId);
-        this.cookingStationManager.clearCurrentDish();
+        this.orderSystem.setMenu(this.campaign.getMenu(day));
+        this.orderSystem.setCampaignSpawnRate(day.spawnRate);
+        this.updateCampaignDisplay();
         
-        // Clear input hints
-        this.inputHandler.clearKeyHints();
-        this.updateHelpDisplay();
+        this.startGame();
         
-        console.log(`Served dish: ${activeOrder.dishName} (${rating})`);
+        console.log(`Campaign day ${day.number} started: ${day.name}`);
         return true;
     }
 
-    // Cancel current dish
-    cancelCurrentDish() {
-        const activeOrder = this.orderSystem.getActiveOrder();
-        if (!activeOrder) return;
+    // Close out the current campaign day and show its summary
+    endCampaignDay() {
+        const result = this.campaign.endDay(this.orderSystem.getStats());
+        if (!result) return null;
+        
+        this.kitchen.events.emit('campaign:dayEnded', { result });
+        
+        this.daySummaryView.show(result, {
+            next: () => this.startCampaignDay(result.nextDay.number),
+            retry: () => this.startCampaignDay(result.day.number),
+            report: () => this.showShiftReport(),
+            shop: () => this.shopView.open()
+        });
         
-        // Reset dish state
-        this.dishSystem.resetDish(activeOrder.dishId);
-        this.cookingStationManager.clearCurrentDish();
+        this.resetGame();
         
-        // Deselect order
-        activeOrder.isActive = false;
-        if (activeOrder.element) {
-            activeOrder.element.classList.remove('active');
-        }
+        console.log(`Campaign day ${result.day.number} ended: ${result.passed ? 'passed' : 'failed'}`);
+        return result;
+    }
+
+    // Play with a fixed seed (null goes back to a new random seed each game)
+    setSeed(seed) {
+        this.kitchen.setSeed(seed);
         
-        // Clear input hints
-        this.inputHandler.clearKeyHints();
-        this.updateHelpDisplay();
+        console.log(this.random.isCustomSeed ? `Seed set to ${this.random.seed}` : 'Seed cleared');
+        return this.random.seed;
+    }
+
+    // Show a chosen seed in the header so players can share it
+    updateSeedDisplay() {
+        const seedStat = document.getElementById('seed-stat');
+        if (!seedStat) return;
         
-        console.log('Cancelled current dish');
+        seedStat.style.display = this.random.isCustomSeed ? '' : 'none';
+        document.getElementById('seed').textContent = this.random.seed;
     }
 
-    // Retrieve cooked items from stations
-    retrieveCookedItems() {
-        const readyItems = this.cookingStationManager.getReadyItems();
+    // Show the current campaign day and target in the header
+    updateCampaignDisplay() {
+        const campaignStat = document.getElementById('campaign-stat');
+        if (!campaignStat) return;
         
-        if (readyItems.length === 0) {
-            console.log('No cooked items ready to retrieve');
-            return false;
-        }
+        const day = this.campaign.currentDay;
+        campaignStat.style.display = day ? '' : 'none';
         
-        const activeOrder = this.orderSystem.getActiveOrder();
-        if (!activeOrder) {
-            console.log('No active order to retrieve items for');
-            return false;
+        if (day) {
+            document.getElementById('campaign-day').textContent = `${day.number} (goal ${day.targetScore})`;
         }
-        
-        const dish = this.dishSystem.getDish(activeOrder.dishId);
-        if (!dish) {
-            console.log(`Dish not found: ${activeOrder.dishId}`);
-            return false;
+    }
+
+    updateGameTimeDisplay() {
+        if (this.gameTimeElement) {
+            // Campaign days count down to closing time
+            const day = this.campaign.currentDay;
+            const displayTime = day ? Math.max(0, day.length - this.gameTime) : this.gameTime;
+            const minutes = Math.floor(displayTime / 60);
+            const seconds = displayTime % 60;
+            this.gameTimeElement.textContent = 
+                `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
         }
-        
-        // Retrieve all ready items
-        let retrieved = 0;
-        readyItems.forEach(({stationId, slotIndex, item}) => {
-            const success = this.cookingStationManager.removeCookedItem(stationId, slotIndex);
-            if (success) {
-                retrieved++;
-                console.log(`Retrieved ${item.name} from ${stationId} station`);
-                
-                // Mark the ingredient as ready in the dish
-                if (item.ingredient) {
-                    const ingredientState = dish.ingredientStates.get(item.ingredient);
-                    if (ingredientState) {
-                        ingredientState.isReady = true;
-                        console.log(`Marked ingredient ${item.ingredient} as ready`);
-                    }
-                }
-            }
-        });
-        
-        if (retrieved > 0) {
-            this.inputHandler.showKeyFeedback('Enter', true);
-            console.log(`Retrieved ${retrieved} cooked items`);
-            
-            // Switch back to prep station so user can continue assembly
-            this.cookingStationManager.setActiveDish(activeOrder.dishId, 'prep');
-            
-            // Update displays
-            this.cookingStationManager.updateAllStationDisplays();
-            this.updateHelpDisplay();
+    }
+
+    updateMoneyDisplay() {
+        const moneyElement = document.getElementById('money');
+        if (moneyElement) {
+            moneyElement.textContent = Customer.formatTip(this.inventory.money);
         }
-        
-        return retrieved > 0;
+    }
+
+    // Select an order to work on
+    selectOrder(orderId) {
+        return this.kitchen.selectOrder(orderId);
     }
 
     // Update help display
     updateHelpDisplay() {
-        this.inputHandler.updateHelpDisplay();
+        this.hintsView.updateHelpDisplay();
+    }
+
+    // Load a recipe pack while the game is open
+    loadRecipePack(source, options = {}) {
+        return this.kitchen.loadRecipePack(source, options);
+    }
+
+    // Play back a session exported by cookTap.exportSession()
+    replaySession(source) {
+        return this.kitchen.replaySession(source);
+    }
+
+    // Save the last recorded session as a .json file
+    downloadSession(filename = `cooktap-session-${Date.now()}.json`) {
+        return this.downloadFile(this.recorder.export(), filename);
+    }
+
+    // Save the leaderboard and personal bests as a .json file
+    downloadHighScores(filename = `cooktap-high-scores-${Date.now()}.json`) {
+        return this.downloadFile(this.highScores.export(), filename);
+    }
+
+    // Open the analytics report for the last game that ended
+    showShiftReport() {
+        const report = this.shiftReport.getLastReport();
+        if (!report) return false;
+        
+        this.reportView.show(report);
+        return true;
+    }
+
+    // Save a shift report as a .csv file
+    downloadShiftReport(report = this.shiftReport.getLastReport(), filename = `cooktap-report-${Date.now()}.csv`) {
+        return report ? this.downloadFile(ShiftReport.toCSV(report), filename, 'text/csv') : false;
+    }
+
+    // Hand a string to the browser as a file download
+    downloadFile(contents, filename, type = 'application/json') {
+        if (!contents) return false;
+        
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([contents], { type }));
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(link.href);
+        
+        return true;
     }
 
     // Get game statistics
     getStats() {
-        return {
-            gameTime: this.gameTime,
-            ...this.orderSystem.getStats()
-        };
+        return this.kitchen.getStats();
     }
 }
 
-// Initialize game when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+// Game seconds between autosaves of the shift in progress
+CookTapGame.AUTOSAVE_SECONDS = 5;
+
+// Initialize game when DOM is loaded (after any ?pack= recipe packs)
+document.addEventListener('DOMContentLoaded', async () => {
+    await window.dishSystem.loadStartupPacks();
     window.game = new CookTapGame();
     
     // Development helper - expose game to console
     if (typeof window !== 'undefined') {
         window.cookTap = {
             game: window.game,
+            kitchen: window.game.kitchen,
+            events: window.game.kitchen.events,
+            use: (plugin) => window.game.kitchen.use(plugin),
+            setVolume: (channel, value) => window.game.soundEngine.setVolume(channel, value),
+            achievements: () => window.game.achievements.getAll(),
+            highScores: () => window.game.highScores.getSessions(),
+            exportHighScores: () => window.game.highScores.export(),
+            importHighScores: (json) => window.game.highScores.import(json),
+            shiftReport: () => window.game.showShiftReport(),
+            exportReport: () => {
+                const report = window.game.shiftReport.getLastReport();
+                return report ? ShiftReport.toCSV(report) : null;
+            },
+            stock: () => Array.from(window.dishSystem.ingredients.keys())
+                .map(id => ({ id, stock: window.game.inventory.getStock(id) })),
+            restock: (ingredientId, amount) => window.game.inventory.restock(ingredientId, amount),
+            upgrades: () => Upgrades.CATALOG.map(({ id, name, maxLevel }) => ({ id, name, level: window.game.upgrades.getLevel(id), maxLevel })),
+            buyUpgrade: (upgradeId) => window.game.upgrades.buy(upgradeId),
             dishSystem: window.dishSystem,
             startGame: () => window.game.startGame(),
             getStats: () => window.game.getStats(),
+            loadPack: (source, options) => window.game.loadRecipePack(source, options),
+            setSeed: (seed) => window.game.setSeed(seed),
+            setTimeScale: (scale) => window.game.clock.setTimeScale(scale),
+            exportSession: () => window.game.recorder.export(),
+            downloadSession: () => window.game.downloadSession(),
+            replaySession: (session) => window.game.replaySession(session),
+            dailyChallenge: () => window.game.setSeed(SeededRandom.getDailySeed()),
+            setDifficulty: (presetId, dynamic) => {
+                if (dynamic !== undefined) window.game.setDynamicDifficulty(dynamic);
+                return window.game.setDifficulty(presetId);
+            },
             help: () => {
                 console.log('Cook Tap Game Commands:');
                 console.log('- cookTap.startGame() - Start the game');
                 console.log('- cookTap.getStats() - Get game statistics');
                 console.log('- cookTap.dishSystem.getAllDishes() - List all dishes');
+                console.log('- cookTap.loadPack(urlOrObject, { mode }) - Load a recipe pack');
+                console.log('- cookTap.setDifficulty(easy|normal|hard|chef, dynamic) - Change difficulty');
+                console.log('- cookTap.setSeed(seed) - Replay the same orders every game (null to clear)');
+                console.log('- cookTap.dailyChallenge() - Play today\'s daily challenge seed');
+                console.log('- cookTap.setTimeScale(scale) - Speed up (2) or slow down (0.5) the game');
+                console.log('- cookTap.exportSession() / downloadSession() - Export the last game as JSON');
+                console.log('- cookTap.replaySession(json) - Replay an exported game');
+                console.log('- cookTap.use(plugin) - Register an add-on with the game event bus');
+                console.log('- cookTap.setVolume(master|music|sfx, 0-1) - Change a volume');
+                console.log('- cookTap.achievements() - List achievements and progress');
+                console.log('- cookTap.highScores() - List the leaderboard');
+                console.log('- cookTap.exportHighScores() / importHighScores(json) - Move high scores between browsers');
+                console.log('- cookTap.shiftReport() / exportReport() - Last game\'s analytics report, as charts or CSV');
+                console.log('- cookTap.stock() / restock(ingredientId, amount) - Check and buy ingredient stock between shifts');
+                console.log('- cookTap.upgrades() / buyUpgrade(upgradeId) - Check and buy kitchen upgrades between shifts');
                 console.log('- Press 1-9 to select orders');
                 console.log('- Press ingredient/tool keys to cook');
                 console.log('- Press SPACE to serve dishes');
@@ -0,0 +1,200 @@
+/**
+ * High Scores - Local leaderboard and per-dish personal bests
+ * Installs as a kitchen plugin. Every finished game goes on the leaderboard
+ * (best HighScores.MAX_SESSIONS kept), and each served dish's time from first
+ * selecting the order to serving it is checked against that dish's best.
+ * Both are saved in localStorage and can be exported and imported as JSON.
+ */
+
+class HighScores extends EventEmitter {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        super();
+        this.storage = storage;
+        this.kitchen = null;
+        this.sessions = []; // Best games first
+        this.dishBests = {}; // dish id -> { time (ms), date }
+        this.newBests = []; // Dish ids that set a personal best this game
+
+        this.load();
+    }
+
+    // Plugin entry point: time served dishes and record each game as it ends
+    install(events, kitchen) {
+        this.kitchen = kitchen;
+        const unsubscribers = [
+            events.on('game:started', ({ resumed }) => {
+                if (!resumed) this.newBests = [];
+            }),
+            events.on('order:completed', ({ order, rating }) => this.recordServe(order, rating)),
+            events.on('game:ended', ({ stats }) => this.recordSession(stats))
+        ];
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.kitchen = null;
+        };
+    }
+
+    // Check a served order's select-to-serve time against the dish's best
+    recordServe(order, rating) {
+        if (!this.kitchen || this.kitchen.replay) return false;
+        if (rating === 'bad' || order.selectedAt === null) return false;
+        
+        // A combo's dishes share one clock, so only single-dish orders set bests
+        if (order.isCombo()) return false;
+
+        const time = this.kitchen.clock.now() - order.selectedAt;
+        const best = this.dishBests[order.dishId];
+        if (best && best.time <= time) return false;
+
+        this.dishBests[order.dishId] = { time, date: new Date().toISOString() };
+        if (!this.newBests.includes(order.dishId)) {
+            this.newBests.push(order.dishId);
+        }
+        this.save();
+
+        console.log(`New personal best for ${order.dishName}: ${HighScores.formatTime(time)}`);
+        return true;
+    }
+
+    // Put a finished game on the leaderboard and announce the results
+    recordSession(stats) {
+        if (!this.kitchen || this.kitchen.replay || stats.gameTime === 0) return null;
+
+        const entry = {
+            date: new Date().toISOString(),
+            score: stats.totalScore,
+            tips: stats.totalTips,
+            duration: stats.gameTime,
+            ordersCompleted: stats.ordersCompleted,
+            perfectRate: stats.perfectRate,
+            seed: stats.seed,
+            difficulty: stats.difficulty
+        };
+
+        this.sessions = HighScores.rank([...this.sessions, entry]);
+        const rank = this.sessions.indexOf(entry) + 1;
+        this.save();
+
+        const result = { entry, rank: rank || null, newBests: this.newBests };
+        this.newBests = [];
+        this.emit('recorded', result);
+        return result;
+    }
+
+    getSessions() {
+        return this.sessions;
+    }
+
+    getDishBest(dishId) {
+        return this.dishBests[dishId] || null;
+    }
+
+    // The leaderboard and personal bests as a JSON string
+    export() {
+        return JSON.stringify({
+            version: HighScores.VERSION,
+            sessions: this.sessions,
+            dishBests: this.dishBests
+        }, null, 2);
+    }
+
+    // Merge an exported table into this one, keeping the better of each
+    import(source) {
+        const imported = HighScores.parse(source);
+
+        const key = (session) => `${session.date}|${session.seed}|${session.score}`;
+        const known = new Set(this.sessions.map(key));
+        this.sessions = HighScores.rank([
+            ...this.sessions,
+            ...imported.sessions.filter(session => !known.has(key(session)))
+        ]);
+
+        Object.entries(imported.dishBests).forEach(([dishId, best]) => {
+            const current = this.dishBests[dishId];
+            if (!current || best.time < current.time) {
+                this.dishBests[dishId] = best;
+            }
+        });
+
+        this.save();
+        this.emit('changed');
+        return true;
+    }
+
+    // Forget every game and personal best
+    reset() {
+        this.sessions = [];
+        this.dishBests = {};
+        this.save();
+        this.emit('changed');
+    }
+
+    // Highest score first (earlier games win ties), trimmed to the table size
+    static rank(sessions) {
+        return sessions
+            .sort((a, b) => b.score - a.score || a.date.localeCompare(b.date))
+            .slice(0, HighScores.MAX_SESSIONS);
+    }
+
+    // Parse and check a table exported by export()
+    static parse(source) {
+        const table = typeof source === 'string' ? JSON.parse(source) : source;
+
+        if (!table || !Array.isArray(table.sessions) || typeof table.dishBests !== 'object' || table.dishBests === null) {
+            throw new Error('Not a Cook Tap high score table');
+        }
+        if (table.version !== HighScores.VERSION) {
+            throw new Error(`Unsupported high score version ${table.version} (expected ${HighScores.VERSION})`);
+        }
+        if (!table.sessions.every(session => Number.isFinite(session.score) && typeof session.date === 'string') ||
+            !Object.values(table.dishBests).every(best => best && Number.isFinite(best.time))) {
+            throw new Error('High score table has malformed entries');
+        }
+
+        return table;
+    }
+
+    // Milliseconds as m:ss.s
+    static formatTime(ms) {
+        const minutes = Math.floor(ms / 60000);
+        const seconds = ((ms % 60000) / 1000).toFixed(1).padStart(4, '0');
+        return `${minutes}:${seconds}`;
+    }
+
+    // Save the leaderboard and personal bests to localStorage
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(HighScores.STORAGE_KEY, JSON.stringify({
+                sessions: this.sessions,
+                dishBests: this.dishBests
+            }));
+        } catch (error) {
+            console.warn('Could not save high scores:', error);
+        }
+    }
+
+    // Load the leaderboard and personal bests from localStorage
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(HighScores.STORAGE_KEY));
+            if (!saved) return;
+
+            this.sessions = saved.sessions || [];
+            this.dishBests = saved.dishBests || {};
+        } catch (error) {
+            console.warn('Could not load high scores:', error);
+        }
+    }
+}
+
+HighScores.STORAGE_KEY = 'cookTap.highScores';
+HighScores.VERSION = 1;
+HighScores.MAX_SESSIONS = 10;
+
+// High scores will be initialized by the game
+window.HighScores = HighScores;
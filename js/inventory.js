@@ -0,0 +1,237 @@
+/**
+ * Inventory - Ingredient stock and the restaurant's money
+ * Installs as a kitchen plugin. Every ingredient added to a dish uses one unit
+ * of stock, and a cancelled dish throws its ingredients away. Served dishes are
+ * paid for (their ingredients' cost with a markup) and tips go in the till.
+ * Between shifts the money buys more stock. Both are saved in localStorage.
+ */
+
+class Inventory extends EventEmitter {
+    constructor(dishSystem, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        super();
+        this.dishSystem = dishSystem;
+        this.storage = storage;
+        this.kitchen = null;
+        this.money = Inventory.STARTING_MONEY; // Cents
+        this.stock = {}; // ingredient id -> units; missing ids have STARTING_STOCK
+        this.shift = Inventory.createShift();
+        this.replay = null; // Replay the stock below belongs to
+        this.replayStock = null; // Copy of the recorded game's stock, used up during its replay
+
+        this.load();
+    }
+
+    // Plugin entry point: stock the kitchen's dishes, take payment for served ones and count waste
+    install(events, kitchen) {
+        this.kitchen = kitchen;
+        kitchen.dishSystem.inventory = this;
+
+        const unsubscribers = [
+            events.on('game:started', ({ resumed }) => {
+                if (!resumed) this.shift = Inventory.createShift();
+            }),
+            events.on('order:itemServed', ({ item }) => this.recordSale(item)),
+            events.on('order:completed', ({ tip }) => this.recordTip(tip)),
+            events.on('dish:cancelled', ({ wasted }) => this.recordWaste(wasted)),
+            events.on('game:ended', () => this.emit('shiftEnded', { shift: this.shift }))
+        ];
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            if (kitchen.dishSystem.inventory === this) {
+                kitchen.dishSystem.inventory = null;
+            }
+            this.kitchen = null;
+        };
+    }
+
+    getStock(ingredientId) {
+        const stock = this.getReplayStock() || this.stock;
+        return ingredientId in stock ? stock[ingredientId] : Inventory.STARTING_STOCK;
+    }
+
+    // Units of every ingredient, for session settings
+    getStockLevels() {
+        return Object.fromEntries(Array.from(this.dishSystem.ingredients.keys(), id => [id, this.getStock(id)]));
+    }
+
+    // Replays play out with the stock the game was recorded with, whatever is in the pantry now.
+    // Null outside a replay; sessions recorded before stock was saved get null too and never run out
+    getReplayStock() {
+        if (!this.isReplaying()) return null;
+
+        const replay = this.kitchen.replay;
+        if (this.replay !== replay) {
+            const recorded = replay.session.settings.stock;
+            this.replay = replay;
+            this.replayStock = recorded ? { ...recorded } : null;
+        }
+        return this.replayStock;
+    }
+
+    hasStock(ingredientId) {
+        if (this.isReplaying() && !this.getReplayStock()) return true;
+        return this.getStock(ingredientId) > 0;
+    }
+
+    // Use one unit of an ingredient; false when there is none left
+    take(ingredientId) {
+        const replayStock = this.getReplayStock();
+        if (this.isReplaying() && !replayStock) return true;
+        if (this.getStock(ingredientId) <= 0) return false;
+
+        // A replay uses up its own copy and leaves the pantry alone
+        if (replayStock) {
+            replayStock[ingredientId] = this.getStock(ingredientId) - 1;
+            return true;
+        }
+
+        this.stock[ingredientId] = this.getStock(ingredientId) - 1;
+        this.save();
+        this.emit('changed');
+        return true;
+    }
+
+    // Unit cost of an ingredient in cents
+    getCost(ingredientId) {
+        const ingredient = this.dishSystem.getIngredient(ingredientId);
+        return ingredient ? ingredient.cost : 0;
+    }
+
+    // What a customer pays for a dish: its ingredients' cost with the markup
+    getDishPrice(dish) {
+        const cost = Array.from(dish.currentIngredients).reduce((total, id) => total + this.getCost(id), 0);
+        return Math.round(cost * Inventory.PRICE_MARKUP);
+    }
+
+    // Get paid for a served dish; bad serves are sent back
+    recordSale(item) {
+        if (this.isReplaying() || item.rating === 'bad') return;
+
+        const price = this.getDishPrice(item.dish);
+        this.money += price;
+        this.shift.sales += price;
+        this.save();
+        this.emit('changed');
+    }
+
+    recordTip(tip) {
+        if (this.isReplaying() || !tip) return;
+
+        this.money += tip;
+        this.shift.tips += tip;
+        this.save();
+        this.emit('changed');
+    }
+
+    // Ingredients thrown away with a cancelled dish (the stock was used when they went in)
+    recordWaste(ingredientIds = []) {
+        if (this.isReplaying()) return;
+
+        ingredientIds.forEach(id => {
+            this.shift.wasted += this.getCost(id);
+        });
+        this.emit('changed');
+    }
+
+    // Stock can only be bought between shifts
+    canRestock() {
+        return !this.kitchen || (!this.kitchen.isRunning && !this.kitchen.isPaused);
+    }
+
+    // Pay for something bought between shifts (stock, upgrades); false if there isn't the money
+    spend(cost) {
+        if (!this.canRestock() || cost > this.money) return false;
+
+        this.money -= cost;
+        this.shift.spent += cost;
+        this.save();
+        this.emit('changed');
+        return true;
+    }
+
+    // Buy `amount` units of an ingredient; false if it's mid-shift or there isn't the money
+    restock(ingredientId, amount = Inventory.RESTOCK_AMOUNT) {
+        const cost = this.getCost(ingredientId) * amount;
+        if (!this.dishSystem.getIngredient(ingredientId) || !this.spend(cost)) {
+            return false;
+        }
+
+        this.stock[ingredientId] = this.getStock(ingredientId) + amount;
+        this.save();
+        this.emit('changed');
+
+        console.log(`Restocked ${amount} ${ingredientId} for ${Customer.formatTip(cost)}`);
+        return true;
+    }
+
+    isReplaying() {
+        return Boolean(this.kitchen && this.kitchen.replay);
+    }
+
+    // Back to the starting money and a full pantry
+    reset() {
+        this.money = Inventory.STARTING_MONEY;
+        this.stock = {};
+        this.shift = Inventory.createShift();
+        this.save();
+        this.emit('changed');
+    }
+
+    // This shift's takings so far, for saving with the shift
+    getShiftState() {
+        return { ...this.shift };
+    }
+
+    restoreShiftState(state) {
+        this.shift = { ...Inventory.createShift(), ...state };
+    }
+
+    // Money in and out during one shift, in cents
+    static createShift() {
+        return { sales: 0, tips: 0, spent: 0, wasted: 0 };
+    }
+
+    // Save money and stock to localStorage
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(Inventory.STORAGE_KEY, JSON.stringify({
+                money: this.money,
+                stock: this.stock
+            }));
+        } catch (error) {
+            console.warn('Could not save inventory:', error);
+        }
+    }
+
+    // Load money and stock from localStorage
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(Inventory.STORAGE_KEY));
+            if (!saved) return;
+
+            this.money = Number.isFinite(saved.money) ? saved.money : Inventory.STARTING_MONEY;
+            this.stock = saved.stock || {};
+        } catch (error) {
+            console.warn('Could not load inventory:', error);
+        }
+    }
+}
+
+Inventory.STORAGE_KEY = 'cookTap.inventory';
+Inventory.SHIFT_STATE_KEY = 'inventory';
+
+// Money (cents) and units of each ingredient a new restaurant starts with
+Inventory.STARTING_MONEY = 2000;
+Inventory.STARTING_STOCK = 12;
+
+// Units bought per restock, and how much more than cost a dish sells for
+Inventory.RESTOCK_AMOUNT = 5;
+Inventory.PRICE_MARKUP = 3;
+
+// Inventory will be initialized by the game
+window.Inventory = Inventory;
@@ -0,0 +1,250 @@
+/**
+ * Key Bindings - Player-configurable key layer
+ * Maps ingredients, tools and special actions to keys, with layout presets
+ */
+
+class KeyBindings {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.preset = 'qwerty';
+        this.overrides = new Map(); // `type:id` -> key, e.g. 'ingredient:beef_patty' -> 'b'
+        this.listeners = [];
+
+        this.load();
+    }
+
+    // Normalize a KeyboardEvent.key into the form bindings are stored in
+    static normalizeKey(eventKey) {
+        if (eventKey === ' ' || eventKey === 'Spacebar') return 'space';
+        return String(eventKey).toLowerCase();
+    }
+
+    // Human readable label for a stored key
+    static getKeyLabel(key) {
+        const labels = {
+            space: 'Space',
+            escape: 'Esc',
+            enter: 'Enter',
+            tab: 'Tab',
+            backspace: 'Backspace'
+        };
+        return labels[key] || String(key).toUpperCase();
+    }
+
+    getPreset() {
+        return KeyBindings.PRESETS[this.preset] || KeyBindings.PRESETS.qwerty;
+    }
+
+    // Translate a built-in (QWERTY) key to the same physical key in the current layout
+    translate(defaultKey) {
+        if (!defaultKey) return defaultKey;
+
+        const key = defaultKey.toLowerCase();
+        const keyMap = this.getPreset().keyMap;
+        return (keyMap && keyMap[key]) || key;
+    }
+
+    // Key bound to an ingredient or tool
+    getKey(type, id, defaultKey) {
+        return this.overrides.get(`${type}:${id}`) || this.translate(defaultKey);
+    }
+
+    // Key bound to a special action (serve, cancel, retrieve, order1-order9)
+    getSpecialKey(action) {
+        const override = this.overrides.get(`special:${action}`);
+        if (override) return override;
+
+        const presetSpecials = this.getPreset().specials || {};
+        return presetSpecials[action] || KeyBindings.DEFAULT_SPECIALS[action];
+    }
+
+    // Map of key -> special action for every special action
+    getSpecialKeys() {
+        const specialKeys = new Map();
+        for (const action of Object.keys(KeyBindings.DEFAULT_SPECIALS)) {
+            specialKeys.set(this.getSpecialKey(action), action);
+        }
+        return specialKeys;
+    }
+
+    // Special action bound to a key, if any
+    getSpecialAction(key) {
+        return this.getSpecialKeys().get(key) || null;
+    }
+
+    // Keys tried, in order, when a dish needs a conflicting binding moved
+    getRemapKeyOrder() {
+        const preset = this.getPreset();
+        if (preset.remapKeyOrder) return preset.remapKeyOrder;
+
+        return KeyBindings.REMAP_KEY_ORDER.map(key => this.translate(key));
+    }
+
+    // Bind an action to a key; special keys can't be shared
+    setBinding(actionId, key) {
+        const normalizedKey = KeyBindings.normalizeKey(key);
+        const specialAction = this.getSpecialAction(normalizedKey);
+
+        if (specialAction && actionId !== `special:${specialAction}`) {
+            return {
+                success: false,
+                reason: `${KeyBindings.getKeyLabel(normalizedKey)} is already used for ${KeyBindings.SPECIAL_NAMES[specialAction]}`
+            };
+        }
+
+        this.overrides.set(actionId, normalizedKey);
+        this.save();
+        this.notifyChange();
+
+        return { success: true };
+    }
+
+    // Switch layout preset; custom bindings are cleared
+    setPreset(presetId) {
+        if (!KeyBindings.PRESETS[presetId]) return false;
+
+        this.preset = presetId;
+        this.overrides.clear();
+        this.save();
+        this.notifyChange();
+
+        return true;
+    }
+
+    // Back to QWERTY defaults
+    reset() {
+        return this.setPreset('qwerty');
+    }
+
+    // Register a callback for binding changes
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notifyChange() {
+        this.listeners.forEach(listener => listener(this));
+    }
+
+    // Save bindings to localStorage
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(KeyBindings.STORAGE_KEY, JSON.stringify({
+                preset: this.preset,
+                overrides: Object.fromEntries(this.overrides)
+            }));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    // Load bindings from localStorage
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(KeyBindings.STORAGE_KEY));
+            if (!saved) return;
+
+            if (KeyBindings.PRESETS[saved.preset]) {
+                this.preset = saved.preset;
+            }
+            this.overrides = new Map(Object.entries(saved.overrides || {}));
+        } catch (error) {
+            console.warn('Could not load key bindings:', error);
+        }
+    }
+}
+
+KeyBindings.STORAGE_KEY = 'cookTap.keyBindings';
+
+KeyBindings.DEFAULT_SPECIALS = {
+    serve: 'space',
+    cancel: 'escape',
+    retrieve: 'enter',
+    order1: '1',
+    order2: '2',
+    order3: '3',
+    order4: '4',
+    order5: '5',
+    order6: '6',
+    order7: '7',
+    order8: '8',
+    order9: '9'
+};
+
+KeyBindings.SPECIAL_NAMES = {
+    serve: 'Serve Dish',
+    cancel: 'Cancel Current',
+    retrieve: 'Retrieve Cooked Items',
+    order1: 'Select Order 1',
+    order2: 'Select Order 2',
+    order3: 'Select Order 3',
+    order4: 'Select Order 4',
+    order5: 'Select Order 5',
+    order6: 'Select Order 6',
+    order7: 'Select Order 7',
+    order8: 'Select Order 8',
+    order9: 'Select Order 9'
+};
+
+// QWERTY home row first, then the top and bottom rows
+KeyBindings.REMAP_KEY_ORDER = [
+    'a', 's', 'd', 'f', 'g', 'h', 'j', 'k', 'l', ';', "'",
+    'q', 'w', 'e', 'r', 't', 'y', 'u', 'i', 'o', 'p', '[', ']',
+    'z', 'x', 'c', 'v', 'b', 'n', 'm', ',', '.', '/'
+];
+
+// Layout presets. `keyMap` moves each built-in QWERTY key to the character
+// found at the same physical position in that layout.
+KeyBindings.PRESETS = {
+    qwerty: {
+        name: 'QWERTY',
+        keyMap: {}
+    },
+    azerty: {
+        name: 'AZERTY',
+        keyMap: {
+            q: 'a', w: 'z', a: 'q', z: 'w', m: ',',
+            ';': 'm', "'": 'ù', ',': ';', '.': ':', '/': '!',
+            '[': '$', ']': '*'
+        },
+        specials: {
+            order1: '&', order2: 'é', order3: '"', order4: "'", order5: '(',
+            order6: '-', order7: 'è', order8: '_', order9: 'ç'
+        }
+    },
+    dvorak: {
+        name: 'Dvorak',
+        keyMap: {
+            q: "'", w: ',', e: '.', r: 'p', t: 'y', y: 'f', u: 'g', i: 'c', o: 'r', p: 'l',
+            '[': '/', ']': '=',
+            a: 'a', s: 'o', d: 'e', f: 'u', g: 'i', h: 'd', j: 'h', k: 't', l: 'n',
+            ';': 's', "'": '-',
+            z: ';', x: 'q', c: 'j', v: 'k', b: 'x', n: 'b', m: 'm',
+            ',': 'w', '.': 'v', '/': 'z'
+        }
+    },
+    'left-hand': {
+        name: 'Left hand only',
+        // Right-hand keys fold onto their mirror image on the left half
+        keyMap: {
+            y: 't', u: 'r', i: 'e', o: 'w', p: 'q', '[': '`', ']': '`',
+            h: 'g', j: 'f', k: 'd', l: 's', ';': 'a', "'": 'a',
+            n: 'b', m: 'v', ',': 'c', '.': 'x', '/': 'z'
+        },
+        specials: {
+            retrieve: 'tab'
+        },
+        remapKeyOrder: [
+            'a', 's', 'd', 'f', 'g',
+            'q', 'w', 'e', 'r', 't',
+            'z', 'x', 'c', 'v', 'b', '`'
+        ]
+    }
+};
+
+// Global key bindings instance
+window.KeyBindings = KeyBindings;
+window.keyBindings = new KeyBindings();
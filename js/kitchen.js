@@ -0,0 +1,737 @@
+/**
+ * Kitchen - Headless game core
+ * Holds the game rules (orders, cooking, serving, game time and replays) with no
+ * DOM access, and emits events for the view layer. Runs in the browser under
+ * CookTapGame and under Node for tests, bots and balance simulations.
+ */
+
+class Kitchen extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dishSystem = options.dishSystem;
+        this.keyBindings = this.dishSystem.keyBindings;
+        this.clock = options.clock || new GameClock();
+        this.random = options.random || new SeededRandom();
+        this.difficulty = options.difficulty || new Difficulty();
+        this.recorder = options.recorder || new SessionRecorder(this.clock);
+        this.realTime = options.realTime !== false; // false: the caller drives time with clock.advance()
+
+        this.cookingStationManager = new CookingStationManager(this.dishSystem, this.clock, this.recorder);
+        this.orderSystem = new OrderSystem(this.dishSystem, this.difficulty, this.random, this.clock, this.recorder);
+
+        this.isRunning = false;
+        this.isPaused = false;
+        this.gameTime = 0;
+        this.gameTimer = null;
+        this.replay = null; // Session replay in progress
+
+        // Lifecycle events for add-ons (see GameEvents.TYPES)
+        this.events = new GameEvents();
+        this.plugins = [];
+        this.bindGameEvents();
+    }
+
+    // Forward order and station changes to the add-on event bus
+    bindGameEvents() {
+        this.orderSystem.on('orderSpawned', ({ order }) => this.events.emit('order:spawned', { order }));
+        this.orderSystem.on('orderSelected', ({ order }) => this.events.emit('order:selected', { order }));
+        this.orderSystem.on('itemServed', ({ order, item }) => this.events.emit('order:itemServed', { order, item }));
+        this.orderSystem.on('orderCompleted', ({ order, score, tip }) => {
+            this.events.emit('order:completed', { order, rating: order.rating, score, tip });
+        });
+        this.orderSystem.on('orderExpired', ({ order, score }) => {
+            // The customer has gone; whatever was cooking for them comes off the stations
+            order.items.forEach(item => this.cookingStationManager.removeDishItems(item.dish));
+            this.events.emit('order:expired', { order, score });
+        });
+
+        const stationEvents = {
+            cooking: 'station:itemStarted',
+            ready: 'station:itemReady',
+            overcooked: 'station:itemOvercooked',
+            burnt: 'station:itemBurnt'
+        };
+        this.cookingStationManager.on('slotChanged', ({ station, slotIndex, item }) => {
+            if (!item) {
+                this.events.emit('station:itemRemoved', { station, slotIndex });
+            } else if (stationEvents[item.state]) {
+                this.events.emit(stationEvents[item.state], { station, slotIndex, item });
+            }
+
+            // Once everyone has heard the item is done, the auto-retrieve upgrade takes it off
+            if (item && station.autoRetrieve && item.state === this.getDoneState(item)) {
+                this.clock.schedule(0, () => this.autoRetrieve(station, slotIndex, item));
+            }
+        });
+    }
+
+    // Register an add-on: a function, or an object with install(), called with (events, kitchen).
+    // Whatever it returns is called when the add-on is removed; use() returns the remover.
+    use(plugin) {
+        const install = typeof plugin === 'function' ? plugin : plugin && plugin.install;
+        if (typeof install !== 'function') {
+            throw new Error('A plugin must be a function or an object with an install() method');
+        }
+
+        const cleanup = install.call(plugin, this.events, this);
+        const entry = { plugin, cleanup };
+        this.plugins.push(entry);
+
+        return () => {
+            const index = this.plugins.indexOf(entry);
+            if (index === -1) return;
+
+            this.plugins.splice(index, 1);
+            if (typeof cleanup === 'function') {
+                cleanup();
+            }
+        };
+    }
+
+    // Start a new game, or resume a paused one
+    start() {
+        if (this.isRunning) return;
+
+        const resumed = this.isPaused;
+        this.isRunning = true;
+
+        if (!resumed) {
+            this.gameTime = 0;
+
+            // A chosen seed replays the same orders every game; otherwise pick a new one
+            if (this.random.isCustomSeed) {
+                this.random.reset();
+            } else {
+                this.random.setSeed(null);
+            }
+            console.log(`Game seed: ${this.random.seed}`);
+
+            this.recorder.start(this.getSessionSettings());
+
+            // Start systems
+            this.orderSystem.start();
+
+            this.startGameTimer();
+        }
+        this.isPaused = false;
+
+        // Everything timed runs off the game clock, so resuming carries on where pausing stopped
+        if (this.realTime) {
+            this.clock.start();
+        }
+
+        this.emit('started', { resumed });
+        this.events.emit('game:started', { resumed });
+    }
+
+    // Count game seconds
+    startGameTimer() {
+        this.gameTimer = this.clock.every(1000, () => {
+            this.gameTime++;
+            this.orderSystem.updateDifficulty(this.gameTime);
+            this.emit('tick', { gameTime: this.gameTime });
+            this.events.emit('game:tick', { gameTime: this.gameTime });
+        });
+    }
+
+    pause() {
+        if (!this.isRunning) return;
+
+        this.isRunning = false;
+        this.isPaused = true;
+
+        // Freeze order deadlines, cooking and spawning
+        this.clock.pause();
+
+        this.emit('paused');
+        this.events.emit('game:paused');
+    }
+
+    // End the game and clear every order, dish and station
+    reset() {
+        // A game that was under way is over; report how it went before clearing it
+        if (this.isRunning || this.isPaused) {
+            this.events.emit('game:ended', { stats: this.getStats() });
+        }
+
+        this.pause();
+        this.isPaused = false;
+        this.recorder.stop();
+
+        if (this.replay) {
+            this.stopReplay();
+        }
+
+        // Stop systems
+        this.orderSystem.stop();
+        if (this.gameTimer) {
+            this.clock.cancel(this.gameTimer);
+            this.gameTimer = null;
+        }
+
+        // Reset all systems
+        this.orderSystem.clearAllOrders();
+        this.cookingStationManager.clearCurrentDish();
+        this.cookingStationManager.clearAllSlots();
+
+        // Back to endless play with the full menu
+        this.orderSystem.setMenu(null);
+        this.difficulty.resetPressure();
+        this.orderSystem.setCampaignSpawnRate(null);
+
+        this.gameTime = 0;
+
+        this.emit('reset');
+        this.events.emit('game:reset');
+        this.emit('changed');
+    }
+
+    // Play with a fixed seed (null goes back to a new random seed each game)
+    setSeed(seed) {
+        this.reset();
+        this.random.setSeed(seed);
+
+        this.emit('seedChanged', { seed: this.random.seed, isCustomSeed: this.random.isCustomSeed });
+        return this.random.seed;
+    }
+
+    // Load a recipe pack; new stations get created straight away
+    async loadRecipePack(source, options = {}) {
+        const result = await this.dishSystem.loadPack(source, options);
+
+        if (result.stations.length > 0) {
+            this.cookingStationManager.initializeStations();
+        }
+
+        return result;
+    }
+
+    getActiveOrder() {
+        return this.orderSystem.getActiveOrder();
+    }
+
+    // Work out what a key does right now: { type: 'special' | 'ingredient' | 'tool', id }
+    resolveAction(key) {
+        const specialAction = this.keyBindings.getSpecialAction(key);
+        if (specialAction) {
+            return { type: 'special', id: specialAction };
+        }
+
+        // Dish-specific keys depend on the selected order
+        const activeOrder = this.getActiveOrder();
+        if (!activeOrder) return null;
+
+        const mapping = this.dishSystem.getDishKeyMappings(activeOrder.dish).get(key);
+        return mapping ? { type: mapping.type, id: mapping.id } : null;
+    }
+
+    // Carry out an action (from a key press, a replay or a bot); `key` is only kept for the session log
+    performAction(action, key = null) {
+        this.recorder.record('key', { key, action });
+
+        if (action.type === 'special') {
+            if (action.id === 'cancel') {
+                this.cancelCurrentDish();
+            } else if (action.id === 'serve') {
+                this.serveDish();
+            } else if (action.id === 'retrieve') {
+                this.retrieveCookedItems();
+            } else if (action.id.startsWith('order')) {
+                this.selectOrderByNumber(parseInt(action.id.slice('order'.length), 10));
+            }
+            return;
+        }
+
+        const activeOrder = this.getActiveOrder();
+        if (!activeOrder) return;
+
+        console.log(`Action: ${action.type} ${action.id}`);
+
+        if (action.type === 'ingredient') {
+            this.addIngredient(activeOrder.dish, action.id);
+        } else if (action.type === 'tool') {
+            this.useTool(activeOrder.dish, action.id);
+        }
+    }
+
+    // Select the nth order in the queue (1-9 keys)
+    selectOrderByNumber(orderNumber) {
+        const activeOrders = this.orderSystem.getActiveOrders();
+        const order = activeOrders[orderNumber - 1];
+
+        return order ? this.selectOrder(order.id) : false;
+    }
+
+    // Select an order to work on
+    selectOrder(orderId) {
+        const order = this.orderSystem.selectOrder(orderId);
+        if (!order) return false;
+
+        // Set up cooking station for this order's dish
+        this.cookingStationManager.setActiveDish(order.dish);
+        this.emit('changed');
+
+        console.log(`Selected order: ${order.dishName}`);
+        return true;
+    }
+
+    // Report how an action went, for key feedback
+    reportAction(type, id, dish, success) {
+        this.emit('actionResult', { type, id, dish, success });
+
+        // Retrieving burnt food still did what the key asked
+        if (!success && id !== 'retrieve') {
+            this.events.emit('action:failed', { type, id, dish });
+        }
+    }
+
+    // A key was pressed that does nothing right now
+    reportUnmappedKey(key) {
+        this.events.emit('key:unmapped', { key });
+    }
+
+    // Add ingredient to current dish
+    addIngredient(dish, ingredientId) {
+        const success = this.dishSystem.addIngredientToDish(dish, ingredientId);
+
+        if (success) {
+            this.cookingStationManager.notifyDishChanged();
+
+            const ingredient = this.dishSystem.getIngredient(ingredientId);
+            if (ingredient) {
+                console.log(`Added ingredient: ${ingredient.name}`);
+            }
+            this.events.emit('ingredient:added', { dish, ingredientId });
+        } else {
+            console.log(`Failed to add ingredient: ${ingredientId}`);
+        }
+
+        this.reportAction('ingredient', ingredientId, dish, success);
+        this.emit('changed');
+        return success;
+    }
+
+    // Use tool on current dish
+    useTool(dish, toolId) {
+        if (!dish) {
+            console.log('No dish to use tool on');
+            return false;
+        }
+
+        const tool = this.dishSystem.getTool(toolId);
+        if (!tool) {
+            console.log(`Tool not found: ${toolId}`);
+            return false;
+        }
+
+        console.log(`Using tool ${toolId} (${tool.name}) on dish ${dish.id}`);
+
+        // Prep steps that cook on a station need a free slot before they can start
+        const prepTarget = this.dishSystem.findPrepStepForTool(dish, toolId);
+        if (prepTarget && this.dishSystem.isStationStep(prepTarget.step)) {
+            const { ingredient, step } = prepTarget;
+
+            // Switch to cooking station and start cooking
+            this.cookingStationManager.setActiveDish(dish, step.station);
+            const placed = this.cookingStationManager.handleCookingAction(toolId, ingredient.id);
+
+            if (!placed) {
+                this.cookingStationManager.setActiveDish(dish, 'prep');
+                this.reportAction('tool', toolId, dish, false);
+                this.emit('changed');
+                console.log(`Could not start cooking: ${toolId} on ${step.station} station`);
+                return false;
+            }
+
+            console.log(`Started cooking: ${toolId} on ${step.station} station`);
+        }
+
+        // Station final steps put the whole dish into a slot
+        const finalStep = prepTarget ? null : this.dishSystem.findFinalStepForTool(dish, toolId);
+        if (finalStep && this.dishSystem.isStationStep(finalStep)) {
+            this.cookingStationManager.setActiveDish(dish, finalStep.station);
+            const placed = this.cookingStationManager.handleFinalStepAction(finalStep);
+
+            if (!placed) {
+                this.cookingStationManager.setActiveDish(dish, 'prep');
+                this.reportAction('tool', toolId, dish, false);
+                this.emit('changed');
+                console.log(`Could not start cooking: ${dish.name} on ${finalStep.station} station`);
+                return false;
+            }
+
+            console.log(`Started cooking: ${dish.name} on ${finalStep.station} station`);
+        }
+
+        // Use the updated dish system workflow
+        const success = this.dishSystem.useToolOnDish(dish, toolId);
+
+        if (success) {
+            console.log(`Successfully used tool: ${tool.name}`);
+            this.events.emit('tool:used', { dish, toolId });
+        } else {
+            console.log(`Failed to use tool: ${tool.name}`);
+        }
+
+        this.reportAction('tool', toolId, dish, success);
+        this.cookingStationManager.notifyDishChanged();
+        this.emit('changed');
+
+        return success;
+    }
+
+    // Serve completed dish
+    serveDish() {
+        const activeOrder = this.getActiveOrder();
+        if (!activeOrder) {
+            console.log('No active order to serve');
+            return false;
+        }
+
+        const dish = activeOrder.dish;
+        if (!dish) return false;
+
+        // Check if dish is valid and ready
+        const isValid = this.dishSystem.isDishValid(dish);
+        const isComplete = dish.isComplete;
+
+        if (!isValid) {
+            console.log('Dish is missing required ingredients');
+            this.reportAction('special', 'serve', dish, false);
+            return false;
+        }
+
+        // Refuse to serve burnt food; the player has to start the dish over
+        if (this.dishSystem.getDishQuality(dish).ruined > 0) {
+            console.log('Dish contains burnt ingredients');
+            this.reportAction('special', 'serve', dish, false);
+            return false;
+        }
+
+        // Serve the dish; a combo or table stays selected until its last dish goes out
+        const rating = isComplete ? 'perfect' : 'good';
+        const servedName = dish.name;
+        this.orderSystem.completeOrder(activeOrder.id, isValid);
+
+        if (activeOrder.isComplete) {
+            // The dish instance leaves with the order; just clear the station
+            this.cookingStationManager.clearCurrentDish();
+        } else {
+            this.cookingStationManager.setActiveDish(activeOrder.dish, 'prep');
+        }
+        this.emit('changed');
+
+        console.log(`Served dish: ${servedName} (${rating})`);
+        return true;
+    }
+
+    // Cancel current dish
+    cancelCurrentDish() {
+        const activeOrder = this.getActiveOrder();
+        if (!activeOrder) return;
+
+        // Reset this order's dish progress; whatever went in is thrown away
+        const wasted = Array.from(activeOrder.dish.currentIngredients);
+        this.cookingStationManager.removeDishItems(activeOrder.dish);
+        this.dishSystem.resetDish(activeOrder.dish);
+        this.cookingStationManager.clearCurrentDish();
+
+        // Deselect order
+        this.orderSystem.deselectOrder(activeOrder.id);
+        this.events.emit('dish:cancelled', { order: activeOrder, dish: activeOrder.dish, wasted });
+        this.emit('changed');
+
+        console.log('Cancelled current dish');
+    }
+
+    // Retrieve cooked items from stations
+    retrieveCookedItems() {
+        const readyItems = this.cookingStationManager.getReadyItems();
+
+        if (readyItems.length === 0) {
+            console.log('No cooked items ready to retrieve');
+            return false;
+        }
+
+        const activeOrder = this.getActiveOrder();
+        const { retrieved, burnt } = this.takeCookedItems(readyItems);
+
+        if (retrieved > 0) {
+            this.reportAction('special', 'retrieve', activeOrder ? activeOrder.dish : null, burnt === 0);
+            console.log(`Retrieved ${retrieved} cooked items`);
+            this.finishRetrieving();
+        }
+
+        return retrieved > 0;
+    }
+
+    // State a cooked item is wanted in: ready, or overcooked for a well-done request
+    getDoneState(item) {
+        const ingredient = item.ingredient && item.dish ? item.dish.ingredients.find(ing => ing.id === item.ingredient) : null;
+        return ingredient && ingredient.wellDone ? 'overcooked' : 'ready';
+    }
+
+    // Auto-retrieve upgrade: bring a finished item back without the retrieve key
+    autoRetrieve(station, slotIndex, item) {
+        if (station.currentItems.get(slotIndex) !== item) return;
+
+        const { retrieved } = this.takeCookedItems([{ stationId: station.id, slotIndex, item }]);
+        if (retrieved > 0) {
+            console.log(`Auto-retrieved ${item.name}`);
+            this.finishRetrieving();
+        }
+    }
+
+    // Take ready items off their stations, each back into the dish it was cooked for
+    takeCookedItems(readyItems) {
+        let retrieved = 0;
+        let burnt = 0;
+        readyItems.forEach(({stationId, slotIndex, item}) => {
+            const success = this.cookingStationManager.removeCookedItem(stationId, slotIndex);
+            if (success) {
+                retrieved++;
+                console.log(`Retrieved ${item.name} from ${stationId} station`);
+
+                // Finish the cooking step in the dish it belongs to
+                if (item.isWholeDish && item.dish) {
+                    const completed = this.dishSystem.completeStationFinalStep(item.dish, item.state);
+
+                    if (completed && item.state === 'burnt') {
+                        burnt++;
+                        console.log(`Dish ${item.dish.name} is burnt and ruined`);
+                    }
+                } else if (item.ingredient && item.dish) {
+                    const completed = this.dishSystem.completeStationStep(item.dish, item.ingredient, item.state);
+
+                    if (completed && item.state === 'burnt') {
+                        burnt++;
+                        console.log(`Ingredient ${item.ingredient} is burnt and ruined`);
+                    } else if (completed) {
+                        console.log(`Marked ingredient ${item.ingredient} as ${item.state}`);
+                    }
+                }
+            }
+        });
+
+        return { retrieved, burnt };
+    }
+
+    // Switch back to prep station so user can continue assembly
+    finishRetrieving() {
+        const activeOrder = this.getActiveOrder();
+        if (activeOrder) {
+            this.cookingStationManager.setActiveDish(activeOrder.dish, 'prep');
+        }
+
+        this.cookingStationManager.notifyDishChanged();
+        this.emit('changed');
+    }
+
+    // Everything needed to replay the game that is starting
+    getSessionSettings() {
+        return {
+            seed: this.random.seed,
+            difficulty: this.difficulty.preset,
+            dynamic: this.difficulty.dynamic,
+            menu: this.orderSystem.menu,
+            campaignSpawnRate: this.orderSystem.campaignSpawnRate,
+            dishes: this.dishSystem.getAllDishes().map(dish => dish.id),
+            upgrades: this.cookingStationManager.getUpgradeLevels(),
+            stock: this.dishSystem.inventory ? this.dishSystem.inventory.getStockLevels() : null
+        };
+    }
+
+    // Play back a session exported by SessionRecorder.export()
+    replaySession(source) {
+        let session;
+        try {
+            session = SessionRecorder.parse(source);
+        } catch (error) {
+            console.error(`Could not load session: ${error.message}`);
+            return false;
+        }
+
+        const settings = session.settings;
+        const missingDishes = (settings.dishes || []).filter(dishId => !this.dishSystem.getDish(dishId));
+        if (missingDishes.length > 0) {
+            console.error(`Session needs dishes that aren't loaded: ${missingDishes.join(', ')}`);
+            return false;
+        }
+
+        this.reset();
+
+        // Play with the recorded settings; the player's own come back when the replay ends
+        const playerSettings = {
+            seed: this.random.isCustomSeed ? this.random.seed : null,
+            difficulty: this.difficulty.preset,
+            dynamic: this.difficulty.dynamic
+        };
+        this.random.setSeed(settings.seed);
+        this.difficulty.setPreset(settings.difficulty);
+        this.difficulty.setDynamic(settings.dynamic);
+        this.orderSystem.setMenu(settings.menu);
+        this.orderSystem.setCampaignSpawnRate(settings.campaignSpawnRate);
+
+        this.replay = new SessionReplay(this, session, this.clock);
+        this.replay.playerSettings = playerSettings;
+
+        this.start();
+        this.replay.start(() => this.finishReplay(session));
+
+        console.log(`Replaying session from ${session.recordedAt} (${session.events.length} events)`);
+        return true;
+    }
+
+    // Check the replayed run against the recording once all input has been fed
+    finishReplay(session) {
+        this.recorder.stop();
+        const differences = SessionReplay.compare(session, this.recorder.session);
+
+        this.reset();
+
+        if (differences.length === 0) {
+            console.log('Replay finished: matches the recording');
+        } else {
+            console.warn(`Replay finished with ${differences.length} differences from the recording:`, differences);
+        }
+
+        this.emit('replayFinished', { differences });
+        return differences;
+    }
+
+    // Stop feeding recorded input and restore the player's settings
+    stopReplay() {
+        if (!this.replay) return;
+
+        const playerSettings = this.replay.playerSettings;
+        this.replay.stop();
+        this.replay = null;
+
+        this.random.setSeed(playerSettings.seed);
+        this.difficulty.setPreset(playerSettings.difficulty);
+        this.difficulty.setDynamic(playerSettings.dynamic);
+        this.orderSystem.setMenu(null);
+        this.orderSystem.setCampaignSpawnRate(null);
+
+        this.emit('seedChanged', { seed: this.random.seed, isCustomSeed: this.random.isCustomSeed });
+    }
+
+    // Plain-data copy of the shift in progress (see ShiftSave)
+    getSnapshot() {
+        const now = this.clock.now();
+        // Which order, and which of its dishes, a cooking item belongs to
+        const findDish = (dish) => {
+            for (const order of this.orderSystem.getActiveOrders()) {
+                const itemIndex = order.items.findIndex(item => item.dish === dish);
+                if (dish && itemIndex !== -1) return { orderId: order.id, itemIndex };
+            }
+            return { orderId: null, itemIndex: null };
+        };
+
+        return {
+            gameTime: this.gameTime,
+            random: this.random.getState(),
+            difficulty: {
+                preset: this.difficulty.preset,
+                dynamic: this.difficulty.dynamic,
+                pressure: this.difficulty.pressure
+            },
+            orders: this.orderSystem.getSnapshot(),
+            stations: this.cookingStationManager.getAllStations().map(station => ({
+                id: station.id,
+                items: Array.from(station.currentItems.entries()).map(([slotIndex, item]) => ({
+                    slotIndex,
+                    name: item.name,
+                    action: item.action,
+                    ingredient: item.ingredient || null,
+                    isWholeDish: Boolean(item.isWholeDish),
+                    ...findDish(item.dish),
+                    cookingTime: item.cookingTime,
+                    burnTime: item.burnTime,
+                    elapsed: now - item.startTime
+                }))
+            })),
+            recording: this.recorder.getState(),
+            plugins: this.getPluginStates()
+        };
+    }
+
+    // Per-shift state of add-ons that keep some, keyed by their class's SHIFT_STATE_KEY.
+    // Such add-ons provide getShiftState() and restoreShiftState(state)
+    getPluginStates() {
+        const states = {};
+        this.plugins.forEach(({ plugin }) => {
+            const key = Kitchen.getShiftStateKey(plugin);
+            if (key) states[key] = plugin.getShiftState();
+        });
+        return states;
+    }
+
+    // Hand add-ons their saved per-shift state; ones with nothing saved start the shift afresh
+    restorePluginStates(states = {}) {
+        this.plugins.forEach(({ plugin }) => {
+            const key = Kitchen.getShiftStateKey(plugin);
+            if (key) plugin.restoreShiftState(states[key] || null);
+        });
+    }
+
+    static getShiftStateKey(plugin) {
+        const key = plugin && plugin.constructor && plugin.constructor.SHIFT_STATE_KEY;
+        return key && typeof plugin.getShiftState === 'function' ? key : null;
+    }
+
+    // Put a saved shift back, paused; start() carries on from where it was saved
+    restoreSnapshot(snapshot) {
+        this.reset();
+
+        this.random.setState(snapshot.random);
+        this.difficulty.setPreset(snapshot.difficulty.preset);
+        this.difficulty.setDynamic(snapshot.difficulty.dynamic);
+        this.difficulty.pressure = snapshot.difficulty.pressure;
+
+        this.orderSystem.restoreSnapshot(snapshot.orders);
+
+        // Items go back into the dishes they were cooking for
+        snapshot.stations.forEach(savedStation => {
+            const station = this.cookingStationManager.getStation(savedStation.id);
+            if (!station) return;
+
+            savedStation.items.forEach(({ slotIndex, orderId, itemIndex, elapsed, ...item }) => {
+                const order = orderId ? this.orderSystem.getOrder(orderId) : null;
+                const orderItem = order ? order.items[itemIndex || 0] : null;
+                station.addItem(slotIndex, { ...item, dish: orderItem ? orderItem.dish : null }, elapsed);
+            });
+        });
+
+        this.gameTime = snapshot.gameTime;
+        this.startGameTimer();
+        this.isPaused = true;
+
+        // Keep recording the same session; saves without one start a new recording from here
+        if (!this.recorder.resume(snapshot.recording)) {
+            this.recorder.start(this.getSessionSettings());
+        }
+        this.restorePluginStates(snapshot.plugins);
+
+        const activeOrder = snapshot.orders.orders.find(order => order.isActive);
+        if (activeOrder) {
+            this.selectOrder(activeOrder.id);
+        }
+
+        this.emit('restored', { gameTime: this.gameTime });
+        this.emit('changed');
+    }
+
+    // Get game statistics
+    getStats() {
+        return {
+            gameTime: this.gameTime,
+            difficulty: this.difficulty.getName(),
+            seed: this.random.seed,
+            ...this.orderSystem.getStats()
+        };
+    }
+}
+
+// Kitchen will be initialized by the game (or by js/headless.js under Node)
+window.Kitchen = Kitchen;
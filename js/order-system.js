@@ -3,25 +3,85 @@
  */
 
 class Order {
-    constructor(dishId, dishName, timeLimit = 60) {
-        this.id = `order_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        this.dishId = dishId;
-        this.dishName = dishName;
+    constructor(dishId, dishName, timeLimit = 60, dish = null, id = null, clock = GameClock.system) {
+        this.clock = clock;
+        this.id = id || `order_${clock.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        this.items = []; // Dishes in this order, served one at a time in this order
+        this.addItem(dishId, dishName, dish);
+        this.customer = new Customer(); // Who ordered; their patience is the time limit
         this.timeLimit = timeLimit * 1000; // Convert to milliseconds
-        this.createdAt = Date.now();
+        this.createdAt = clock.now();
+        this.selectedAt = null; // When the player first picked the order up
         this.isComplete = false;
+        this.completedAt = null; // Served or expired
         this.isActive = false;
         this.rating = null; // Will be 'perfect', 'good', or 'bad'
-        this.element = null;
+        this.tip = 0; // Cents the customer tipped when served
+    }
+
+    // Add another dish: two make a combo, three or more a table
+    addItem(dishId, dishName, dish = null) {
+        this.items.push({
+            dishId,
+            dishName,
+            dish, // Dish-in-progress owned by this order
+            servedAt: null,
+            band: null, // Index into OrderSystem.RATING_BANDS
+            rating: null
+        });
+        return this;
+    }
+
+    // The item being worked on: the first one not yet served (the last one once all are)
+    getCurrentItem() {
+        return this.items.find(item => item.servedAt === null) || this.items[this.items.length - 1];
+    }
+
+    getServedCount() {
+        return this.items.filter(item => item.servedAt !== null).length;
+    }
+
+    isCombo() {
+        return this.items.length > 1;
+    }
+
+    // The current item's dish, which keys and stations work on
+    get dish() {
+        return this.getCurrentItem().dish;
+    }
+
+    set dish(dish) {
+        this.getCurrentItem().dish = dish;
+    }
+
+    get dishId() {
+        return this.getCurrentItem().dishId;
+    }
+
+    // The dish, "A + B" for a combo or "Table of N" for a table
+    get dishName() {
+        if (this.items.length === 1) return this.items[0].dishName;
+        if (this.items.length === 2) return this.items.map(item => item.dishName).join(' + ');
+        return `Table of ${this.items.length}`;
     }
 
     // Get remaining time in seconds
     getRemainingTime() {
-        const elapsed = Date.now() - this.createdAt;
+        const elapsed = this.clock.now() - this.createdAt;
         const remaining = Math.max(0, this.timeLimit - elapsed);
         return Math.ceil(remaining / 1000);
     }
 
+    // Share of the customer's patience left, from 1 down to 0
+    getPatienceLeft() {
+        const elapsed = this.clock.now() - this.createdAt;
+        return Math.max(0, 1 - elapsed / this.timeLimit);
+    }
+
+    getMood() {
+        return this.customer.getMood(this.getPatienceLeft());
+    }
+
     // Check if order is expired
     isExpired() {
         return this.getRemainingTime() <= 0;
@@ -40,29 +100,38 @@ class Order {
     // Complete the order with a rating
     complete(rating = 'good') {
         this.isComplete = true;
+        this.completedAt = this.clock.now();
         this.rating = rating;
         return this;
     }
 }
 
-class OrderSystem {
-    constructor(dishSystem) {
+class OrderSystem extends EventEmitter {
+    constructor(dishSystem, difficulty = new Difficulty(), random = new SeededRandom(), clock = GameClock.system, recorder = null) {
+        super();
         this.dishSystem = dishSystem;
+        this.clock = clock;
+        this.recorder = recorder;
+        this.difficulty = difficulty;
+        this.random = random; // Seeded so a seed replays the same orders
+        this.orderCount = 0; // Orders spawned since the last reset, used in order ids
         this.activeOrders = new Map();
         this.completedOrders = [];
-        this.maxActiveOrders = 5;
-        this.orderSpawnRate = 10000; // 10 seconds between orders
+        this.maxActiveOrders = difficulty.getMaxActiveOrders();
+        this.orderSpawnRate = difficulty.getSpawnRate();
+        this.campaignSpawnRate = null; // Spawn rate set by a campaign day, at Normal difficulty
+        this.menu = null; // Dish ids orders are drawn from; null means every dish
+        this.comboChance = OrderSystem.COMBO_CHANCE; // Share of orders with more than one dish
+        this.modifierChance = DishSystem.MODIFIER_CHANCE; // Share of orders with special requests
         this.orderSpawnTimer = null;
+        this.orderTimer = null; // Updates order countdowns once a second
         this.isRunning = false;
         
         // Score tracking
         this.totalScore = 0;
+        this.totalTips = 0; // Cents, kept apart from the score
         this.ordersCompleted = 0;
         this.perfectOrders = 0;
-        
-        this.ordersContainer = document.getElementById('active-orders');
-        this.scoreElement = document.getElementById('score');
-        this.ordersCompletedElement = document.getElementById('orders-completed');
     }
 
     // Start the order system
@@ -70,6 +139,7 @@ class OrderSystem {
         this.isRunning = true;
         this.spawnOrder(); // Spawn first order immediately
         this.startSpawning();
+        this.startOrderTimers();
         this.updateDisplay();
         console.log(`Order system started! Spawning orders every ${this.orderSpawnRate/1000} seconds`);
     }
@@ -78,18 +148,23 @@ class OrderSystem {
     stop() {
         this.isRunning = false;
         if (this.orderSpawnTimer) {
-            clearInterval(this.orderSpawnTimer);
+            this.clock.cancel(this.orderSpawnTimer);
             this.orderSpawnTimer = null;
         }
+        if (this.orderTimer) {
+            this.clock.cancel(this.orderTimer);
+            this.orderTimer = null;
+        }
         console.log('Order system stopped');
     }
 
     // Start the automatic order spawning timer
-    startSpawning() {
+    // Each tick schedules the next one so spawn rate changes apply straight away
+    startSpawning(firstDelay = this.orderSpawnRate) {
         if (this.orderSpawnTimer) return;
         
         console.log(`Setting up order spawning timer: ${this.orderSpawnRate}ms`);
-        this.orderSpawnTimer = setInterval(() => {
+        const tick = () => {
             console.log(`Timer tick - Active orders: ${this.activeOrders.size}/${this.maxActiveOrders}`);
             if (this.isRunning && this.activeOrders.size < this.maxActiveOrders) {
                 console.log('Spawning new order...');
@@ -97,7 +172,9 @@ class OrderSystem {
             } else {
                 console.log('Not spawning - either not running or max orders reached');
             }
-        }, this.orderSpawnRate);
+            this.orderSpawnTimer = this.clock.schedule(this.orderSpawnRate, tick);
+        };
+        this.orderSpawnTimer = this.clock.schedule(firstDelay, tick);
     }
 
     // Spawn a new random order
@@ -107,83 +184,64 @@ class OrderSystem {
             return null;
         }
         
-        const availableDishes = this.dishSystem.getAllDishes();
-        const randomDish = availableDishes[Math.floor(Math.random() * availableDishes.length)];
-        
-        // Calculate time limit based on dish difficulty
-        const baseTime = 45;
-        const difficultyModifier = randomDish.difficulty * 10;
-        const timeLimit = baseTime + difficultyModifier + Math.random() * 20;
-        
-        const order = new Order(randomDish.id, randomDish.name, timeLimit);
+        const availableDishes = this.getMenuDishes();
+        const itemCount = this.random.next() < this.comboChance ? 2 + this.random.nextInt(OrderSystem.MAX_COMBO_SIZE - 1) : 1;
+        const dishes = Array.from({ length: itemCount }, () => this.random.pick(availableDishes));
+        const customer = Customer.random(this.random);
+        
+        // Calculate time limit based on the dishes, game difficulty and the customer's patience
+        const dishTime = dishes.reduce((total, dish) => total + this.difficulty.getTimeLimit(dish, this.random.next()), 0);
+        const timeLimit = customer.getPatience(dishTime);
+        
+        const orderId = `order_${++this.orderCount}_${this.random.nextId()}`;
+        let order = null;
+        dishes.forEach(dish => {
+            const modifiers = this.dishSystem.createModifiers(dish.id, this.random, this.modifierChance);
+            const dishInstance = this.dishSystem.createDishInstance(dish.id, modifiers);
+            if (order) {
+                order.addItem(dish.id, dish.name, dishInstance);
+            } else {
+                order = new Order(dish.id, dish.name, timeLimit, dishInstance, orderId, this.clock);
+            }
+        });
+        order.customer = customer;
         this.activeOrders.set(order.id, order);
+        this.recordEvent('spawn', {
+            orderId: order.id,
+            dishIds: order.items.map(item => item.dishId),
+            timeLimit: order.timeLimit,
+            customer: customer.typeId,
+            modifiers: order.items.map(item => item.dish.modifiers)
+        });
         
-        this.createOrderElement(order);
+        this.emit('orderSpawned', { order });
         this.updateDisplay();
         
-        console.log(`Spawned new order: ${randomDish.name} (${order.id}) - Active orders: ${this.activeOrders.size}`);
+        console.log(`Spawned new order: ${order.dishName} (${order.id}) - Active orders: ${this.activeOrders.size}`);
         
         return order;
     }
 
-    // Create DOM element for an order
-    createOrderElement(order) {
-        const orderElement = document.createElement('div');
-        orderElement.className = 'order-item';
-        orderElement.id = `order-${order.id}`;
-        orderElement.dataset.orderId = order.id;
-        
-        const dish = this.dishSystem.getDish(order.dishId);
+    // Tick every order's countdown once a second of game time
+    startOrderTimers() {
+        if (this.orderTimer) return;
         
-        orderElement.innerHTML = `
-            <div class="dish-name" style="background-color: ${dish.baseColor}">${order.dishName}</div>
-            <div class="order-details">
-                <div class="order-id">#${order.id.substr(-4)}</div>
-                <div class="timer" data-time-limit="${order.timeLimit}">
-                    ${order.getRemainingTime()}s
-                </div>
-            </div>
-        `;
-        
-        orderElement.addEventListener('click', () => {
-            this.selectOrder(order.id);
+        this.orderTimer = this.clock.every(1000, () => {
+            this.getActiveOrders().forEach(order => this.updateOrderTimer(order));
         });
-        
-        order.element = orderElement;
-        
-        if (this.ordersContainer) {
-            this.ordersContainer.appendChild(orderElement);
-        }
-        
-        // Start timer updates for this order
-        this.startOrderTimer(order);
     }
 
-    // Start timer updates for a specific order
-    startOrderTimer(order) {
-        const updateTimer = () => {
-            if (order.isComplete || !this.activeOrders.has(order.id)) return;
-            
-            const remainingTime = order.getRemainingTime();
-            const urgency = order.getUrgencyLevel();
-            
-            if (order.element) {
-                const timerElement = order.element.querySelector('.timer');
-                if (timerElement) {
-                    timerElement.textContent = `${remainingTime}s`;
-                    timerElement.className = `timer ${urgency}`;
-                }
-            }
-            
-            if (remainingTime > 0) {
-                setTimeout(updateTimer, 1000);
-            } else {
-                // Order expired
-                this.expireOrder(order.id);
-            }
-        };
+    // Refresh an order's countdown, expiring it when time runs out
+    updateOrderTimer(order) {
+        if (order.isComplete || !this.activeOrders.has(order.id)) return;
         
-        setTimeout(updateTimer, 1000);
+        const remainingTime = order.getRemainingTime();
+        this.emit('orderTimer', { order, remainingTime, urgency: order.getUrgencyLevel() });
+        
+        if (remainingTime <= 0) {
+            // Order expired
+            this.expireOrder(order.id);
+        }
     }
 
     // Select an order (make it active)
@@ -192,77 +250,109 @@ class OrderSystem {
         if (!order) return false;
         
         // Deselect previous active order
-        const previousActive = Array.from(this.activeOrders.values()).find(o => o.isActive);
+        const previousActive = this.getActiveOrder();
         if (previousActive) {
-            previousActive.isActive = false;
-            if (previousActive.element) {
-                previousActive.element.classList.remove('active');
-            }
+            this.deselectOrder(previousActive.id);
         }
         
         // Activate new order
         order.isActive = true;
-        if (order.element) {
-            order.element.classList.add('active');
+        if (order.selectedAt === null) {
+            order.selectedAt = this.clock.now();
         }
+        this.emit('orderSelected', { order });
         
         return order;
     }
 
+    // Stop working on an order without completing it
+    deselectOrder(orderId) {
+        const order = this.activeOrders.get(orderId);
+        if (!order || !order.isActive) return false;
+        
+        order.isActive = false;
+        this.emit('orderDeselected', { order });
+        return true;
+    }
+
     // Get currently active order
     getActiveOrder() {
         return Array.from(this.activeOrders.values()).find(order => order.isActive);
     }
 
-    // Complete an order
+    // Serve the selected order's current dish. A combo or table completes once its
+    // last dish is served, rated on the average of its dishes' ratings
     completeOrder(orderId, dishValid = true) {
         const order = this.activeOrders.get(orderId);
         if (!order) return null;
         
-        // Determine rating based on timing and validity
-        let rating = 'bad';
-        let score = 0;
+        const item = order.getCurrentItem();
+        item.band = this.rateDish(order, item.dish, dishValid);
+        item.rating = OrderSystem.RATING_BANDS[item.band].rating;
+        item.servedAt = this.clock.now();
+        this.recordEvent('serveItem', { orderId, dishId: item.dishId, rating: item.rating });
+        this.emit('itemServed', { order, item });
         
-        if (dishValid) {
-            const remainingTime = order.getRemainingTime();
-            const totalTime = order.timeLimit / 1000;
-            const timeRatio = remainingTime / totalTime;
-            
-            if (timeRatio > 0.75) {
-                rating = 'perfect';
-                score = 100;
-                this.perfectOrders++;
-            } else if (timeRatio > 0.25) {
-                rating = 'good';
-                score = 60;
-            } else if (remainingTime > 0) {
-                rating = 'average';
-                score = 30;
-            }
+        // More to come: the order stays up with the next dish
+        if (order.getServedCount() < order.items.length) {
+            return order;
+        }
+        
+        const band = Math.round(order.items.reduce((total, served) => total + served.band, 0) / order.items.length);
+        const { rating } = OrderSystem.RATING_BANDS[band];
+        if (rating === 'perfect') {
+            this.perfectOrders++;
         }
         
+        // The customer's mood scales the payout, and their tip goes in the tip jar; every dish counts
+        const mood = order.getMood();
+        const score = order.customer.getScore(OrderSystem.RATING_BANDS[band].score * order.items.length, mood);
+        const tip = order.customer.getTip(rating, mood) * order.items.length;
+        
         order.complete(rating);
+        order.tip = tip;
         this.completedOrders.push(order);
+        this.recordEvent('serve', { orderId, rating, score, tip });
         this.totalScore += score;
+        this.totalTips += tip;
         this.ordersCompleted++;
         
         // Remove from active orders
         this.activeOrders.delete(orderId);
         
-        // Remove from DOM
-        if (order.element) {
-            order.element.classList.add('completed');
-            setTimeout(() => {
-                order.element.remove();
-            }, 1000);
-        }
-        
+        this.emit('orderCompleted', { order, score, tip });
         this.updateDisplay();
-        this.showOrderFeedback(order, score);
         
         return order;
     }
 
+    // Rating band for a dish served now, from the order's time left, validity and cooking quality
+    rateDish(order, dish, dishValid) {
+        let band = OrderSystem.RATING_BANDS.length - 1;
+        
+        // A dish with burnt ingredients is never worth anything
+        const quality = this.dishSystem.getDishQuality(dish);
+        
+        if (dishValid && quality.ruined === 0) {
+            const remainingTime = order.getRemainingTime();
+            const totalTime = order.timeLimit / 1000;
+            const timeRatio = remainingTime / totalTime;
+            
+            if (timeRatio > 0.75) {
+                band = 0;
+            } else if (timeRatio > 0.25) {
+                band = 1;
+            } else if (remainingTime > 0) {
+                band = 2;
+            }
+            
+            // Each overcooked ingredient, or well-done request served underdone, drops the rating one band
+            band = Math.min(band + quality.overcooked + quality.wrongDoneness, OrderSystem.RATING_BANDS.length - 1);
+        }
+        
+        return band;
+    }
+
     // Expire an order
     expireOrder(orderId) {
         const order = this.activeOrders.get(orderId);
@@ -270,44 +360,26 @@ class OrderSystem {
         
         order.complete('failed');
         this.completedOrders.push(order);
+        this.recordEvent('expire', { orderId });
+        this.totalScore += OrderSystem.EXPIRED_SCORE;
         this.activeOrders.delete(orderId);
         
-        // Remove from DOM with expired styling
-        if (order.element) {
-            order.element.classList.add('expired');
-            setTimeout(() => {
-                order.element.remove();
-            }, 2000);
-        }
-        
+        this.emit('orderExpired', { order, score: OrderSystem.EXPIRED_SCORE });
         this.updateDisplay();
-        this.showOrderFeedback(order, -20);
         
         return order;
     }
 
-    // Show order completion feedback
-    showOrderFeedback(order, score) {
-        const feedback = document.createElement('div');
-        feedback.className = `order-feedback ${order.rating}`;
-        feedback.textContent = `${order.dishName}: ${order.rating.toUpperCase()} ${score > 0 ? '+' : ''}${score}`;
-        
-        document.body.appendChild(feedback);
-        
-        setTimeout(() => {
-            feedback.remove();
-        }, 3000);
+    // Add an event to the session log, if one is being recorded
+    recordEvent(type, data) {
+        if (this.recorder) {
+            this.recorder.record(type, data);
+        }
     }
 
-    // Update score and stats display
+    // Let views know the score and stats changed
     updateDisplay() {
-        if (this.scoreElement) {
-            this.scoreElement.textContent = this.totalScore;
-        }
-        
-        if (this.ordersCompletedElement) {
-            this.ordersCompletedElement.textContent = this.ordersCompleted;
-        }
+        this.emit('statsChanged', { stats: this.getStats() });
     }
 
     // Get order by ID
@@ -324,6 +396,7 @@ class OrderSystem {
     getStats() {
         return {
             totalScore: this.totalScore,
+            totalTips: this.totalTips,
             ordersCompleted: this.ordersCompleted,
             perfectOrders: this.perfectOrders,
             activeOrders: this.activeOrders.size,
@@ -337,26 +410,195 @@ class OrderSystem {
         this.orderSpawnRate = rate;
         
         if (this.orderSpawnTimer) {
-            clearInterval(this.orderSpawnTimer);
+            this.clock.cancel(this.orderSpawnTimer);
+            this.orderSpawnTimer = null;
             this.startSpawning();
         }
     }
 
+    // Pick up spawn rate and order limit from the current difficulty
+    applyDifficulty() {
+        this.maxActiveOrders = this.difficulty.getMaxActiveOrders();
+        
+        const spawnRate = this.difficulty.getSpawnRate(this.campaignSpawnRate);
+        if (spawnRate !== this.orderSpawnRate) {
+            this.setSpawnRate(spawnRate);
+        }
+    }
+
+    // Let dynamic difficulty react to game time (seconds) and the player's results
+    updateDifficulty(gameTime) {
+        if (!this.difficulty.dynamic) return;
+        
+        this.difficulty.update(gameTime, this.getStats());
+        
+        // Rate changes take effect from the next spawn
+        this.maxActiveOrders = this.difficulty.getMaxActiveOrders();
+        this.orderSpawnRate = this.difficulty.getSpawnRate(this.campaignSpawnRate);
+    }
+
+    // Set the campaign day's spawn rate (null to go back to the difficulty preset)
+    setCampaignSpawnRate(rate) {
+        this.campaignSpawnRate = rate || null;
+        this.applyDifficulty();
+    }
+
+    // Restrict new orders to a list of dish ids (null for the full menu)
+    setMenu(dishIds) {
+        this.menu = dishIds && dishIds.length > 0 ? dishIds.slice() : null;
+    }
+
+    // Dishes new orders can be drawn from
+    getMenuDishes() {
+        const allDishes = this.dishSystem.getAllDishes();
+        if (!this.menu) return allDishes;
+        
+        return allDishes.filter(dish => this.menu.includes(dish.id));
+    }
+
+    // Plain-data copy of orders, score and spawn timing, for saved shifts
+    getSnapshot() {
+        const now = this.clock.now();
+        const nextSpawnIn = this.orderSpawnTimer ? this.clock.getTimeUntil(this.orderSpawnTimer) : null;
+        
+        return {
+            orderCount: this.orderCount,
+            totalScore: this.totalScore,
+            totalTips: this.totalTips,
+            ordersCompleted: this.ordersCompleted,
+            perfectOrders: this.perfectOrders,
+            menu: this.menu,
+            campaignSpawnRate: this.campaignSpawnRate,
+            nextSpawnIn: nextSpawnIn !== null ? nextSpawnIn : this.orderSpawnRate,
+            orders: this.getActiveOrders().map(order => this.getOrderSnapshot(order, now)),
+            completedOrders: this.completedOrders.map(order => this.getOrderSnapshot(order, now))
+        };
+    }
+
+    // Plain-data copy of one order, with its times relative to `now`
+    getOrderSnapshot(order, now) {
+        return {
+            id: order.id,
+            timeLimit: order.timeLimit,
+            elapsed: now - order.createdAt,
+            selectedFor: order.selectedAt !== null ? now - order.selectedAt : null,
+            completedFor: order.completedAt !== null ? now - order.completedAt : null,
+            isActive: order.isActive,
+            rating: order.rating,
+            tip: order.tip,
+            customer: order.customer.toJSON(),
+            items: order.items.map(item => ({
+                dishId: item.dishId,
+                servedFor: item.servedAt !== null ? now - item.servedAt : null,
+                band: item.band,
+                rating: item.rating,
+                dish: this.dishSystem.getDishProgress(item.dish)
+            }))
+        };
+    }
+
+    // Put orders back from getSnapshot() data and carry on spawning where it left off
+    restoreSnapshot(snapshot) {
+        this.stop();
+        this.clearAllOrders();
+        
+        this.setMenu(snapshot.menu);
+        this.setCampaignSpawnRate(snapshot.campaignSpawnRate);
+        this.orderCount = snapshot.orderCount;
+        this.totalScore = snapshot.totalScore;
+        this.totalTips = snapshot.totalTips;
+        this.ordersCompleted = snapshot.ordersCompleted;
+        this.perfectOrders = snapshot.perfectOrders;
+        
+        // Served and expired orders come back for the shift report
+        this.completedOrders = (snapshot.completedOrders || [])
+            .map(saved => this.restoreOrder(saved))
+            .filter(Boolean);
+        
+        snapshot.orders.forEach(saved => {
+            const order = this.restoreOrder(saved);
+            if (!order) return;
+            
+            this.activeOrders.set(order.id, order);
+            this.emit('orderSpawned', { order });
+        });
+        
+        this.isRunning = true;
+        this.startSpawning(snapshot.nextSpawnIn);
+        this.startOrderTimers();
+        this.updateDisplay();
+    }
+
+    // Rebuild an order from getOrderSnapshot() data
+    restoreOrder(saved) {
+        // Orders with dishes from a recipe pack that isn't loaded any more are dropped
+        const dishes = saved.items.map(item => this.dishSystem.restoreDishInstance(item.dishId, item.dish));
+        const missing = saved.items.find((item, index) => !dishes[index]);
+        if (missing) {
+            console.warn(`Saved order for unknown dish: ${missing.dishId}`);
+            return null;
+        }
+        
+        const now = this.clock.now();
+        let order = null;
+        saved.items.forEach((item, index) => {
+            if (order) {
+                order.addItem(item.dishId, dishes[index].name, dishes[index]);
+            } else {
+                order = new Order(item.dishId, dishes[index].name, saved.timeLimit / 1000, dishes[index], saved.id, this.clock);
+            }
+            
+            const restored = order.items[index];
+            restored.band = item.band;
+            restored.rating = item.rating;
+            if (item.servedFor !== null) {
+                restored.servedAt = now - item.servedFor;
+            }
+        });
+        order.createdAt = now - saved.elapsed;
+        order.customer = Customer.fromJSON(saved.customer);
+        if (saved.selectedFor !== null && saved.selectedFor !== undefined) {
+            order.selectedAt = now - saved.selectedFor;
+        }
+        if (saved.completedFor !== null && saved.completedFor !== undefined) {
+            order.complete(saved.rating);
+            order.completedAt = now - saved.completedFor;
+            order.tip = saved.tip || 0;
+        }
+        
+        return order;
+    }
+
     // Clear all orders (useful for game reset)
     clearAllOrders() {
         this.activeOrders.clear();
         this.completedOrders = [];
+        this.orderCount = 0;
         this.totalScore = 0;
+        this.totalTips = 0;
         this.ordersCompleted = 0;
         this.perfectOrders = 0;
         
-        if (this.ordersContainer) {
-            this.ordersContainer.innerHTML = '';
-        }
-        
+        this.emit('ordersCleared');
         this.updateDisplay();
     }
 }
 
+// Points an angry customer takes off the score when their order expires
+OrderSystem.EXPIRED_SCORE = -20;
+
+// Best first; a serve lands in a band by time left, dropping one per cooking mistake
+OrderSystem.RATING_BANDS = [
+    { rating: 'perfect', score: 100 },
+    { rating: 'good', score: 60 },
+    { rating: 'average', score: 30 },
+    { rating: 'bad', score: 0 }
+];
+
+// Share of orders that are combos or tables, and the most dishes one order can have
+OrderSystem.COMBO_CHANCE = 0.15;
+OrderSystem.MAX_COMBO_SIZE = 3;
+
 // Global order system will be initialized by the game
+window.Order = Order;
 window.OrderSystem = OrderSystem;
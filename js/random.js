@@ -0,0 +1,94 @@
+/**
+ * Seeded Random - Reproducible random numbers
+ * The same seed always produces the same order sequence, for daily challenges and bug reports
+ */
+
+class SeededRandom {
+    constructor(seed = null) {
+        this.setSeed(seed);
+    }
+
+    // Start a new sequence from a seed (any string or number); null picks a fresh one
+    setSeed(seed) {
+        this.isCustomSeed = seed !== undefined && seed !== null && seed !== '';
+        this.seed = this.isCustomSeed ? String(seed) : SeededRandom.createSeed();
+        this.reset();
+    }
+
+    // Rewind to the start of the current seed's sequence
+    reset() {
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    // Where the sequence is up to, so a saved game can carry on from the same point
+    getState() {
+        return { seed: this.seed, isCustomSeed: this.isCustomSeed, state: this.state };
+    }
+
+    setState({ seed, isCustomSeed, state }) {
+        this.seed = String(seed);
+        this.isCustomSeed = Boolean(isCustomSeed);
+        this.state = state;
+    }
+
+    // Next number in [0, 1) (mulberry32)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Whole number in [0, max)
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    // Random item from an array
+    pick(items) {
+        return items[this.nextInt(items.length)];
+    }
+
+    // Random base-36 string, used for ids
+    nextId(length = 9) {
+        let id = '';
+        for (let i = 0; i < length; i++) {
+            id += this.nextInt(36).toString(36);
+        }
+        return id;
+    }
+
+    // 32-bit FNV-1a hash of the seed text
+    static hashSeed(seed) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Fresh seed for a normal, unseeded game
+    static createSeed() {
+        return Math.floor(Math.random() * 1e9).toString(36);
+    }
+
+    // Seed shared by every player on the same (UTC) day
+    static getDailySeed(date = new Date()) {
+        return `daily-${date.toISOString().slice(0, 10)}`;
+    }
+
+    // Seed from the page URL (?seed=abc, or ?seed=daily for today's challenge)
+    static getUrlSeed() {
+        if (typeof window === 'undefined' || !window.location) return null;
+
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        if (!seed) return null;
+
+        return seed === 'daily' ? SeededRandom.getDailySeed() : seed;
+    }
+}
+
+// Random generator will be initialized by the game
+window.SeededRandom = SeededRandom;
@@ -0,0 +1,186 @@
+/**
+ * Session Recorder - Time-stamped event log of a game session, and replays of it
+ * Logs key presses, order spawns, station completions and serves so a run can be
+ * exported as JSON and played back through the game
+ */
+
+class SessionRecorder {
+    constructor(clock = GameClock.system) {
+        this.clock = clock;
+        this.isRecording = false;
+        this.startTime = 0;
+        this.session = null; // Current or last recorded session
+    }
+
+    // Begin a new log; `settings` describes how the game was set up (seed, difficulty, menu)
+    start(settings = {}) {
+        this.startTime = this.clock.now();
+        this.isRecording = true;
+        this.session = {
+            version: SessionRecorder.VERSION,
+            recordedAt: new Date().toISOString(),
+            settings,
+            events: []
+        };
+    }
+
+    // The recording in progress, for saving with a shift (null when not recording)
+    getState() {
+        if (!this.isRecording) return null;
+
+        return {
+            version: this.session.version,
+            recordedAt: this.session.recordedAt,
+            settings: this.session.settings,
+            elapsed: this.getElapsed(),
+            events: this.session.events
+        };
+    }
+
+    // Carry on a recording saved with getState(); false if it was made by another session version
+    resume(state) {
+        if (!state || state.version !== SessionRecorder.VERSION) return false;
+
+        this.startTime = this.clock.now() - state.elapsed;
+        this.isRecording = true;
+        this.session = {
+            version: state.version,
+            recordedAt: state.recordedAt,
+            settings: state.settings,
+            events: state.events.slice()
+        };
+        return true;
+    }
+
+    stop() {
+        if (!this.isRecording) return;
+
+        this.isRecording = false;
+        this.session.duration = this.getElapsed();
+    }
+
+    // Milliseconds since recording started
+    getElapsed() {
+        return this.clock.now() - this.startTime;
+    }
+
+    // Add an event to the log, e.g. record('spawn', { orderId, dishId })
+    record(type, data = {}) {
+        if (!this.isRecording) return;
+
+        this.session.events.push({ time: this.getElapsed(), type, ...data });
+    }
+
+    getEvents(type = null) {
+        if (!this.session) return [];
+
+        return type ? this.session.events.filter(event => event.type === type) : this.session.events;
+    }
+
+    // The recorded session as a JSON string
+    export() {
+        return this.session ? JSON.stringify(this.session, null, 2) : null;
+    }
+
+    // Parse and check a session exported by export()
+    static parse(source) {
+        const session = typeof source === 'string' ? JSON.parse(source) : source;
+
+        if (!session || !Array.isArray(session.events)) {
+            throw new Error('Not a Cook Tap session: missing events');
+        }
+        if (session.version !== SessionRecorder.VERSION) {
+            throw new Error(`Unsupported session version ${session.version} (expected ${SessionRecorder.VERSION})`);
+        }
+
+        return session;
+    }
+}
+
+// Bumped whenever the same seed and actions would play out differently (2: customers, 3: order modifiers, 4: combos)
+SessionRecorder.VERSION = 4;
+
+// Event types compared when checking a replay against its recording
+SessionRecorder.OUTCOME_EVENTS = ['spawn', 'station', 'serveItem', 'serve', 'expire'];
+
+/**
+ * Session Replay - Feeds a recorded session's actions back into a Kitchen
+ */
+class SessionReplay {
+    constructor(kitchen, session, clock = GameClock.system) {
+        this.kitchen = kitchen;
+        this.session = session;
+        this.clock = clock;
+        this.keyEvents = session.events.filter(event => event.type === 'key');
+        this.nextEvent = 0;
+        this.timer = null;
+        this.startTime = 0;
+        this.onFinish = null;
+    }
+
+    // Start feeding events; the kitchen must already be running with the session's settings
+    start(onFinish = null) {
+        this.onFinish = onFinish;
+        this.startTime = this.clock.now();
+        this.scheduleNext();
+    }
+
+    // Wait for the next recorded key press (or the end of the session)
+    scheduleNext() {
+        const nextEvent = this.keyEvents[this.nextEvent];
+        const dueTime = nextEvent ? nextEvent.time : (this.session.duration || 0);
+        const delay = Math.max(0, dueTime - (this.clock.now() - this.startTime));
+
+        this.timer = this.clock.schedule(delay, () => {
+            this.timer = null;
+
+            if (!nextEvent) {
+                this.finish();
+                return;
+            }
+
+            this.nextEvent++;
+            this.kitchen.performAction(nextEvent.action, nextEvent.key);
+            this.scheduleNext();
+        });
+    }
+
+    // Stop without reporting
+    stop() {
+        if (this.timer) {
+            this.clock.cancel(this.timer);
+            this.timer = null;
+        }
+    }
+
+    finish() {
+        this.stop();
+        if (this.onFinish) this.onFinish();
+    }
+
+    // Compare the replayed run's outcome events with the recording's; returns a list of differences.
+    // Each event type is compared in order on its own, ignoring timestamps.
+    static compare(recorded, replayed) {
+        const outcomes = (session, type) => session.events
+            .filter(event => event.type === type)
+            .map(({ time, ...event }) => JSON.stringify(event));
+
+        const differences = [];
+        for (const type of SessionRecorder.OUTCOME_EVENTS) {
+            const expected = outcomes(recorded, type);
+            const actual = outcomes(replayed, type);
+
+            for (let i = 0; i < Math.max(expected.length, actual.length); i++) {
+                if (expected[i] !== actual[i]) {
+                    differences.push({ type, index: i, expected: expected[i] || null, actual: actual[i] || null });
+                }
+            }
+        }
+
+        return differences;
+    }
+}
+
+// Session recording will be initialized by the game
+window.SessionRecorder = SessionRecorder;
+window.SessionReplay = SessionReplay;
@@ -0,0 +1,254 @@
+/**
+ * Settings Panel - Player settings screen
+ * Lets players pick a keyboard layout preset, rebind individual keys and set volumes
+ */
+
+class SettingsPanel {
+    constructor(game) {
+        this.game = game;
+        this.keyBindings = game.keyBindings;
+        this.element = null;
+        this.pendingAction = null; // Action id waiting for its new key
+        this.captureHandler = null;
+        this.message = null;
+    }
+
+    // Show the settings panel (pauses a running game)
+    open() {
+        if (this.element) return;
+
+        if (this.game.isRunning) {
+            this.game.pauseGame();
+        }
+
+        this.element = document.createElement('div');
+        this.element.className = 'modal-overlay';
+        this.element.innerHTML = '<div class="modal settings-panel"></div>';
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (event) => this.handleClick(event));
+        this.element.addEventListener('change', (event) => this.handleChange(event));
+        this.element.addEventListener('input', (event) => this.handleInput(event));
+
+        this.render();
+    }
+
+    // Hide the settings panel
+    close() {
+        this.stopRebinding();
+
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+        this.message = null;
+    }
+
+    isOpen() {
+        return this.element !== null;
+    }
+
+    render() {
+        if (!this.element) return;
+
+        const panel = this.element.querySelector('.settings-panel');
+        const presetOptions = Object.entries(KeyBindings.PRESETS).map(([presetId, preset]) => `
+            <option value="${presetId}" ${presetId === this.keyBindings.preset ? 'selected' : ''}>${preset.name}</option>
+        `).join('');
+
+        panel.innerHTML = `
+            <div class="modal-header">
+                <h2>Settings</h2>
+                <button class="btn btn-secondary" data-command="close">Close</button>
+            </div>
+            <section class="settings-section">
+                <h3>Key Bindings</h3>
+                <div class="settings-row">
+                    <label for="key-preset">Layout preset</label>
+                    <select id="key-preset" data-command="preset">${presetOptions}</select>
+                    <button class="btn btn-secondary" data-command="reset">Reset to defaults</button>
+                </div>
+                ${this.message ? `<div class="settings-message ${this.message.isError ? 'error' : ''}">${this.message.text}</div>` : ''}
+                <div class="binding-groups">
+                    ${this.renderBindingGroup('Actions', this.getSpecialRows())}
+                    ${this.renderBindingGroup('Ingredients', this.getIngredientRows())}
+                    ${this.renderBindingGroup('Tools', this.getToolRows())}
+                </div>
+                ${this.renderConflicts()}
+            </section>
+            ${this.renderSoundSection()}
+        `;
+    }
+
+    // Volume sliders; changes apply (and are saved) as they are dragged
+    renderSoundSection() {
+        const soundEngine = this.game.soundEngine;
+        if (!soundEngine) return '';
+
+        const channels = { master: 'Master', music: 'Music', sfx: 'Sound effects' };
+        const rows = Object.entries(channels).map(([channel, name]) => `
+            <div class="settings-row">
+                <label for="volume-${channel}">${name}</label>
+                <input type="range" id="volume-${channel}" min="0" max="100" step="5"
+                    value="${Math.round(soundEngine.getVolume(channel) * 100)}" data-command="volume" data-channel="${channel}">
+            </div>
+        `).join('');
+
+        return `
+            <section class="settings-section">
+                <h3>Sound</h3>
+                ${SoundEngine.isSupported() ? rows : '<div class="settings-message">Sound isn\'t supported in this browser</div>'}
+            </section>
+        `;
+    }
+
+    renderBindingGroup(title, rows) {
+        return `
+            <div class="binding-group">
+                <h4>${title}</h4>
+                ${rows.map(row => `
+                    <div class="binding-row">
+                        <span class="binding-name">${row.name}</span>
+                        <button class="binding-key ${this.pendingAction === row.actionId ? 'listening' : ''}" data-action-id="${row.actionId}">
+                            ${this.pendingAction === row.actionId ? 'Press a key...' : KeyBindings.getKeyLabel(row.key)}
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    // Dishes whose conflicting keys were moved by the key validator
+    renderConflicts() {
+        const dishSystem = this.game.dishSystem;
+        const notes = [];
+
+        for (const [dishId, remap] of dishSystem.keyRemaps) {
+            const dish = dishSystem.getDish(dishId);
+            if (!dish) continue;
+
+            for (const [identity, key] of remap) {
+                const [type, id] = identity.split(':');
+                const item = type === 'ingredient' ? dishSystem.getIngredient(id) : dishSystem.getTool(id);
+                notes.push(`<li>${dish.name}: ${item ? item.name : id} uses <kbd>${KeyBindings.getKeyLabel(key)}</kbd></li>`);
+            }
+        }
+
+        if (notes.length === 0) return '';
+
+        return `
+            <div class="binding-conflicts">
+                <h4>Moved to avoid conflicts</h4>
+                <ul>${notes.join('')}</ul>
+            </div>
+        `;
+    }
+
+    getSpecialRows() {
+        return Object.keys(KeyBindings.DEFAULT_SPECIALS).map(action => ({
+            actionId: `special:${action}`,
+            name: KeyBindings.SPECIAL_NAMES[action],
+            key: this.keyBindings.getSpecialKey(action)
+        }));
+    }
+
+    getIngredientRows() {
+        return Array.from(this.game.dishSystem.ingredients.values()).map(ingredient => ({
+            actionId: `ingredient:${ingredient.id}`,
+            name: ingredient.name,
+            key: this.game.dishSystem.getBoundKey('ingredient', ingredient.id, ingredient.key)
+        }));
+    }
+
+    getToolRows() {
+        // Plating happens with the serve key, so it isn't bound separately
+        return Array.from(this.game.dishSystem.tools.values())
+            .filter(tool => tool.key !== 'space')
+            .map(tool => ({
+                actionId: `tool:${tool.id}`,
+                name: tool.name,
+                key: this.game.dishSystem.getBoundKey('tool', tool.id, tool.key)
+            }));
+    }
+
+    handleClick(event) {
+        const commandElement = event.target.closest('[data-command]');
+        if (commandElement) {
+            const command = commandElement.dataset.command;
+            if (command === 'close') {
+                this.close();
+                return;
+            }
+            if (command === 'reset') {
+                this.keyBindings.reset();
+                this.showMessage('Key bindings reset to QWERTY defaults');
+                return;
+            }
+        }
+
+        const bindingButton = event.target.closest('[data-action-id]');
+        if (bindingButton) {
+            this.startRebinding(bindingButton.dataset.actionId);
+        }
+    }
+
+    handleChange(event) {
+        if (event.target.dataset.command === 'preset') {
+            this.keyBindings.setPreset(event.target.value);
+            this.showMessage(`Switched to ${KeyBindings.PRESETS[event.target.value].name} layout`);
+        }
+    }
+
+    // Volume sliders update live without re-rendering (that would interrupt the drag)
+    handleInput(event) {
+        if (event.target.dataset.command === 'volume') {
+            this.game.soundEngine.setVolume(event.target.dataset.channel, event.target.value / 100);
+        }
+    }
+
+    // Wait for the next key press and bind it to an action
+    startRebinding(actionId) {
+        this.stopRebinding();
+        this.pendingAction = actionId;
+
+        this.captureHandler = (event) => {
+            event.preventDefault();
+            event.stopImmediatePropagation();
+
+            const key = KeyBindings.normalizeKey(event.key);
+            this.stopRebinding();
+
+            // Esc backs out unless it is the key being assigned to Cancel
+            if (key === 'escape' && actionId !== 'special:cancel') {
+                this.render();
+                return;
+            }
+
+            const result = this.keyBindings.setBinding(actionId, key);
+            if (result.success) {
+                this.showMessage(`Bound ${KeyBindings.getKeyLabel(key)}`);
+            } else {
+                this.showMessage(result.reason, true);
+            }
+        };
+
+        document.addEventListener('keydown', this.captureHandler, true);
+        this.render();
+    }
+
+    stopRebinding() {
+        if (this.captureHandler) {
+            document.removeEventListener('keydown', this.captureHandler, true);
+            this.captureHandler = null;
+        }
+        this.pendingAction = null;
+    }
+
+    showMessage(text, isError = false) {
+        this.message = { text, isError };
+        this.render();
+    }
+}
+
+// Settings panel will be initialized by the game
+window.SettingsPanel = SettingsPanel;
@@ -0,0 +1,200 @@
+/**
+ * Shift Report - End-of-shift analytics
+ * Installs as a kitchen plugin. While a game runs it notes wrong key presses,
+ * how full each station is every second and which orders expired while the
+ * player was busy with another. When the game ends those are combined with the
+ * order system's completedOrders into a report, which can be exported as CSV.
+ */
+
+class ShiftReport extends EventEmitter {
+    constructor() {
+        super();
+        this.kitchen = null;
+        this.session = ShiftReport.createSession();
+        this.lastReport = null; // Report for the last game that ended
+    }
+
+    // Plugin entry point: collect what completedOrders doesn't record
+    install(events, kitchen) {
+        this.kitchen = kitchen;
+        const unsubscribers = [
+            events.on('game:started', ({ resumed }) => {
+                if (!resumed) this.session = ShiftReport.createSession();
+            }),
+            events.on('game:tick', ({ gameTime }) => this.sampleStations(gameTime)),
+            events.on('action:failed', ({ type, id }) => this.recordWrongKey(this.describeAction(type, id))),
+            events.on('key:unmapped', ({ key }) => this.recordWrongKey(`${key.toUpperCase()} (nothing to do)`)),
+            events.on('order:expired', ({ order }) => this.recordExpiry(order)),
+            events.on('game:ended', () => {
+                this.lastReport = this.build();
+                this.emit('ready', { report: this.lastReport });
+            })
+        ];
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.kitchen = null;
+        };
+    }
+
+    // How many slots each station has in use right now
+    sampleStations(gameTime) {
+        const counts = {};
+        this.kitchen.cookingStationManager.getAllStations().forEach(station => {
+            counts[station.id] = station.currentItems.size;
+        });
+        this.session.stationSamples.push({ time: gameTime, counts });
+    }
+
+    recordWrongKey(label) {
+        this.session.wrongKeys[label] = (this.session.wrongKeys[label] || 0) + 1;
+    }
+
+    // Orders left to expire while the player was working on a different one
+    recordExpiry(order) {
+        const activeOrder = this.kitchen.getActiveOrder();
+        if (activeOrder && activeOrder !== order) {
+            this.session.expiredWhileBusy.set(order.id, activeOrder.dishName);
+        }
+    }
+
+    describeAction(type, id) {
+        const dishSystem = this.kitchen.dishSystem;
+        const item = type === 'ingredient' ? dishSystem.getIngredient(id) : type === 'tool' ? dishSystem.getTool(id) : null;
+        return item ? `${item.name} (${type})` : `${id} (${type})`;
+    }
+
+    // Put the report together from the finished orders and what was collected
+    build() {
+        const { orderSystem, clock, gameTime } = this.kitchen;
+        const startedAt = clock.now() - gameTime * 1000;
+        const seconds = (ms) => Math.round(ms / 100) / 10;
+        const average = (values) => {
+            const known = values.filter(value => value !== null);
+            return known.length > 0 ? Math.round(known.reduce((sum, value) => sum + value, 0) / known.length * 10) / 10 : null;
+        };
+
+        const orders = orderSystem.completedOrders.map(order => ({
+            id: order.id,
+            dishId: order.isCombo() ? ShiftReport.COMBO_ID : order.dishId,
+            dishName: order.dishName,
+            customer: order.customer.type.name,
+            rating: order.rating,
+            tip: order.tip,
+            spawnedAt: seconds(order.createdAt - startedAt),
+            waitTime: order.selectedAt !== null ? seconds(order.selectedAt - order.createdAt) : null,
+            serveTime: order.rating !== 'failed' ? seconds(order.completedAt - order.createdAt) : null,
+            expiredWhileOn: this.session.expiredWhileBusy.get(order.id) || null
+        }));
+
+        const dishes = [];
+        orders.forEach(order => {
+            let dish = dishes.find(entry => entry.dishId === order.dishId);
+            if (!dish) {
+                const name = order.dishId === ShiftReport.COMBO_ID ? ShiftReport.COMBO_NAME : order.dishName;
+                dish = { dishId: order.dishId, name, ratings: ShiftReport.emptyRatings(), serveTimes: [], waitTimes: [] };
+                dishes.push(dish);
+            }
+            dish.ratings[order.rating]++;
+            dish.serveTimes.push(order.serveTime);
+            dish.waitTimes.push(order.waitTime);
+        });
+
+        const stations = this.kitchen.cookingStationManager.getAllStations()
+            .map(station => ({ id: station.id, name: station.name, slots: station.cookingSlots }));
+
+        return {
+            gameTime,
+            orders,
+            dishes: dishes.map(({ serveTimes, waitTimes, ...dish }) => ({
+                ...dish,
+                averageServeTime: average(serveTimes),
+                averageWaitTime: average(waitTimes)
+            })),
+            averageServeTime: average(orders.map(order => order.serveTime)),
+            averageWaitTime: average(orders.map(order => order.waitTime)),
+            wrongKeys: Object.entries(this.session.wrongKeys)
+                .map(([label, count]) => ({ label, count }))
+                .sort((a, b) => b.count - a.count),
+            stationUse: { stations, samples: this.session.stationSamples },
+            expiredWhileBusy: orders.filter(order => order.expiredWhileOn)
+        };
+    }
+
+    getLastReport() {
+        return this.lastReport;
+    }
+
+    // What has been collected so far, for saving with the shift
+    getShiftState() {
+        return {
+            wrongKeys: { ...this.session.wrongKeys },
+            stationSamples: this.session.stationSamples.slice(),
+            expiredWhileBusy: Object.fromEntries(this.session.expiredWhileBusy)
+        };
+    }
+
+    restoreShiftState(state) {
+        this.session = ShiftReport.createSession();
+        if (!state) return;
+
+        this.session.wrongKeys = { ...state.wrongKeys };
+        this.session.stationSamples = state.stationSamples.slice();
+        this.session.expiredWhileBusy = new Map(Object.entries(state.expiredWhileBusy));
+    }
+
+    static createSession() {
+        return {
+            wrongKeys: {}, // label -> presses
+            stationSamples: [], // { time, counts: station id -> slots in use }
+            expiredWhileBusy: new Map() // expired order id -> dish being worked on instead
+        };
+    }
+
+    static emptyRatings() {
+        return Object.fromEntries(ShiftReport.RATINGS.map(rating => [rating, 0]));
+    }
+
+    // The report as CSV: one section each for orders, wrong keys and station use
+    static toCSV(report) {
+        const row = (values) => values.map(ShiftReport.csvField).join(',');
+        const { stations, samples } = report.stationUse;
+
+        return [
+            'Orders',
+            row(['Order', 'Dish', 'Customer', 'Spawned (s)', 'Waited (s)', 'Served after (s)', 'Rating', 'Tip ($)', 'Expired while working on']),
+            ...report.orders.map(order => row([
+                order.id, order.dishName, order.customer, order.spawnedAt, order.waitTime, order.serveTime,
+                order.rating, (order.tip / 100).toFixed(2), order.expiredWhileOn
+            ])),
+            '',
+            'Wrong keys',
+            row(['Key', 'Presses']),
+            ...report.wrongKeys.map(({ label, count }) => row([label, count])),
+            '',
+            'Station use (slots in use)',
+            row(['Time (s)', ...stations.map(station => station.name)]),
+            ...samples.map(sample => row([sample.time, ...stations.map(station => sample.counts[station.id] || 0)]))
+        ].join('\n') + '\n';
+    }
+
+    static csvField(value) {
+        if (value === null || value === undefined) return '';
+
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Key for this add-on's state in a saved shift (see Kitchen.getPluginStates)
+ShiftReport.SHIFT_STATE_KEY = 'shiftReport';
+
+// Order ratings, best first ('failed' is an expired order)
+ShiftReport.RATINGS = ['perfect', 'good', 'average', 'bad', 'failed'];
+
+// Combos and tables are summed up together rather than under one of their dishes
+ShiftReport.COMBO_ID = 'combo';
+ShiftReport.COMBO_NAME = 'Combos and tables';
+
+// Shift report will be initialized by the game
+window.ShiftReport = ShiftReport;
@@ -0,0 +1,124 @@
+/**
+ * Shift Save - Keeps an in-progress shift across page reloads
+ * Stores a versioned snapshot of the kitchen (orders, dish progress, station
+ * slots, score, game time, the session recording and add-ons' per-shift data)
+ * in localStorage. Saves written by an older version are upgraded through
+ * ShiftSave.MIGRATIONS when they are loaded.
+ */
+
+class ShiftSave {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+    }
+
+    // Save the kitchen's shift; `extra` holds shell state such as the campaign day
+    save(kitchen, extra = {}) {
+        if (!this.storage || kitchen.replay) return false;
+
+        const snapshot = {
+            version: ShiftSave.VERSION,
+            savedAt: new Date().toISOString(),
+            ...kitchen.getSnapshot(),
+            extra
+        };
+
+        try {
+            this.storage.setItem(ShiftSave.STORAGE_KEY, JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            console.warn('Could not save shift:', error);
+            return false;
+        }
+    }
+
+    // The saved shift in the current format, or null if there isn't a usable one
+    load() {
+        if (!this.storage) return null;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(ShiftSave.STORAGE_KEY));
+            return saved ? ShiftSave.migrate(saved) : null;
+        } catch (error) {
+            console.warn('Could not load saved shift:', error);
+            return null;
+        }
+    }
+
+    clear() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(ShiftSave.STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not clear saved shift:', error);
+        }
+    }
+
+    // Upgrade a snapshot one version at a time until it matches ShiftSave.VERSION
+    static migrate(snapshot) {
+        if (!snapshot || !Number.isInteger(snapshot.version) || snapshot.version < 1) {
+            throw new Error('Not a shift save');
+        }
+        if (snapshot.version > ShiftSave.VERSION) {
+            throw new Error(`Shift save version ${snapshot.version} is newer than this game (${ShiftSave.VERSION})`);
+        }
+
+        let migrated = snapshot;
+        while (migrated.version < ShiftSave.VERSION) {
+            const upgrade = ShiftSave.MIGRATIONS[migrated.version];
+            if (!upgrade) {
+                throw new Error(`No upgrade for shift save version ${migrated.version}`);
+            }
+            migrated = { ...upgrade(migrated), version: migrated.version + 1 };
+        }
+
+        return migrated;
+    }
+}
+
+ShiftSave.STORAGE_KEY = 'cookTap.shift';
+ShiftSave.VERSION = 5;
+
+// Version -> function turning a snapshot of that version into the next one.
+// Whenever the snapshot format changes, bump VERSION and add an entry here.
+ShiftSave.MIGRATIONS = {
+    // 2: orders have customers, and tips are kept apart from the score
+    1: (snapshot) => ({
+        ...snapshot,
+        orders: {
+            ...snapshot.orders,
+            totalTips: 0,
+            orders: snapshot.orders.orders.map(order => ({ ...order, customer: { typeId: 'regular', name: null } }))
+        }
+    }),
+    // 3: orders can have modifiers (extras, leave-outs, well done)
+    2: (snapshot) => ({
+        ...snapshot,
+        orders: {
+            ...snapshot.orders,
+            orders: snapshot.orders.orders.map(order => ({ ...order, dish: { ...order.dish, modifiers: [] } }))
+        }
+    }),
+    // 4: orders hold a list of dishes (combos and tables)
+    3: (snapshot) => ({
+        ...snapshot,
+        orders: {
+            ...snapshot.orders,
+            orders: snapshot.orders.orders.map(({ dishId, dish, ...order }) => ({
+                ...order,
+                items: [{ dishId, servedFor: null, band: null, rating: null, dish }]
+            }))
+        }
+    }),
+    // 5: finished orders, the session recording and add-ons' shift state are kept;
+    // older saves resume with a new recording and an empty report
+    4: (snapshot) => ({
+        ...snapshot,
+        orders: { ...snapshot.orders, completedOrders: [] },
+        recording: null,
+        plugins: {}
+    })
+};
+
+// Shift save will be initialized by the game
+window.ShiftSave = ShiftSave;
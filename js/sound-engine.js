@@ -0,0 +1,381 @@
+/**
+ * Sound Engine - Procedural sound effects and music with Web Audio
+ * Every sound is synthesized in the browser, so there is nothing to download.
+ * Installs as a kitchen plugin and plays from game events: station loops while
+ * slots are busy, a ding when food is ready, stings per rating and a ticking
+ * clock while an order is critical. Volumes are saved in localStorage.
+ */
+
+class SoundEngine {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.volumes = { ...SoundEngine.DEFAULT_VOLUMES };
+        this.kitchen = null;
+
+        // Audio graph, created on the first user gesture (browsers block audio before one)
+        this.context = null;
+        this.masterGain = null;
+        this.musicGain = null;
+        this.sfxGain = null;
+        this.noiseBuffer = null;
+
+        this.loops = new Map(); // loop name -> { sources, output }
+        this.music = null; // { timer, step, nextNoteTime } while music plays
+
+        this.load();
+    }
+
+    static isSupported() {
+        return typeof window.AudioContext === 'function' || typeof window.webkitAudioContext === 'function';
+    }
+
+    // Plugin entry point: play along with the kitchen's events
+    install(events, kitchen) {
+        this.kitchen = kitchen;
+
+        const unsubscribers = [
+            events.on('game:started', () => {
+                this.resume();
+                this.startMusic();
+                this.updateStationLoops();
+            }),
+            events.on('game:paused', () => this.stopAll()),
+            events.on('game:reset', () => this.stopAll()),
+            events.on('game:tick', () => this.tickUrgentOrders()),
+            events.on('station:itemStarted', () => this.updateStationLoops()),
+            events.on('station:itemRemoved', () => this.updateStationLoops()),
+            events.on('station:itemReady', () => this.playDing()),
+            events.on('order:completed', ({ rating }) => this.playSting(rating)),
+            events.on('order:expired', () => this.playSting('failed'))
+        ];
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.stopAll();
+            this.kitchen = null;
+        };
+    }
+
+    // Build the audio graph: music and effects each feed the master volume
+    ensureContext() {
+        if (this.context) return this.context;
+        if (!SoundEngine.isSupported()) return null;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.context = new AudioContextClass();
+
+        this.masterGain = this.context.createGain();
+        this.masterGain.connect(this.context.destination);
+        this.musicGain = this.context.createGain();
+        this.musicGain.connect(this.masterGain);
+        this.sfxGain = this.context.createGain();
+        this.sfxGain.connect(this.masterGain);
+
+        this.applyVolumes();
+        return this.context;
+    }
+
+    // Start (or unblock) audio; call from a click or key press
+    resume() {
+        const context = this.ensureContext();
+        if (context && context.state === 'suspended') {
+            context.resume();
+        }
+    }
+
+    // Set the master, music or sfx volume (0-1)
+    setVolume(channel, value) {
+        if (!(channel in SoundEngine.DEFAULT_VOLUMES)) return false;
+
+        const volume = Number(value);
+        this.volumes[channel] = Number.isFinite(volume) ? Math.min(1, Math.max(0, volume)) : 0;
+        this.applyVolumes();
+        this.save();
+        return true;
+    }
+
+    getVolume(channel) {
+        return this.volumes[channel];
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+
+        this.masterGain.gain.value = this.volumes.master;
+        this.musicGain.gain.value = this.volumes.music;
+        this.sfxGain.gain.value = this.volumes.sfx;
+    }
+
+    // Stop music and every loop
+    stopAll() {
+        this.stopMusic();
+        for (const name of Array.from(this.loops.keys())) {
+            this.stopLoop(name);
+        }
+    }
+
+    // Loop each station's sound while it has something cooking
+    updateStationLoops() {
+        if (!this.kitchen) return;
+
+        for (const [stationId, loopName] of Object.entries(SoundEngine.STATION_LOOPS)) {
+            const station = this.kitchen.cookingStationManager.getStation(stationId);
+            const isBusy = this.kitchen.isRunning && station && station.currentItems.size > 0;
+
+            if (isBusy) {
+                this.startLoop(loopName);
+            } else {
+                this.stopLoop(loopName);
+            }
+        }
+    }
+
+    // Tick once a second while any order is about to run out
+    tickUrgentOrders() {
+        if (!this.kitchen) return;
+
+        const isCritical = this.kitchen.orderSystem.getActiveOrders()
+            .some(order => !order.isComplete && order.getUrgencyLevel() === 'critical');
+
+        if (isCritical) {
+            this.playTick();
+        }
+    }
+
+    // Two seconds of white noise, shared by the noise-based loops
+    getNoiseBuffer() {
+        if (!this.noiseBuffer) {
+            const length = this.context.sampleRate * 2;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+        return this.noiseBuffer;
+    }
+
+    startLoop(name) {
+        const recipe = SoundEngine.LOOPS[name];
+        if (this.loops.has(name) || !recipe || !this.ensureContext()) return;
+
+        const context = this.context;
+        const now = context.currentTime;
+
+        // Filtered noise...
+        const noise = context.createBufferSource();
+        noise.buffer = this.getNoiseBuffer();
+        noise.loop = true;
+
+        const filter = context.createBiquadFilter();
+        filter.type = recipe.filterType;
+        filter.frequency.value = recipe.frequency;
+        filter.Q.value = recipe.q;
+
+        // ...pulsed by a low-frequency oscillator (crackle for sizzling, blobs for bubbling)
+        const output = context.createGain();
+        output.gain.setValueAtTime(0, now);
+        output.gain.linearRampToValueAtTime(recipe.volume, now + 0.2);
+
+        const pulse = context.createOscillator();
+        pulse.type = recipe.pulseType;
+        pulse.frequency.value = recipe.pulseRate;
+        const pulseDepth = context.createGain();
+        pulseDepth.gain.value = recipe.volume * recipe.pulseDepth;
+
+        noise.connect(filter);
+        filter.connect(output);
+        pulse.connect(pulseDepth);
+        pulseDepth.connect(output.gain);
+        output.connect(this.sfxGain);
+
+        noise.start(now);
+        pulse.start(now);
+        this.loops.set(name, { sources: [noise, pulse], output });
+    }
+
+    // Fade a loop out quickly rather than clicking off
+    stopLoop(name) {
+        const loop = this.loops.get(name);
+        if (!loop) return;
+
+        const now = this.context.currentTime;
+        loop.output.gain.cancelScheduledValues(now);
+        loop.output.gain.setValueAtTime(loop.output.gain.value, now);
+        loop.output.gain.linearRampToValueAtTime(0, now + 0.15);
+        loop.sources.forEach(source => source.stop(now + 0.2));
+
+        this.loops.delete(name);
+    }
+
+    // One enveloped note; returns nothing if audio isn't available
+    playTone(frequency, startTime, duration, options = {}) {
+        if (!this.ensureContext()) return;
+
+        const { type = 'sine', volume = 0.3, destination = this.sfxGain } = options;
+        const oscillator = this.context.createOscillator();
+        oscillator.type = type;
+        oscillator.frequency.value = frequency;
+
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0.0001, startTime);
+        envelope.gain.exponentialRampToValueAtTime(volume, startTime + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, startTime + duration);
+
+        oscillator.connect(envelope);
+        envelope.connect(destination);
+        oscillator.start(startTime);
+        oscillator.stop(startTime + duration + 0.05);
+    }
+
+    // Bell for food that is ready to retrieve
+    playDing() {
+        if (!this.ensureContext()) return;
+
+        const now = this.context.currentTime;
+        this.playTone(1568, now, 0.8, { volume: 0.25 });
+        this.playTone(3136, now, 0.4, { volume: 0.06 });
+    }
+
+    // Short melody for a served or expired order
+    playSting(rating) {
+        const sting = SoundEngine.STINGS[rating];
+        if (!sting || !this.ensureContext()) return;
+
+        const now = this.context.currentTime;
+        sting.notes.forEach((frequency, index) => {
+            const isLast = index === sting.notes.length - 1;
+            this.playTone(frequency, now + index * sting.noteLength, isLast ? sting.noteLength * 3 : sting.noteLength * 1.5, {
+                type: sting.type,
+                volume: sting.volume
+            });
+        });
+    }
+
+    // Clock tick for critical orders
+    playTick() {
+        if (!this.ensureContext()) return;
+
+        this.playTone(1800, this.context.currentTime, 0.04, { type: 'square', volume: 0.08 });
+    }
+
+    // Background music: a looping chord progression scheduled slightly ahead of time
+    startMusic() {
+        if (this.music || !this.ensureContext()) return;
+
+        this.music = {
+            step: 0,
+            nextNoteTime: this.context.currentTime + 0.1,
+            timer: setInterval(() => this.scheduleMusic(), 25)
+        };
+        this.scheduleMusic();
+    }
+
+    stopMusic() {
+        if (!this.music) return;
+
+        clearInterval(this.music.timer);
+        this.music = null;
+    }
+
+    scheduleMusic() {
+        const { tempo, progression, stepsPerChord } = SoundEngine.MUSIC;
+        const stepLength = 60 / tempo / 2; // Eighth notes
+
+        while (this.music && this.music.nextNoteTime < this.context.currentTime + 0.1) {
+            const { step, nextNoteTime } = this.music;
+            const chord = progression[Math.floor(step / stepsPerChord) % progression.length];
+
+            // Bass on the beat, arpeggio on every eighth
+            if (step % 2 === 0) {
+                this.playTone(chord[0] / 2, nextNoteTime, stepLength * 1.8, {
+                    type: 'triangle',
+                    volume: 0.25,
+                    destination: this.musicGain
+                });
+            }
+            this.playTone(chord[1 + step % (chord.length - 1)], nextNoteTime, stepLength * 0.9, {
+                type: 'sine',
+                volume: 0.08,
+                destination: this.musicGain
+            });
+
+            this.music.step++;
+            this.music.nextNoteTime += stepLength;
+        }
+    }
+
+    // Save volumes to localStorage
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(SoundEngine.STORAGE_KEY, JSON.stringify(this.volumes));
+        } catch (error) {
+            console.warn('Could not save sound settings:', error);
+        }
+    }
+
+    // Load volumes from localStorage
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(SoundEngine.STORAGE_KEY));
+            if (!saved) return;
+
+            for (const channel of Object.keys(SoundEngine.DEFAULT_VOLUMES)) {
+                const volume = Number(saved[channel]);
+                if (Number.isFinite(volume)) {
+                    this.volumes[channel] = Math.min(1, Math.max(0, volume));
+                }
+            }
+        } catch (error) {
+            console.warn('Could not load sound settings:', error);
+        }
+    }
+}
+
+SoundEngine.STORAGE_KEY = 'cookTap.audio';
+
+SoundEngine.DEFAULT_VOLUMES = {
+    master: 0.8,
+    music: 0.4,
+    sfx: 0.8
+};
+
+// Station id -> loop played while it has items cooking
+SoundEngine.STATION_LOOPS = {
+    grill: 'sizzle',
+    fryer: 'bubbling'
+};
+
+SoundEngine.LOOPS = {
+    sizzle: { filterType: 'highpass', frequency: 3000, q: 0.7, volume: 0.12, pulseType: 'sine', pulseRate: 13, pulseDepth: 0.5 },
+    bubbling: { filterType: 'lowpass', frequency: 450, q: 8, volume: 0.35, pulseType: 'square', pulseRate: 5, pulseDepth: 0.8 }
+};
+
+// Rating -> notes (Hz); success stings rise, failures fall
+SoundEngine.STINGS = {
+    perfect: { notes: [523.25, 659.25, 783.99, 1046.5], noteLength: 0.08, type: 'triangle', volume: 0.3 },
+    good: { notes: [523.25, 659.25, 783.99], noteLength: 0.09, type: 'triangle', volume: 0.3 },
+    average: { notes: [523.25, 587.33], noteLength: 0.12, type: 'triangle', volume: 0.25 },
+    bad: { notes: [392, 311.13], noteLength: 0.15, type: 'sawtooth', volume: 0.12 },
+    failed: { notes: [311.13, 233.08, 155.56], noteLength: 0.15, type: 'sawtooth', volume: 0.12 }
+};
+
+// C - Am - F - G, root first
+SoundEngine.MUSIC = {
+    tempo: 112,
+    stepsPerChord: 8,
+    progression: [
+        [261.63, 329.63, 392.00, 523.25],
+        [220.00, 261.63, 329.63, 440.00],
+        [174.61, 220.00, 261.63, 349.23],
+        [196.00, 246.94, 293.66, 392.00]
+    ]
+};
+
+// Sound engine will be initialized by the game
+window.SoundEngine = SoundEngine;
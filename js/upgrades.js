@@ -0,0 +1,191 @@
+/**
+ * Upgrades - Kitchen upgrades bought with the restaurant's money
+ * Installs as a kitchen plugin. Upgrades add grill and fryer slots, speed up
+ * cooking, keep ready food from burning and bring finished items back without
+ * the retrieve key. CookingStationManager.initializeStations applies them to
+ * the stations, and they are saved in localStorage.
+ */
+
+class Upgrades extends EventEmitter {
+    constructor(inventory, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        super();
+        this.inventory = inventory;
+        this.storage = storage;
+        this.kitchen = null;
+        this.levels = {}; // upgrade id -> level bought; missing ids haven't been bought
+
+        this.load();
+    }
+
+    // Plugin entry point: build the kitchen's stations with the upgrades bought
+    install(events, kitchen) {
+        this.kitchen = kitchen;
+        const stationManager = kitchen.cookingStationManager;
+        stationManager.upgrades = this;
+        stationManager.initializeStations();
+
+        // A replay is played with the upgrades it was recorded with; the player's come back after it
+        const unsubscribers = [
+            events.on('game:started', ({ resumed }) => {
+                if (!resumed) stationManager.initializeStations();
+            }),
+            events.on('game:reset', () => stationManager.initializeStations())
+        ];
+
+        return () => {
+            unsubscribers.forEach(unsubscribe => unsubscribe());
+            if (stationManager.upgrades === this) {
+                stationManager.upgrades = null;
+                stationManager.initializeStations();
+            }
+            this.kitchen = null;
+        };
+    }
+
+    getUpgrade(upgradeId) {
+        return Upgrades.CATALOG.find(upgrade => upgrade.id === upgradeId) || null;
+    }
+
+    // Levels in play: the player's, or the recorded ones during a replay
+    getLevels() {
+        if (this.kitchen && this.kitchen.replay) {
+            return this.kitchen.replay.session.settings.upgrades || {};
+        }
+        return this.levels;
+    }
+
+    getLevel(upgradeId) {
+        return this.getLevels()[upgradeId] || 0;
+    }
+
+    // Upgrades further up the tree need the ones they build on first
+    isUnlocked(upgradeId) {
+        const upgrade = this.getUpgrade(upgradeId);
+        return Boolean(upgrade) && (upgrade.requires || []).every(id => this.levels[id] > 0);
+    }
+
+    // Each level costs more than the last
+    getPrice(upgradeId) {
+        const upgrade = this.getUpgrade(upgradeId);
+        return upgrade ? upgrade.cost * ((this.levels[upgradeId] || 0) + 1) : 0;
+    }
+
+    isMaxed(upgradeId) {
+        const upgrade = this.getUpgrade(upgradeId);
+        return Boolean(upgrade) && (this.levels[upgradeId] || 0) >= upgrade.maxLevel;
+    }
+
+    // Upgrades are bought between shifts, like stock
+    canBuy(upgradeId) {
+        return this.isUnlocked(upgradeId) && !this.isMaxed(upgradeId) &&
+            this.inventory.canRestock() && this.getPrice(upgradeId) <= this.inventory.money;
+    }
+
+    // Buy the next level of an upgrade; false if it's locked, maxed, mid-shift or there isn't the money
+    buy(upgradeId) {
+        if (!this.canBuy(upgradeId)) return false;
+
+        const upgrade = this.getUpgrade(upgradeId);
+        const price = this.getPrice(upgradeId);
+        if (!this.inventory.spend(price)) return false;
+
+        this.levels[upgradeId] = (this.levels[upgradeId] || 0) + 1;
+        this.save();
+
+        if (this.kitchen) {
+            this.kitchen.cookingStationManager.initializeStations();
+        }
+        this.emit('changed');
+
+        console.log(`Bought ${upgrade.name} (level ${this.levels[upgradeId]}) for ${Customer.formatTip(price)}`);
+        return true;
+    }
+
+    // What the upgrades in play do to one station (see CookingStation.applyUpgrades)
+    getStationEffects(stationId) {
+        const effects = { extraSlots: 0, cookTimeMultiplier: 1, keepsWarm: false, autoRetrieve: false };
+
+        Upgrades.CATALOG.forEach(upgrade => {
+            const level = this.getLevel(upgrade.id);
+            if (level === 0 || (upgrade.station && upgrade.station !== stationId)) return;
+
+            switch (upgrade.effect) {
+                case 'slot':
+                    effects.extraSlots += level;
+                    break;
+                case 'speed':
+                    effects.cookTimeMultiplier *= Math.pow(Upgrades.SPEED_MULTIPLIER, level);
+                    break;
+                case 'warming':
+                    effects.keepsWarm = true;
+                    break;
+                case 'autoRetrieve':
+                    effects.autoRetrieve = true;
+                    break;
+            }
+        });
+
+        return effects;
+    }
+
+    // Back to the basic kitchen
+    reset() {
+        this.levels = {};
+        this.save();
+
+        if (this.kitchen) {
+            this.kitchen.cookingStationManager.initializeStations();
+        }
+        this.emit('changed');
+    }
+
+    // Save upgrade levels to localStorage
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(Upgrades.STORAGE_KEY, JSON.stringify(this.levels));
+        } catch (error) {
+            console.warn('Could not save upgrades:', error);
+        }
+    }
+
+    // Load upgrade levels from localStorage, dropping any this version doesn't know
+    load() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(Upgrades.STORAGE_KEY));
+            if (!saved) return;
+
+            this.levels = {};
+            Upgrades.CATALOG.forEach(upgrade => {
+                if (saved[upgrade.id] > 0) {
+                    this.levels[upgrade.id] = Math.min(saved[upgrade.id], upgrade.maxLevel);
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load upgrades:', error);
+        }
+    }
+}
+
+Upgrades.STORAGE_KEY = 'cookTap.upgrades';
+
+// Cook time multiplier per level of a speed upgrade
+Upgrades.SPEED_MULTIPLIER = 0.8;
+
+// The upgrade tree. `station` limits an upgrade to one station; `requires` lists
+// upgrades that must be bought first; `cost` (cents) is the first level's price
+Upgrades.CATALOG = [
+    { id: 'grill_slot', name: 'Bigger Grill', description: 'One more grill slot', station: 'grill', effect: 'slot', cost: 1500, maxLevel: 2 },
+    { id: 'fryer_slot', name: 'Extra Fryer Basket', description: 'One more fryer slot', station: 'fryer', effect: 'slot', cost: 1500, maxLevel: 2 },
+    { id: 'grill_speed', name: 'Hotter Grill', description: 'The grill cooks 20% faster', station: 'grill', effect: 'speed', cost: 1000, maxLevel: 3 },
+    { id: 'fryer_speed', name: 'Hotter Fryer', description: 'The fryer cooks 20% faster', station: 'fryer', effect: 'speed', cost: 1000, maxLevel: 3 },
+    { id: 'stove_speed', name: 'Bigger Burners', description: 'The stove cooks 20% faster', station: 'stove', effect: 'speed', cost: 1000, maxLevel: 3 },
+    { id: 'warming_lamp', name: 'Warming Lamp', description: 'Food left on a station overcooks but never burns', effect: 'warming', cost: 2500, maxLevel: 1, requires: ['grill_speed', 'fryer_speed'] },
+    { id: 'auto_retrieve', name: 'Kitchen Runner', description: 'Finished items come back without pressing retrieve', effect: 'autoRetrieve', cost: 4000, maxLevel: 1, requires: ['warming_lamp'] }
+];
+
+// Upgrades will be initialized by the game
+window.Upgrades = Upgrades;
@@ -0,0 +1,76 @@
+/**
+ * Achievements View - Unlock toasts and the achievements gallery
+ */
+
+class AchievementsView {
+    constructor(achievements) {
+        this.achievements = achievements;
+        this.element = null; // Open gallery
+
+        achievements.on('unlocked', ({ achievement }) => this.showToast(achievement));
+    }
+
+    // Slide in a notice for a newly unlocked badge
+    showToast(achievement) {
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <div class="achievement-icon">${achievement.icon}</div>
+            <div>
+                <div class="achievement-toast-title">Achievement unlocked</div>
+                <div class="achievement-name">${achievement.name}</div>
+            </div>
+        `;
+
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            toast.remove();
+        }, 4000);
+    }
+
+    // Show every badge, locked ones with their progress
+    openGallery() {
+        this.close();
+
+        const badges = this.achievements.getAll().map(achievement => `
+            <div class="achievement-badge ${achievement.unlocked ? 'unlocked' : 'locked'}">
+                <div class="achievement-icon">${achievement.icon}</div>
+                <div class="achievement-name">${achievement.name}</div>
+                <div class="achievement-description">${achievement.description}</div>
+                ${achievement.unlocked
+                    ? `<div class="achievement-date">${new Date(achievement.unlockedAt).toLocaleDateString()}</div>`
+                    : achievement.count ? `<div class="achievement-progress">${achievement.progress} / ${achievement.count}</div>` : ''}
+            </div>
+        `).join('');
+
+        this.element = document.createElement('div');
+        this.element.className = 'modal-overlay';
+        this.element.innerHTML = `
+            <div class="modal achievements-gallery">
+                <div class="modal-header">
+                    <h2>Achievements (${this.achievements.getUnlockedCount()}/${this.achievements.definitions.length})</h2>
+                    <button class="btn btn-secondary" data-command="close">Close</button>
+                </div>
+                <div class="achievement-grid">${badges}</div>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (event) => {
+            if (event.target.closest('[data-command="close"]') || event.target === this.element) {
+                this.close();
+            }
+        });
+    }
+
+    close() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
+
+// Achievements view will be initialized by the game
+window.AchievementsView = AchievementsView;
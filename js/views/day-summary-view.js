@@ -0,0 +1,74 @@
+/**
+ * Day Summary View - End-of-day screen for campaign mode
+ * Shows a finished day's score against its target, unlocks and what to do next
+ */
+
+class DaySummaryView {
+    constructor(dishSystem) {
+        this.dishSystem = dishSystem;
+        this.element = null;
+    }
+
+    // Show the end-of-day summary screen
+    show(result, handlers = {}) {
+        this.hide();
+
+        const { day, stats } = result;
+        const dishNames = dishIds => dishIds
+            .map(dishId => this.dishSystem.getDish(dishId))
+            .filter(dish => dish)
+            .map(dish => dish.name)
+            .join(', ');
+
+        let outcome = `Missed the target by ${day.targetScore - stats.totalScore} points.`;
+        if (result.campaignComplete) {
+            outcome = 'Campaign complete! Your restaurant is a hit.';
+        } else if (result.passed) {
+            outcome = `Target reached! Day ${result.nextDay.number} unlocked.`;
+        }
+
+        this.element = document.createElement('div');
+        this.element.className = 'modal-overlay';
+        this.element.innerHTML = `
+            <div class="modal day-summary ${result.passed ? 'passed' : 'failed'}">
+                <h2>Day ${day.number}: ${day.name}</h2>
+                <div class="day-outcome">${outcome}</div>
+                <div class="summary-stats">
+                    <div class="summary-stat"><span class="label">Score</span><span>${stats.totalScore} / ${day.targetScore}</span></div>
+                    <div class="summary-stat"><span class="label">Orders</span><span>${stats.ordersCompleted}</span></div>
+                    <div class="summary-stat"><span class="label">Perfect</span><span>${stats.perfectOrders} (${stats.perfectRate}%)</span></div>
+                    <div class="summary-stat"><span class="label">Average</span><span>${stats.averageScore}</span></div>
+                    <div class="summary-stat"><span class="label">Best</span><span>${result.bestScore}</span></div>
+                </div>
+                ${result.unlockedDishes.length > 0 ? `<div class="day-unlocks">New on the menu: ${dishNames(result.unlockedDishes)}</div>` : ''}
+                <div class="modal-actions">
+                    ${result.nextDay ? '<button class="btn btn-success" data-command="next">Next Day</button>' : ''}
+                    <button class="btn btn-warning" data-command="retry">Retry Day</button>
+                    ${handlers.report ? '<button class="btn btn-secondary" data-command="report">Shift Report</button>' : ''}
+                    ${handlers.shop ? '<button class="btn btn-secondary" data-command="shop">Shop</button>' : ''}
+                    <button class="btn btn-secondary" data-command="close">Close</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (event) => {
+            const commandElement = event.target.closest('[data-command]');
+            if (!commandElement) return;
+
+            this.hide();
+            const handler = handlers[commandElement.dataset.command];
+            if (handler) handler();
+        });
+    }
+
+    hide() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
+
+// Day summary view will be initialized by the game
+window.DaySummaryView = DaySummaryView;
@@ -0,0 +1,394 @@
+/**
+ * Hints View - Renders key hints, the current task and key press feedback
+ * Reads the Kitchen's state whenever it changes; shows keys as the player has bound them
+ */
+
+class HintsView {
+    constructor(kitchen) {
+        this.kitchen = kitchen;
+
+        kitchen.on('changed', () => this.refresh());
+        kitchen.on('actionResult', (result) => this.showActionFeedback(result));
+
+        // Keep hints in sync when the player rebinds keys
+        kitchen.keyBindings.onChange(() => {
+            this.updateGeneralKeys();
+            this.refresh();
+        });
+    }
+
+    // Redraw hints and help text for the selected order
+    refresh() {
+        const activeOrder = this.kitchen.getActiveOrder();
+        if (activeOrder) {
+            this.updateKeyHints(activeOrder.dish);
+        } else {
+            this.clearKeyHints();
+        }
+        this.updateHelpDisplay();
+    }
+
+    // Flash the key that was pressed, green or red depending on the result
+    showActionFeedback({ type, id, dish, success }) {
+        if (type === 'special') {
+            this.showKeyFeedback(this.getSpecialKeyLabel(id), success);
+            return;
+        }
+
+        // Ingredients that can't be added get a generic error, unless they've run out
+        if (type === 'ingredient' && !success) {
+            this.showKeyFeedback(this.isOutOfStock(id) ? 'out of stock' : 'invalid', false);
+            return;
+        }
+
+        const item = type === 'ingredient' ? this.kitchen.dishSystem.getIngredient(id) : this.kitchen.dishSystem.getTool(id);
+        if (item) {
+            this.showKeyFeedback(this.getKeyLabel(dish, type, id, item.key), success);
+        }
+    }
+
+    // Update key hints display for a dish instance
+    updateKeyHints(dish) {
+        const keyHintsElement = document.getElementById('recipe-keys');
+        if (!keyHintsElement) return;
+
+        if (!dish) {
+            keyHintsElement.innerHTML = '<span class="key-hint">Select a dish to see controls</span>';
+            return;
+        }
+
+        const hints = [];
+        
+        // Show ingredient keys for missing required ingredients
+        const requiredIngredients = dish.ingredients.filter(ing => ing.required);
+        const remainingRequired = requiredIngredients.filter(ing => !dish.currentIngredients.has(ing.id));
+        
+        remainingRequired.forEach(ing => {
+            const ingredientData = this.kitchen.dishSystem.getIngredient(ing.id);
+            if (ingredientData) {
+                // Extras the customer asked for stand out from the recipe's own
+                hints.push(`
+                    <span class="key-combo priority${ing.extra ? ' requested' : ''}${this.getStockClass(ing.id)}">
+                        <kbd>${this.getKeyLabel(dish, 'ingredient', ing.id, ingredientData.key)}</kbd> ${ing.extra ? 'Extra ' : ''}${ingredientData.name} *${this.getStockLabel(ing.id)}
+                    </span>
+                `);
+            }
+        });
+
+        // Show ingredient prep steps that need to be done
+        dish.ingredients.forEach(ingredient => {
+            if (!dish.currentIngredients.has(ingredient.id)) return;
+            
+            const ingredientState = dish.ingredientStates.get(ingredient.id);
+            if (!ingredientState || ingredientState.isReady) return;
+            
+            if (ingredient.prepSteps && ingredient.prepSteps.length > 0) {
+                const nextStep = ingredient.prepSteps[ingredientState.prepStepsCompleted];
+                const wellDone = nextStep && this.isWellDoneStep(ingredient, nextStep);
+                if (nextStep && ingredientState.isCooking) {
+                    hints.push(`
+                        <span class="key-combo cooking${wellDone ? ' requested' : ''}">
+                            <kbd>${this.getSpecialKeyLabel('retrieve')}</kbd> ${nextStep.description} (${wellDone ? 'leave it until well done' : 'cooking...'})
+                        </span>
+                    `);
+                } else if (nextStep) {
+                    hints.push(`
+                        <span class="key-combo next-step${wellDone ? ' requested' : ''}">
+                            <kbd>${this.getKeyLabel(dish, 'tool', nextStep.action, nextStep.key)}</kbd> ${nextStep.description}${wellDone ? ' (well done)' : ''}
+                        </span>
+                    `);
+                }
+            }
+        });
+
+        // Show final assembly steps if ready
+        const allRequiredReady = requiredIngredients.every(ing => {
+            const state = dish.ingredientStates.get(ing.id);
+            return state && state.isReady;
+        });
+
+        if (allRequiredReady && dish.finalSteps && dish.finalStepsProgress < dish.finalSteps.length) {
+            const currentStep = dish.finalSteps[dish.finalStepsProgress];
+            if (currentStep && dish.finalStepCooking) {
+                hints.push(`
+                    <span class="key-combo cooking">
+                        <kbd>${this.getSpecialKeyLabel('retrieve')}</kbd> ${currentStep.description} (cooking...)
+                    </span>
+                `);
+            } else if (currentStep) {
+                hints.push(`
+                    <span class="key-combo next-step">
+                        <kbd>${this.getKeyLabel(dish, 'tool', currentStep.action, currentStep.key)}</kbd> ${currentStep.description}
+                    </span>
+                `);
+            }
+        }
+
+        // Show optional ingredients
+        const optionalIngredients = dish.ingredients.filter(ing => !ing.required && !ing.forbidden && !dish.currentIngredients.has(ing.id));
+        optionalIngredients.forEach(ing => {
+            const ingredientData = this.kitchen.dishSystem.getIngredient(ing.id);
+            if (ingredientData) {
+                hints.push(`
+                    <span class="key-combo optional${this.getStockClass(ing.id)}">
+                        <kbd>${this.getKeyLabel(dish, 'ingredient', ing.id, ingredientData.key)}</kbd> ${ingredientData.name}${this.getStockLabel(ing.id)}
+                    </span>
+                `);
+            }
+        });
+
+        // Show what the customer asked to leave out, flagged if it went in anyway
+        dish.ingredients.filter(ing => ing.forbidden).forEach(ing => {
+            const ingredientData = this.kitchen.dishSystem.getIngredient(ing.id);
+            const added = dish.currentIngredients.has(ing.id);
+            if (ingredientData) {
+                hints.push(`
+                    <span class="key-combo forbidden${added ? ' added' : ''}">
+                        <kbd>${this.getKeyLabel(dish, 'ingredient', ing.id, ingredientData.key)}</kbd> No ${ingredientData.name}${added ? ' ✗' : ''}
+                    </span>
+                `);
+            }
+        });
+
+        // Show completed ingredients
+        dish.ingredients.forEach(ing => {
+            if (dish.currentIngredients.has(ing.id) && !ing.forbidden) {
+                const ingredientState = dish.ingredientStates.get(ing.id);
+                if (ingredientState && ingredientState.isReady) {
+                    const ingredientData = this.kitchen.dishSystem.getIngredient(ing.id);
+                    if (ingredientData) {
+                        hints.push(`
+                            <span class="key-combo completed">
+                                <kbd>${this.getKeyLabel(dish, 'ingredient', ing.id, ingredientData.key)}</kbd> ${ingredientData.name} ✓
+                            </span>
+                        `);
+                    }
+                }
+            }
+        });
+
+        keyHintsElement.innerHTML = hints.length > 0 ? hints.join('') : 
+            '<span class="key-hint">Select a dish to see controls</span>';
+    }
+
+    // Whether the pantry has run out of an ingredient (never, without an inventory)
+    isOutOfStock(ingredientId) {
+        const inventory = this.kitchen.dishSystem.inventory;
+        return Boolean(inventory) && !inventory.hasStock(ingredientId);
+    }
+
+    // Greys out the hint for an ingredient that has run out
+    getStockClass(ingredientId) {
+        return this.isOutOfStock(ingredientId) ? ' out-of-stock' : '';
+    }
+
+    getStockLabel(ingredientId) {
+        return this.isOutOfStock(ingredientId) ? ' (out)' : '';
+    }
+
+    // Whether a prep step is where a well-done request gets cooked
+    isWellDoneStep(ingredient, step) {
+        return Boolean(ingredient.wellDone) && DishSystem.WELL_DONE_STATIONS.includes(step.station);
+    }
+
+    // Key label to show for an ingredient or tool, as the dish actually binds it
+    getKeyLabel(dish, type, id, defaultKey) {
+        return KeyBindings.getKeyLabel(this.kitchen.dishSystem.getDishKey(dish, type, id, defaultKey));
+    }
+
+    // How cooked food gets back to the dish: the retrieve key, or by itself with the auto-retrieve upgrade
+    getRetrieveText(stationId, when) {
+        const station = this.kitchen.cookingStationManager.getStation(stationId);
+        if (station && station.autoRetrieve) {
+            return `It comes back by itself ${when}.`;
+        }
+        return `Press ${this.getSpecialKeyLabel('retrieve')} to retrieve it ${when}.`;
+    }
+
+    // Key label for a special action (serve, cancel, retrieve, order1-order9)
+    getSpecialKeyLabel(action) {
+        return KeyBindings.getKeyLabel(this.kitchen.keyBindings.getSpecialKey(action));
+    }
+
+    // Label for the order selection keys, e.g. "1-9"
+    getOrderKeysLabel() {
+        const first = this.getSpecialKeyLabel('order1');
+        const last = this.getSpecialKeyLabel('order9');
+        return `${first}-${last}`;
+    }
+
+    // Render the general controls from the current bindings
+    updateGeneralKeys() {
+        const generalKeysElement = document.getElementById('general-keys');
+        if (!generalKeysElement) return;
+
+        generalKeysElement.innerHTML = `
+            <span class="key-combo"><kbd>${this.getOrderKeysLabel()}</kbd> Select Order</span>
+            <span class="key-combo"><kbd>${this.getSpecialKeyLabel('serve')}</kbd> Serve Dish</span>
+            <span class="key-combo"><kbd>${this.getSpecialKeyLabel('retrieve')}</kbd> Retrieve Cooked Items</span>
+            <span class="key-combo"><kbd>${this.getSpecialKeyLabel('cancel')}</kbd> Cancel Current</span>
+        `;
+    }
+
+    // Clear key hints
+    clearKeyHints() {
+        const keyHintsElement = document.getElementById('recipe-keys');
+        if (keyHintsElement) {
+            keyHintsElement.innerHTML = '<span class="key-hint">Select a dish to see controls</span>';
+        }
+    }
+
+    // Get current key mappings for active dish
+    getCurrentKeyMappings() {
+        const activeOrder = this.kitchen.getActiveOrder();
+        if (!activeOrder) return new Map();
+        
+        return this.kitchen.dishSystem.getDishKeyMappings(activeOrder.dish);
+    }
+
+    // Show key press feedback
+    showKeyFeedback(key, success = true) {
+        const feedback = document.createElement('div');
+        feedback.className = `key-feedback ${success ? 'success' : 'error'}`;
+        feedback.textContent = key.toUpperCase();
+        
+        // Position near the center of the screen
+        feedback.style.position = 'fixed';
+        feedback.style.left = '50%';
+        feedback.style.top = '50%';
+        feedback.style.transform = 'translate(-50%, -50%)';
+        feedback.style.zIndex = '1000';
+        feedback.style.padding = '10px 20px';
+        feedback.style.borderRadius = '8px';
+        feedback.style.fontWeight = 'bold';
+        feedback.style.fontSize = '1.5rem';
+        feedback.style.pointerEvents = 'none';
+        
+        if (success) {
+            feedback.style.background = '#28a745';
+            feedback.style.color = 'white';
+        } else {
+            feedback.style.background = '#dc3545';
+            feedback.style.color = 'white';
+        }
+        
+        document.body.appendChild(feedback);
+        
+        // Animate and remove
+        feedback.style.opacity = '1';
+        feedback.style.transform = 'translate(-50%, -50%) scale(1)';
+        
+        setTimeout(() => {
+            feedback.style.opacity = '0';
+            feedback.style.transform = 'translate(-50%, -60%) scale(0.8)';
+            feedback.style.transition = 'all 0.3s ease';
+            
+            setTimeout(() => {
+                feedback.remove();
+            }, 300);
+        }, 800);
+    }
+
+    // Get help text for current dish
+    getHelpText() {
+        const activeOrder = this.kitchen.getActiveOrder();
+        if (!activeOrder) {
+            return `Select an order (${this.getOrderKeysLabel()}) to start cooking!`;
+        }
+
+        const dish = activeOrder.dish;
+        if (!dish) return '';
+
+        // Burnt ingredients can't be saved
+        if (dish.finalCookedState === 'burnt') {
+            return `${dish.name} is burnt! Press ${this.getSpecialKeyLabel('cancel')} to start over.`;
+        }
+        for (const ingredient of dish.ingredients) {
+            const ingredientState = dish.ingredientStates.get(ingredient.id);
+            if (ingredientState && ingredientState.ruined) {
+                return `${this.kitchen.dishSystem.getIngredient(ingredient.id).name} is burnt! Press ${this.getSpecialKeyLabel('cancel')} to start over.`;
+            }
+        }
+
+        // Something the customer asked to leave out went in
+        const forbiddenAdded = dish.ingredients.find(ing => ing.forbidden && dish.currentIngredients.has(ing.id));
+        if (forbiddenAdded) {
+            return `The customer asked for no ${this.kitchen.dishSystem.getIngredient(forbiddenAdded.id).name}! Press ${this.getSpecialKeyLabel('cancel')} to start over.`;
+        }
+
+        const keyMappings = this.getCurrentKeyMappings();
+        const requiredIngredients = dish.ingredients.filter(ing => ing.required);
+        const remainingRequired = requiredIngredients.filter(ing => !dish.currentIngredients.has(ing.id));
+
+        // Check for ingredients that need to be added
+        const missingRequired = dish.ingredients.filter(ing => 
+            ing.required && !dish.currentIngredients.has(ing.id)
+        );
+        
+        // A required ingredient that has run out can't be made tonight
+        const outOfStock = missingRequired.find(ing => this.isOutOfStock(ing.id));
+        if (outOfStock) {
+            return `Out of ${this.kitchen.dishSystem.getIngredient(outOfStock.id).name}! Restock in the shop between shifts.`;
+        }
+
+        if (missingRequired.length > 0) {
+            const ingredientNames = missingRequired.map(ing => {
+                const ingredientData = this.kitchen.dishSystem.getIngredient(ing.id);
+                const key = ingredientData ? this.getKeyLabel(dish, 'ingredient', ing.id, ingredientData.key) : '?';
+                return `${ing.extra ? 'Extra ' : ''}${ingredientData.name} (${key})`;
+            }).join(', ');
+            
+            return `Add required ingredients: ${ingredientNames}`;
+        }
+
+        // Check for ingredients that need preparation
+        let cookingIngredient = null;
+        for (const ingredient of dish.ingredients) {
+            if (!dish.currentIngredients.has(ingredient.id)) continue;
+            
+            const ingredientState = dish.ingredientStates.get(ingredient.id);
+            if (ingredientState && ingredientState.isCooking) {
+                cookingIngredient = cookingIngredient || ingredient;
+            } else if (ingredientState && !ingredientState.isReady) {
+                const nextStep = ingredient.prepSteps[ingredientState.prepStepsCompleted];
+                return `Prepare ${this.kitchen.dishSystem.getIngredient(ingredient.id).name}: ${nextStep.description} (${this.getKeyLabel(dish, 'tool', nextStep.action, nextStep.key)})`;
+            }
+        }
+
+        // Only station cooking is left; wait for it and retrieve with Enter
+        if (cookingIngredient) {
+            const ingredientState = dish.ingredientStates.get(cookingIngredient.id);
+            const step = cookingIngredient.prepSteps[ingredientState.prepStepsCompleted];
+            const station = this.kitchen.dishSystem.getCookingStation(step.station);
+            const when = this.isWellDoneStep(cookingIngredient, step) ? 'once it is well done (overcooked, not burnt)' : 'when ready';
+            return `${this.kitchen.dishSystem.getIngredient(cookingIngredient.id).name} is cooking on the ${station ? station.name : step.station}. ${this.getRetrieveText(step.station, when)}`;
+        }
+
+        // Check for final assembly steps
+        if (dish.finalSteps && dish.finalStepsProgress < dish.finalSteps.length) {
+            const currentStep = dish.finalSteps[dish.finalStepsProgress];
+            if (dish.finalStepCooking) {
+                const station = this.kitchen.dishSystem.getCookingStation(currentStep.station);
+                return `${dish.name} is cooking on the ${station ? station.name : currentStep.station}. ${this.getRetrieveText(currentStep.station, 'when ready')}`;
+            }
+            return `${currentStep.description} (${this.getKeyLabel(dish, 'tool', currentStep.action, currentStep.key)})`;
+        }
+
+        if (dish.isComplete) {
+            return `Dish ready! Press ${this.getSpecialKeyLabel('serve')} to serve.`;
+        }
+
+        return 'All ingredients ready! Proceed to final assembly.';
+    }
+
+    // Update help display
+    updateHelpDisplay() {
+        const helpElement = document.querySelector('.help-text');
+        if (helpElement) {
+            helpElement.textContent = this.getHelpText();
+        }
+    }
+}
+
+// Hints view will be initialized by the game
+window.HintsView = HintsView;
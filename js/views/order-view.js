@@ -0,0 +1,192 @@
+/**
+ * Order View - Renders the order queue and score
+ * Draws order cards, countdowns, feedback popups and stats from OrderSystem events
+ */
+
+class OrderView {
+    constructor(orderSystem, onSelect = null) {
+        this.orderSystem = orderSystem;
+        this.onSelect = onSelect; // Called with an order id when a card is clicked
+        this.orderElements = new Map(); // order id -> element
+
+        this.ordersContainer = document.getElementById('active-orders');
+        this.scoreElement = document.getElementById('score');
+        this.tipsElement = document.getElementById('tips');
+        this.ordersCompletedElement = document.getElementById('orders-completed');
+
+        orderSystem.on('orderSpawned', ({ order }) => this.createOrderElement(order));
+        orderSystem.on('orderTimer', ({ order, remainingTime, urgency }) => this.updateTimer(order, remainingTime, urgency));
+        orderSystem.on('itemServed', ({ order }) => this.updateItems(order));
+        orderSystem.on('orderSelected', ({ order }) => this.setActive(order, true));
+        orderSystem.on('orderDeselected', ({ order }) => this.setActive(order, false));
+        orderSystem.on('orderCompleted', ({ order, score, tip }) => this.removeOrderElement(order, 'completed', 1000, score, tip));
+        orderSystem.on('orderExpired', ({ order, score }) => this.removeOrderElement(order, 'expired', 2000, score));
+        orderSystem.on('ordersCleared', () => this.clear());
+        orderSystem.on('statsChanged', ({ stats }) => this.updateStats(stats));
+    }
+
+    // Create DOM element for an order
+    createOrderElement(order) {
+        const orderElement = document.createElement('div');
+        orderElement.className = 'order-item';
+        orderElement.id = `order-${order.id}`;
+        orderElement.dataset.orderId = order.id;
+
+        const { customer } = order;
+        orderElement.classList.add(`customer-${customer.typeId}`);
+        orderElement.classList.toggle('combo', order.isCombo());
+        orderElement.innerHTML = `
+            <div class="dish-name" style="background-color: ${order.dish.baseColor}">${order.dishName}</div>
+            <div class="order-customer">
+                <span class="customer-name">${customer.type.icon} ${customer.name}${customer.name !== customer.type.name ? ` (${customer.type.name})` : ''}</span>
+                <span class="customer-mood" title="${order.getMood().id}">${order.getMood().icon}</span>
+            </div>
+            <div class="patience-meter"><div class="patience-fill"></div></div>
+            <div class="order-items">${this.getItemsMarkup(order)}</div>
+            <div class="order-details">
+                <div class="order-id">#${order.id.substr(-4)}</div>
+                <div class="timer" data-time-limit="${order.timeLimit}">
+                    ${order.getRemainingTime()}s
+                </div>
+            </div>
+        `;
+
+        orderElement.addEventListener('click', () => {
+            if (this.onSelect) {
+                this.onSelect(order.id);
+            } else {
+                this.orderSystem.selectOrder(order.id);
+            }
+        });
+
+        this.orderElements.set(order.id, orderElement);
+        this.updatePatience(order);
+
+        if (this.ordersContainer) {
+            this.ordersContainer.appendChild(orderElement);
+        }
+    }
+
+    // A single dish just shows its requests; a combo or table lists each dish and how far along it is
+    getItemsMarkup(order) {
+        if (!order.isCombo()) return this.getModifiersMarkup(order.dish);
+
+        const current = order.getCurrentItem();
+        return order.items.map(item => {
+            const state = item.servedAt !== null ? 'served' : item === current ? 'current' : 'waiting';
+            const status = item.servedAt !== null ? `✓ ${item.rating}` : item === current ? '▶' : '';
+            return `
+                <div class="order-dish ${state}">
+                    <span class="order-dish-name">${item.dishName}</span>
+                    <span class="order-dish-status">${status}</span>
+                    ${this.getModifiersMarkup(item.dish)}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Redraw a combo's dish list after one of its dishes is served
+    updateItems(order) {
+        const itemsElement = this.orderElements.get(order.id)?.querySelector('.order-items');
+        if (itemsElement) {
+            itemsElement.innerHTML = this.getItemsMarkup(order);
+        }
+    }
+
+    // Tags for the customer's special requests, or nothing for a plain dish
+    getModifiersMarkup(dish) {
+        const modifiers = dish.modifiers || [];
+        if (modifiers.length === 0) return '';
+
+        const tags = modifiers.map(modifier => `
+            <span class="order-modifier modifier-${modifier.type}">${this.orderSystem.dishSystem.describeModifier(modifier)}</span>
+        `);
+        return `<div class="order-modifiers">${tags.join('')}</div>`;
+    }
+
+    updateTimer(order, remainingTime, urgency) {
+        const timerElement = this.orderElements.get(order.id)?.querySelector('.timer');
+        if (timerElement) {
+            timerElement.textContent = `${remainingTime}s`;
+            timerElement.className = `timer ${urgency}`;
+        }
+        this.updatePatience(order);
+    }
+
+    // Drain the patience meter and update the customer's mood
+    updatePatience(order) {
+        const orderElement = this.orderElements.get(order.id);
+        if (!orderElement) return;
+
+        const mood = order.getMood();
+        const fill = orderElement.querySelector('.patience-fill');
+        fill.style.width = `${Math.round(order.getPatienceLeft() * 100)}%`;
+        fill.className = `patience-fill ${mood.id}`;
+
+        const moodElement = orderElement.querySelector('.customer-mood');
+        moodElement.textContent = mood.icon;
+        moodElement.title = mood.id;
+    }
+
+    setActive(order, isActive) {
+        const orderElement = this.orderElements.get(order.id);
+        if (orderElement) {
+            orderElement.classList.toggle('active', isActive);
+        }
+    }
+
+    // Play the completed/expired styling, then drop the card
+    removeOrderElement(order, className, delay, score, tip = 0) {
+        const orderElement = this.orderElements.get(order.id);
+        this.orderElements.delete(order.id);
+
+        if (orderElement) {
+            orderElement.classList.add(className);
+            setTimeout(() => {
+                orderElement.remove();
+            }, delay);
+        }
+
+        this.showOrderFeedback(order, score, tip);
+    }
+
+    // Show order completion feedback
+    showOrderFeedback(order, score, tip = 0) {
+        const feedback = document.createElement('div');
+        feedback.className = `order-feedback ${order.rating}`;
+        feedback.textContent = `${order.dishName}: ${order.rating.toUpperCase()} ${score > 0 ? '+' : ''}${score}` +
+            (tip > 0 ? ` · ${Customer.formatTip(tip)} tip` : '');
+
+        document.body.appendChild(feedback);
+
+        setTimeout(() => {
+            feedback.remove();
+        }, 3000);
+    }
+
+    // Update score and stats display
+    updateStats(stats) {
+        if (this.scoreElement) {
+            this.scoreElement.textContent = stats.totalScore;
+        }
+
+        if (this.tipsElement) {
+            this.tipsElement.textContent = Customer.formatTip(stats.totalTips);
+        }
+
+        if (this.ordersCompletedElement) {
+            this.ordersCompletedElement.textContent = stats.ordersCompleted;
+        }
+    }
+
+    clear() {
+        this.orderElements.clear();
+
+        if (this.ordersContainer) {
+            this.ordersContainer.innerHTML = '';
+        }
+    }
+}
+
+// Order view will be initialized by the game
+window.OrderView = OrderView;
@@ -0,0 +1,203 @@
+/**
+ * Report View - End-of-shift analytics charts
+ * Draws a ShiftReport as inline SVG charts (no chart library) and offers it
+ * as a CSV download.
+ */
+
+class ReportView {
+    constructor(onExport) {
+        this.onExport = onExport;
+        this.element = null;
+    }
+
+    show(report) {
+        this.close();
+
+        this.element = document.createElement('div');
+        this.element.className = 'modal-overlay';
+        this.element.innerHTML = `
+            <div class="modal shift-report">
+                <div class="modal-header">
+                    <h2>Shift Report</h2>
+                    <button class="btn btn-secondary" data-command="close">Close</button>
+                </div>
+                ${report.orders.length === 0 ? '<p class="results-empty">No orders were served or expired this shift.</p>' : ''}
+                <div class="summary-stats">
+                    <div class="summary-stat"><span class="label">Orders</span><span>${report.orders.length}</span></div>
+                    <div class="summary-stat"><span class="label">Avg. time to serve</span><span>${ReportView.formatSeconds(report.averageServeTime)}</span></div>
+                    <div class="summary-stat"><span class="label">Avg. wait to select</span><span>${ReportView.formatSeconds(report.averageWaitTime)}</span></div>
+                    <div class="summary-stat"><span class="label">Wrong keys</span><span>${report.wrongKeys.reduce((sum, { count }) => sum + count, 0)}</span></div>
+                </div>
+                <div class="report-charts">
+                    <div class="report-chart">
+                        <h3>Ratings by dish</h3>
+                        ${this.renderRatings(report)}
+                    </div>
+                    <div class="report-chart">
+                        <h3>Time to serve and wait to select (s)</h3>
+                        ${this.renderTimes(report)}
+                    </div>
+                    <div class="report-chart">
+                        <h3>Wrong keys</h3>
+                        ${this.renderWrongKeys(report)}
+                    </div>
+                    <div class="report-chart">
+                        <h3>Station use over time</h3>
+                        ${this.renderStationUse(report)}
+                    </div>
+                </div>
+                <h3>Expired while working on another order</h3>
+                ${this.renderExpired(report)}
+                <div class="modal-actions">
+                    <button class="btn btn-secondary" data-command="export">Export CSV</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (event) => {
+            const commandElement = event.target.closest('[data-command]');
+            if (event.target === this.element || (commandElement && commandElement.dataset.command === 'close')) {
+                this.close();
+            } else if (commandElement && commandElement.dataset.command === 'export') {
+                this.onExport(report);
+            }
+        });
+    }
+
+    // Stacked bar per dish, one segment per rating
+    renderRatings(report) {
+        if (report.dishes.length === 0) return ReportView.EMPTY;
+
+        const max = Math.max(...report.dishes.map(dish => ShiftReport.RATINGS.reduce((sum, rating) => sum + dish.ratings[rating], 0)));
+        const bars = report.dishes.map(dish => {
+            let offset = 0;
+            const segments = ShiftReport.RATINGS.filter(rating => dish.ratings[rating] > 0).map(rating => {
+                const width = dish.ratings[rating] / max * 100;
+                const segment = `<rect class="rating-${rating}" x="${offset}%" width="${width}%" height="100%"><title>${dish.ratings[rating]} ${rating}</title></rect>`;
+                offset += width;
+                return segment;
+            }).join('');
+
+            return this.renderBar(dish.name, segments);
+        }).join('');
+
+        const legend = ShiftReport.RATINGS.map(rating => `
+            <span class="report-legend-item"><span class="report-swatch rating-${rating}"></span>${rating === 'failed' ? 'expired' : rating}</span>
+        `).join('');
+
+        return `${bars}<div class="report-legend">${legend}</div>`;
+    }
+
+    // Two bars per dish: serve time and wait time
+    renderTimes(report) {
+        const dishes = report.dishes.filter(dish => dish.averageServeTime !== null || dish.averageWaitTime !== null);
+        if (dishes.length === 0) return ReportView.EMPTY;
+
+        const max = Math.max(...dishes.map(dish => Math.max(dish.averageServeTime || 0, dish.averageWaitTime || 0)), 1);
+        const bar = (value, className, y) => value === null ? '' :
+            `<rect class="${className}" y="${y}%" width="${value / max * 100}%" height="45%"><title>${value}s</title></rect>`;
+
+        const bars = dishes.map(dish => this.renderBar(
+            dish.name,
+            bar(dish.averageServeTime, 'report-serve', 0) + bar(dish.averageWaitTime, 'report-wait', 55),
+            `${ReportView.formatSeconds(dish.averageServeTime)} / ${ReportView.formatSeconds(dish.averageWaitTime)}`
+        )).join('');
+
+        return `${bars}
+            <div class="report-legend">
+                <span class="report-legend-item"><span class="report-swatch report-serve"></span>time to serve</span>
+                <span class="report-legend-item"><span class="report-swatch report-wait"></span>wait to select</span>
+            </div>`;
+    }
+
+    renderWrongKeys(report) {
+        if (report.wrongKeys.length === 0) return '<p class="results-empty">No wrong keys. Nice.</p>';
+
+        const shown = report.wrongKeys.slice(0, ReportView.MAX_WRONG_KEYS);
+        const max = shown[0].count;
+        return shown.map(({ label, count }) => this.renderBar(
+            label,
+            `<rect class="report-wrong" width="${count / max * 100}%" height="100%"></rect>`,
+            count
+        )).join('');
+    }
+
+    // One line per station: share of its slots in use each second
+    renderStationUse(report) {
+        const { stations, samples } = report.stationUse;
+        if (samples.length < 2) return ReportView.EMPTY;
+
+        const width = 300;
+        const height = 100;
+        const lastTime = samples[samples.length - 1].time;
+        const firstTime = samples[0].time;
+        const x = (time) => ((time - firstTime) / Math.max(lastTime - firstTime, 1) * width).toFixed(1);
+
+        const lines = stations.map((station, index) => {
+            const points = samples
+                .map(sample => `${x(sample.time)},${(height - (sample.counts[station.id] || 0) / station.slots * height).toFixed(1)}`)
+                .join(' ');
+            return `<polyline class="report-line station-line-${index % ReportView.LINE_COLOURS}" points="${points}"><title>${station.name}</title></polyline>`;
+        }).join('');
+
+        const legend = stations.map((station, index) => `
+            <span class="report-legend-item"><span class="report-swatch station-line-${index % ReportView.LINE_COLOURS}"></span>${station.name}</span>
+        `).join('');
+
+        return `
+            <svg class="report-line-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                <line class="report-axis" x1="0" y1="${height}" x2="${width}" y2="${height}"></line>
+                ${lines}
+            </svg>
+            <div class="report-axis-labels"><span>${firstTime}s</span><span>slots in use</span><span>${lastTime}s</span></div>
+            <div class="report-legend">${legend}</div>
+        `;
+    }
+
+    renderExpired(report) {
+        if (report.expiredWhileBusy.length === 0) {
+            return '<p class="results-empty">No orders expired while you were busy with another.</p>';
+        }
+
+        const rows = report.expiredWhileBusy.map(order => `
+            <tr><td>${order.dishName}</td><td>${order.spawnedAt}s</td><td>${order.expiredWhileOn}</td></tr>
+        `).join('');
+
+        return `
+            <table class="results-table">
+                <thead><tr><th>Expired order</th><th>Spawned</th><th>Working on</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // A labelled horizontal bar; `shapes` are SVG elements sized in percent
+    renderBar(label, shapes, value = '') {
+        return `
+            <div class="report-bar">
+                <span class="report-bar-label">${label}</span>
+                <svg class="report-bar-track">${shapes}</svg>
+                <span class="report-bar-value">${value}</span>
+            </div>
+        `;
+    }
+
+    close() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    static formatSeconds(value) {
+        return value === null ? '-' : `${value}s`;
+    }
+}
+
+ReportView.EMPTY = '<p class="results-empty">Not enough data.</p>';
+ReportView.MAX_WRONG_KEYS = 8;
+ReportView.LINE_COLOURS = 4;
+
+// Report view will be initialized by the game
+window.ReportView = ReportView;
@@ -0,0 +1,220 @@
+/**
+ * Results View - End-of-game results, the leaderboard and personal bests
+ * Shown when a game ends, or from the High Scores button. The leaderboard can
+ * be exported to a file and merged with one imported from a file.
+ */
+
+class ResultsView {
+    constructor(highScores, dishSystem, handlers = {}) {
+        this.highScores = highScores;
+        this.dishSystem = dishSystem;
+        this.handlers = handlers; // export(), report() to open the shift report and shop() to restock
+        this.element = null;
+        this.result = null; // Game just finished, if the screen was opened for one
+        this.message = null;
+    }
+
+    // Results of the game that just ended, above the leaderboard
+    show(result) {
+        this.result = result;
+        this.open();
+    }
+
+    // Just the leaderboard and personal bests
+    openLeaderboard() {
+        this.result = null;
+        this.open();
+    }
+
+    open() {
+        this.close();
+        this.message = null;
+
+        this.element = document.createElement('div');
+        this.element.className = 'modal-overlay';
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (event) => {
+            const commandElement = event.target.closest('[data-command]');
+            if (event.target === this.element) {
+                this.close();
+            } else if (commandElement) {
+                this.handleCommand(commandElement.dataset.command);
+            }
+        });
+
+        this.element.addEventListener('change', (event) => {
+            if (event.target.dataset.command === 'import-file' && event.target.files[0]) {
+                this.importFile(event.target.files[0]);
+            }
+        });
+
+        this.render();
+    }
+
+    render() {
+        if (!this.element) return;
+
+        this.element.innerHTML = `
+            <div class="modal results-screen">
+                <div class="modal-header">
+                    <h2>${this.result ? 'Shift Over' : 'High Scores'}</h2>
+                    <button class="btn btn-secondary" data-command="close">Close</button>
+                </div>
+                ${this.message ? `<div class="settings-message ${this.message.isError ? 'error' : ''}">${this.message.text}</div>` : ''}
+                ${this.result ? this.renderResult() : ''}
+                <h3>Leaderboard</h3>
+                ${this.renderLeaderboard()}
+                <h3>Personal Bests</h3>
+                ${this.renderDishBests()}
+                <div class="modal-actions">
+                    ${this.result && this.handlers.report ? '<button class="btn btn-success" data-command="report">Shift Report</button>' : ''}
+                    ${this.result && this.handlers.shop ? '<button class="btn btn-success" data-command="shop">Restock</button>' : ''}
+                    <button class="btn btn-secondary" data-command="export">Export</button>
+                    <button class="btn btn-secondary" data-command="import">Import</button>
+                    <input type="file" accept=".json,application/json" data-command="import-file" style="display: none;">
+                </div>
+            </div>
+        `;
+    }
+
+    renderResult() {
+        const { entry, rank, newBests } = this.result;
+        const dishNames = newBests
+            .map(dishId => this.dishSystem.getDish(dishId))
+            .filter(dish => dish)
+            .map(dish => dish.name)
+            .join(', ');
+
+        let outcome = 'Not quite a high score this time.';
+        if (rank === 1) {
+            outcome = 'New high score!';
+        } else if (rank) {
+            outcome = `#${rank} on the leaderboard!`;
+        }
+
+        return `
+            <div class="day-outcome">${outcome}</div>
+            <div class="summary-stats">
+                <div class="summary-stat"><span class="label">Score</span><span>${entry.score}</span></div>
+                <div class="summary-stat"><span class="label">Tips</span><span>${Customer.formatTip(entry.tips || 0)}</span></div>
+                <div class="summary-stat"><span class="label">Time</span><span>${ResultsView.formatDuration(entry.duration)}</span></div>
+                <div class="summary-stat"><span class="label">Orders</span><span>${entry.ordersCompleted}</span></div>
+                <div class="summary-stat"><span class="label">Perfect</span><span>${entry.perfectRate}%</span></div>
+            </div>
+            ${dishNames ? `<div class="day-unlocks">New personal best: ${dishNames}</div>` : ''}
+        `;
+    }
+
+    renderLeaderboard() {
+        const sessions = this.highScores.getSessions();
+        if (sessions.length === 0) {
+            return '<p class="results-empty">No games played yet.</p>';
+        }
+
+        const rows = sessions.map((session, index) => `
+            <tr class="${this.result && session === this.result.entry ? 'current' : ''}">
+                <td>${index + 1}</td>
+                <td>${session.score}</td>
+                <td>${Customer.formatTip(session.tips || 0)}</td>
+                <td>${ResultsView.formatDuration(session.duration)}</td>
+                <td>${session.perfectRate}%</td>
+                <td>${session.difficulty}</td>
+                <td class="results-seed">${session.seed}</td>
+                <td>${new Date(session.date).toLocaleDateString()}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <table class="results-table">
+                <thead>
+                    <tr><th>#</th><th>Score</th><th>Tips</th><th>Time</th><th>Perfect</th><th>Difficulty</th><th>Seed</th><th>Date</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderDishBests() {
+        const rows = this.dishSystem.getAllDishes()
+            .map(dish => ({ dish, best: this.highScores.getDishBest(dish.id) }))
+            .filter(({ best }) => best)
+            .map(({ dish, best }) => `
+                <tr class="${this.result && this.result.newBests.includes(dish.id) ? 'current' : ''}">
+                    <td>${dish.name}</td>
+                    <td>${HighScores.formatTime(best.time)}</td>
+                    <td>${new Date(best.date).toLocaleDateString()}</td>
+                </tr>
+            `).join('');
+
+        if (!rows) {
+            return '<p class="results-empty">Serve a dish to set a personal best. Times run from selecting the order to serving it.</p>';
+        }
+
+        return `
+            <table class="results-table">
+                <thead>
+                    <tr><th>Dish</th><th>Best time</th><th>Date</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    handleCommand(command) {
+        switch (command) {
+            case 'close':
+                this.close();
+                break;
+            case 'report':
+                this.close();
+                this.handlers.report();
+                break;
+            case 'shop':
+                this.close();
+                this.handlers.shop();
+                break;
+            case 'export':
+                this.handlers.export();
+                break;
+            case 'import':
+                this.element.querySelector('[data-command="import-file"]').click();
+                break;
+        }
+    }
+
+    // Merge a leaderboard file into ours
+    importFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this.highScores.import(reader.result);
+                this.showMessage('High scores imported');
+            } catch (error) {
+                this.showMessage(`Could not import: ${error.message}`, true);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    showMessage(text, isError = false) {
+        this.message = { text, isError };
+        this.render();
+    }
+
+    close() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+
+    // Game seconds as m:ss
+    static formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+}
+
+// Results view will be initialized by the game
+window.ResultsView = ResultsView;
@@ -0,0 +1,163 @@
+/**
+ * Shop View - Restock ingredients and buy kitchen upgrades between shifts
+ * Lists every ingredient with its stock and cost and the upgrade tree, and buys
+ * them with the restaurant's money. Opened from the header, results and day
+ * summary screens.
+ */
+
+class ShopView {
+    constructor(inventory, dishSystem, upgrades) {
+        this.inventory = inventory;
+        this.dishSystem = dishSystem;
+        this.upgrades = upgrades;
+        this.element = null;
+
+        inventory.on('changed', () => this.render());
+        upgrades.on('changed', () => this.render());
+    }
+
+    open() {
+        this.close();
+
+        this.element = document.createElement('div');
+        this.element.className = 'modal-overlay';
+        document.body.appendChild(this.element);
+
+        this.element.addEventListener('click', (event) => {
+            const commandElement = event.target.closest('[data-command]');
+            if (event.target === this.element) {
+                this.close();
+            } else if (commandElement) {
+                this.handleCommand(commandElement.dataset.command, commandElement.dataset);
+            }
+        });
+
+        this.render();
+    }
+
+    render() {
+        if (!this.element) return;
+
+        const canRestock = this.inventory.canRestock();
+        this.element.innerHTML = `
+            <div class="modal shop-screen">
+                <div class="modal-header">
+                    <h2>Shop</h2>
+                    <button class="btn btn-secondary" data-command="close">Close</button>
+                </div>
+                <div class="summary-stats">
+                    <div class="summary-stat"><span class="label">Money</span><span>${Customer.formatTip(this.inventory.money)}</span></div>
+                    ${this.renderShift()}
+                </div>
+                ${canRestock ? '' : '<div class="settings-message">Stock can only be bought between shifts. Finish or reset the shift to restock.</div>'}
+                ${this.renderStock(canRestock)}
+                ${this.renderUpgrades()}
+            </div>
+        `;
+    }
+
+    // What came in and went out during the last shift
+    renderShift() {
+        const { sales, tips, spent, wasted } = this.inventory.shift;
+        return `
+            <div class="summary-stat"><span class="label">Sales</span><span>${Customer.formatTip(sales)}</span></div>
+            <div class="summary-stat"><span class="label">Tips</span><span>${Customer.formatTip(tips)}</span></div>
+            <div class="summary-stat"><span class="label">Spent</span><span>${Customer.formatTip(spent)}</span></div>
+            <div class="summary-stat"><span class="label">Wasted</span><span>${Customer.formatTip(wasted)}</span></div>
+        `;
+    }
+
+    renderStock(canRestock) {
+        const amount = Inventory.RESTOCK_AMOUNT;
+        const rows = Array.from(this.dishSystem.ingredients.values()).map(ingredient => {
+            const stock = this.inventory.getStock(ingredient.id);
+            const price = ingredient.cost * amount;
+            const affordable = canRestock && price <= this.inventory.money;
+            return `
+                <tr class="${stock === 0 ? 'out-of-stock' : ''}">
+                    <td>${ingredient.name}</td>
+                    <td>${ingredient.type}</td>
+                    <td>${stock}</td>
+                    <td>${Customer.formatTip(ingredient.cost)}</td>
+                    <td>
+                        <button class="btn btn-success" data-command="restock" data-ingredient="${ingredient.id}" ${affordable ? '' : 'disabled'}>
+                            Buy ${amount} (${Customer.formatTip(price)})
+                        </button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="results-table shop-table">
+                <thead>
+                    <tr><th>Ingredient</th><th>Type</th><th>In stock</th><th>Unit cost</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    // The upgrade tree: level, price and what each one needs first
+    renderUpgrades() {
+        const rows = Upgrades.CATALOG.map(upgrade => {
+            const level = this.upgrades.levels[upgrade.id] || 0;
+            let action;
+            if (this.upgrades.isMaxed(upgrade.id)) {
+                action = '<span class="upgrade-status">Maxed</span>';
+            } else if (!this.upgrades.isUnlocked(upgrade.id)) {
+                const needs = upgrade.requires.map(id => this.upgrades.getUpgrade(id).name).join(' and ');
+                action = `<span class="upgrade-status">Needs ${needs}</span>`;
+            } else {
+                action = `
+                    <button class="btn btn-success" data-command="upgrade" data-upgrade="${upgrade.id}" ${this.upgrades.canBuy(upgrade.id) ? '' : 'disabled'}>
+                        Buy (${Customer.formatTip(this.upgrades.getPrice(upgrade.id))})
+                    </button>
+                `;
+            }
+
+            return `
+                <tr class="${level > 0 ? 'owned' : ''}">
+                    <td>${upgrade.name}</td>
+                    <td>${upgrade.description}</td>
+                    <td>${level}/${upgrade.maxLevel}</td>
+                    <td>${action}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <h3>Kitchen Upgrades</h3>
+            <table class="results-table shop-table upgrades-table">
+                <thead>
+                    <tr><th>Upgrade</th><th>Effect</th><th>Level</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    handleCommand(command, data) {
+        switch (command) {
+            case 'close':
+                this.close();
+                break;
+            case 'restock':
+                this.inventory.restock(data.ingredient);
+                break;
+            case 'upgrade':
+                this.upgrades.buy(data.upgrade);
+                break;
+        }
+    }
+
+    close() {
+        if (this.element) {
+            this.element.remove();
+            this.element = null;
+        }
+    }
+}
+
+// Shop view will be initialized by the game
+window.ShopView = ShopView;
@@ -0,0 +1,312 @@
+/**
+ * Station View - Renders the cooking stations
+ * Draws slots, the active station highlight and the current dish from CookingStationManager events
+ */
+
+class StationView {
+    constructor(stationManager, dishSystem, clock) {
+        this.stationManager = stationManager;
+        this.dishSystem = dishSystem;
+        this.clock = clock;
+
+        stationManager.on('stationsChanged', () => this.renderStations());
+        stationManager.on('slotChanged', ({ station, slotIndex }) => this.updateSlotDisplay(station, slotIndex));
+        stationManager.on('stationActiveChanged', ({ station }) => this.updateHighlight(station));
+        stationManager.on('activeDishChanged', ({ station, dish }) => this.updateStationDisplay(station, dish));
+        stationManager.on('dishChanged', ({ station, dish }) => this.updateStationDisplay(station, dish));
+        stationManager.on('dishCleared', ({ station }) => this.clearStationDisplay(station));
+
+        // Retrieve hints and ingredient keys follow the player's bindings
+        if (dishSystem.keyBindings) {
+            dishSystem.keyBindings.onChange(() => this.refresh());
+        }
+
+        // Count down cooking items once a second of game time
+        clock.every(1000, () => this.updateCountdowns());
+
+        this.renderStations();
+    }
+
+    getStationElement(station) {
+        return document.getElementById(`${station.id}-station`);
+    }
+
+    // Build markup and slots for every station
+    renderStations() {
+        for (const station of this.stationManager.getAllStations()) {
+            this.ensureStationElement(station);
+            this.initializeDisplay(station);
+        }
+    }
+
+    // Stations added by recipe packs have no markup in index.html; build it
+    ensureStationElement(station) {
+        if (this.getStationElement(station)) return;
+
+        const container = document.querySelector('.cooking-stations');
+        if (!container) return;
+
+        const stationElement = document.createElement('div');
+        stationElement.className = 'station';
+        stationElement.id = `${station.id}-station`;
+        stationElement.style.borderColor = station.color;
+        stationElement.innerHTML = `
+            <h3>${station.name}</h3>
+            <div class="station-content">
+                <div class="current-dish" id="${station.id}-current-dish">
+                    <div class="dish-placeholder">${station.name} ready</div>
+                </div>
+                <div class="cooking-slots" id="${station.id}-slots"></div>
+            </div>
+        `;
+        container.appendChild(stationElement);
+    }
+
+    // Initialize station display
+    initializeDisplay(station) {
+        const element = this.getStationElement(station);
+        if (!element) return;
+
+        const slotsContainer = element.querySelector('.cooking-slots');
+        if (!slotsContainer) return;
+
+        slotsContainer.innerHTML = '';
+
+        for (let i = 0; i < station.cookingSlots; i++) {
+            const slotElement = document.createElement('div');
+            slotElement.className = 'cooking-slot';
+            slotElement.textContent = 'Empty';
+            slotsContainer.appendChild(slotElement);
+        }
+
+        for (const slotIndex of station.currentItems.keys()) {
+            this.updateSlotDisplay(station, slotIndex);
+        }
+    }
+
+    // Label of the key that retrieves cooked items
+    getRetrieveKeyLabel() {
+        const keyBindings = this.dishSystem.keyBindings;
+        return keyBindings ? KeyBindings.getKeyLabel(keyBindings.getSpecialKey('retrieve')) : 'Enter';
+    }
+
+    // Update slot display
+    updateSlotDisplay(station, slotIndex) {
+        const slotElement = this.getStationElement(station)?.querySelector(`#${station.id}-slots .cooking-slot:nth-child(${slotIndex + 1})`);
+        if (!slotElement) return;
+
+        const item = station.currentItems.get(slotIndex);
+
+        if (!item) {
+            slotElement.className = 'cooking-slot';
+            slotElement.textContent = 'Empty';
+            return;
+        }
+
+        if (item.state === 'burnt') {
+            slotElement.className = 'cooking-slot burnt';
+            slotElement.innerHTML = `
+                <div class="cooked-item-name">${item.name} Burnt!</div>
+                <div class="retrieve-hint">Press ${this.getRetrieveKeyLabel()} to retrieve</div>
+            `;
+        } else if (item.state === 'overcooked') {
+            slotElement.className = 'cooking-slot overcooked';
+            slotElement.innerHTML = `
+                <div class="cooked-item-name">${item.name} Overcooked!</div>
+                <div class="retrieve-hint">Press ${this.getRetrieveKeyLabel()} to retrieve</div>
+            `;
+        } else if (item.isReady) {
+            slotElement.className = 'cooking-slot ready';
+            slotElement.innerHTML = `
+                <div class="cooked-item-name">${item.name} Ready!</div>
+                <div class="retrieve-hint">Press ${this.getRetrieveKeyLabel()} to retrieve</div>
+            `;
+        } else {
+            slotElement.className = 'cooking-slot occupied';
+            slotElement.textContent = `${item.name} (${station.getTimeLeft(item)}s)`;
+        }
+    }
+
+    // Refresh the countdown on every slot that is still cooking
+    updateCountdowns() {
+        for (const station of this.stationManager.getAllStations()) {
+            for (const [slotIndex, item] of station.currentItems) {
+                if (!item.isReady && station.getTimeLeft(item) > 0) {
+                    this.updateSlotDisplay(station, slotIndex);
+                }
+            }
+        }
+    }
+
+    // Highlight the station the player is working at
+    updateHighlight(station) {
+        const element = this.getStationElement(station);
+        if (!element) return;
+
+        if (station.isActive) {
+            element.classList.add('active');
+            element.style.borderWidth = '4px';
+            element.style.boxShadow = '0 0 15px rgba(0, 123, 255, 0.5)';
+        } else {
+            element.classList.remove('active');
+            element.style.borderWidth = '3px';
+            element.style.boxShadow = '0 4px 15px rgba(0, 0, 0, 0.1)';
+        }
+    }
+
+    // Update station display with current dish
+    updateStationDisplay(station, dish) {
+        const element = this.getStationElement(station);
+        if (!element || !dish) return;
+
+        // Update current dish display
+        const dishDisplay = element.querySelector('.current-dish');
+        if (dishDisplay) {
+            if (station.id === 'prep') {
+                // Show ingredient preparation progress
+                const totalIngredients = dish.ingredients.filter(ing => dish.currentIngredients.has(ing.id)).length;
+                const readyIngredients = Array.from(dish.ingredientStates.values()).filter(state => state.isReady).length;
+
+                dishDisplay.innerHTML = `
+                    <div class="dish-name" style="background-color: ${dish.baseColor}">${dish.name}</div>
+                    <div class="dish-progress">Ingredients: ${readyIngredients}/${totalIngredients} ready</div>
+                    <div class="dish-progress">Final: ${dish.finalStepsProgress}/${dish.finalSteps?.length || 0} steps</div>
+                `;
+            } else {
+                dishDisplay.innerHTML = `
+                    <div class="dish-name" style="background-color: ${dish.baseColor}">${dish.name}</div>
+                    <div class="station-status">Cooking in progress...</div>
+                `;
+            }
+            dishDisplay.classList.add('active');
+        }
+
+        // Update ingredients panel for prep station
+        if (station.id === 'prep') {
+            const ingredientsPanel = element.querySelector('.ingredients-panel');
+            if (ingredientsPanel) {
+                this.updateIngredientsPanel(ingredientsPanel, dish);
+            }
+        }
+    }
+
+    // Update ingredients panel with better workflow display
+    updateIngredientsPanel(panel, dish) {
+        panel.innerHTML = '';
+
+        // Show ingredient workflow
+        dish.ingredients.forEach(ingredient => {
+            const ingredientData = this.dishSystem.getIngredient(ingredient.id);
+            if (!ingredientData) return;
+
+            const isAdded = dish.currentIngredients.has(ingredient.id);
+            const ingredientState = dish.ingredientStates.get(ingredient.id);
+
+            let statusClass = '';
+            let statusText = '';
+
+            if (!isAdded) {
+                statusClass = ingredient.required ? 'needed-required' : 'needed-optional';
+                statusText = `Press ${this.dishSystem.getDishKey(dish, 'ingredient', ingredient.id, ingredientData.key).toUpperCase()}`;
+            } else if (ingredientState && ingredientState.ruined) {
+                statusClass = 'ruined';
+                statusText = 'Burnt ✗';
+            } else if (ingredientState && ingredientState.isCooking) {
+                statusClass = 'cooking';
+                statusText = `Cooking... (${this.getRetrieveKeyLabel()} when ready)`;
+            } else if (ingredientState && !ingredientState.isReady) {
+                const nextStep = ingredient.prepSteps[ingredientState.prepStepsCompleted];
+                statusClass = 'needs-prep';
+                statusText = `${nextStep.description} (${this.dishSystem.getDishKey(dish, 'tool', nextStep.action, nextStep.key).toUpperCase()})`;
+            } else if (ingredientState && ingredientState.cookedState === 'overcooked') {
+                statusClass = 'overcooked';
+                statusText = 'Overcooked';
+            } else {
+                statusClass = 'ready';
+                statusText = 'Ready ✓';
+            }
+
+            const ingredientElement = document.createElement('div');
+            ingredientElement.className = `ingredient-workflow-item ${statusClass}`;
+
+            ingredientElement.innerHTML = `
+                <div class="ingredient-name">${ingredientData.name}</div>
+                <div class="ingredient-status">${statusText}</div>
+                ${ingredient.required ? '<div class="required-marker">*</div>' : ''}
+            `;
+
+            panel.appendChild(ingredientElement);
+        });
+
+        // Show final assembly steps if ingredients are ready
+        const readyRequired = dish.ingredients
+            .filter(ing => ing.required)
+            .every(ing => {
+                const state = dish.ingredientStates.get(ing.id);
+                return state && state.isReady;
+            });
+
+        if (readyRequired && dish.finalSteps) {
+            const finalStepsTitle = document.createElement('div');
+            finalStepsTitle.className = 'final-steps-title';
+            finalStepsTitle.textContent = 'Final Assembly:';
+            panel.appendChild(finalStepsTitle);
+
+            dish.finalSteps.forEach((step, index) => {
+                const isDone = index < dish.finalStepsProgress;
+                const isCurrent = index === dish.finalStepsProgress;
+                const isCooking = isCurrent && dish.finalStepCooking;
+
+                let stepKey = this.dishSystem.getDishKey(dish, 'tool', step.action, step.key).toUpperCase();
+                if (isDone) {
+                    stepKey = '✓';
+                } else if (isCooking) {
+                    stepKey = 'Cooking...';
+                }
+
+                const stepElement = document.createElement('div');
+                stepElement.className = `final-step ${isDone ? 'done' : ''} ${isCurrent ? 'current' : ''}`;
+
+                stepElement.innerHTML = `
+                    <div class="step-name">${step.description}</div>
+                    <div class="step-key">${stepKey}</div>
+                `;
+
+                panel.appendChild(stepElement);
+            });
+        }
+    }
+
+    // Put a station back to its idle display
+    clearStationDisplay(station) {
+        if (!station) return;
+
+        const element = this.getStationElement(station);
+        const dishDisplay = element?.querySelector('.current-dish');
+        if (!dishDisplay) return;
+
+        if (station.id === 'prep') {
+            dishDisplay.innerHTML = '<div class="dish-placeholder">Select a dish to prepare</div>';
+            const ingredientsPanel = element.querySelector('.ingredients-panel');
+            if (ingredientsPanel) {
+                ingredientsPanel.innerHTML = '';
+            }
+        } else {
+            dishDisplay.innerHTML = `<div class="dish-placeholder">${station.name} ready</div>`;
+        }
+        dishDisplay.classList.remove('active');
+    }
+
+    // Redraw slots and the current dish (e.g. after key bindings change)
+    refresh() {
+        for (const station of this.stationManager.getAllStations()) {
+            for (const slotIndex of station.currentItems.keys()) {
+                this.updateSlotDisplay(station, slotIndex);
+            }
+        }
+        this.stationManager.notifyDishChanged();
+    }
+}
+
+// Station view will be initialized by the game
+window.StationView = StationView;
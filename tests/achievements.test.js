@@ -0,0 +1,126 @@
+/**
+ * Achievement tests - Unlock triggers and persistence
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, setupKitchen, pressKey, prepareIngredient } = require('./helpers.js');
+
+function setup(storage) {
+    const setupResult = setupKitchen((kitchen, storage) => ({ achievements: new Achievements(storage) }), { storage });
+
+    const unlocked = [];
+    setupResult.achievements.on('unlocked', ({ achievement }) => unlocked.push(achievement.id));
+
+    return { ...setupResult, unlocked };
+}
+
+// Serve a prepared order straight away (perfect); `ingredients` picks which ingredients go in
+function servePerfect(kitchen, dishId, ingredients = (dish) => dish.ingredients) {
+    kitchen.orderSystem.setMenu([dishId]);
+    kitchen.orderSystem.modifierChance = 0;
+    kitchen.orderSystem.comboChance = 0;
+    const order = kitchen.orderSystem.spawnOrder();
+    ingredients(order.dish).forEach(ing => prepareIngredient(kitchen.dishSystem, order.dish, ing));
+    kitchen.orderSystem.completeOrder(order.id, kitchen.dishSystem.isDishValid(order.dish));
+    return order;
+}
+
+const requiredOnly = (dish) => dish.ingredients.filter(ing => ing.required);
+
+test('counted badges unlock on the last event and keep progress in storage', () => {
+    const storage = createStorage();
+    const first = setup(storage);
+    first.kitchen.start();
+
+    for (let i = 0; i < 9; i++) {
+        servePerfect(first.kitchen, 'classic_burger', requiredOnly);
+    }
+    assert.equal(first.achievements.isUnlocked('perfect_burgers'), false);
+    assert.equal(first.achievements.describe(first.achievements.getDefinition('perfect_burgers')).progress, 9);
+
+    // A new session picks up where the last one stopped
+    const second = setup(storage);
+    second.kitchen.start();
+    servePerfect(second.kitchen, 'classic_burger', requiredOnly);
+
+    assert.deepEqual(second.unlocked, ['perfect_burgers']);
+    assert.ok(new Achievements(storage).isUnlocked('perfect_burgers'));
+});
+
+test('serving every optional ingredient unlocks The Works', () => {
+    const { kitchen, unlocked } = setup();
+    kitchen.start();
+
+    servePerfect(kitchen, 'classic_burger', requiredOnly);
+    assert.ok(!unlocked.includes('the_works'));
+
+    servePerfect(kitchen, 'classic_burger');
+    assert.ok(unlocked.includes('the_works'));
+});
+
+test('filling every grill slot unlocks Grill Master', () => {
+    const { kitchen, unlocked } = setup();
+    const { dishSystem, cookingStationManager } = kitchen;
+    const grill = cookingStationManager.getStation('grill');
+
+    for (let i = 0; i < grill.cookingSlots; i++) {
+        assert.ok(!unlocked.includes('full_grill'));
+
+        const dish = dishSystem.createDishInstance('classic_burger');
+        dishSystem.addIngredientToDish(dish, 'beef_patty');
+        cookingStationManager.setActiveDish(dish, 'grill');
+        cookingStationManager.handleCookingAction('grill', 'beef_patty');
+    }
+
+    assert.ok(unlocked.includes('full_grill'));
+});
+
+test('a campaign day only counts as clean without expired orders', () => {
+    const { kitchen, unlocked } = setup();
+    const result = { campaignComplete: false };
+
+    kitchen.start();
+    const order = kitchen.orderSystem.getActiveOrders()[0];
+    kitchen.clock.advance(order.timeLimit + 1000);
+    kitchen.events.emit('campaign:dayEnded', { result });
+    assert.ok(!unlocked.includes('clean_day'));
+
+    kitchen.reset();
+    kitchen.start();
+    kitchen.events.emit('campaign:dayEnded', { result });
+    assert.ok(unlocked.includes('clean_day'));
+});
+
+test('badges unlock once', () => {
+    const { kitchen, unlocked } = setup();
+    kitchen.start();
+
+    servePerfect(kitchen, 'fried_chicken');
+    servePerfect(kitchen, 'fried_chicken');
+
+    assert.equal(unlocked.filter(id => id === 'first_order').length, 1);
+});
+
+test('replays do not unlock anything', () => {
+    const { kitchen, achievements } = setup();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    kitchen.clock.advance(5000);
+    ['enter', 'i', 'r', 'space'].forEach(key => pressKey(kitchen, key));
+    assert.ok(achievements.isUnlocked('first_order'));
+
+    const session = kitchen.recorder.export();
+    achievements.reset();
+    kitchen.reset();
+
+    let served = 0;
+    kitchen.orderSystem.on('orderCompleted', () => served++);
+    assert.ok(kitchen.replaySession(session));
+    kitchen.clock.advance(60000);
+
+    assert.equal(served, 1);
+    assert.equal(achievements.getUnlockedCount(), 0);
+});
@@ -0,0 +1,88 @@
+/**
+ * Combo tests - Orders with several dishes, served one at a time
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKitchen, pressKey, prepareIngredient } = require('./helpers.js');
+
+// A selected combo of fried chicken dishes
+function setupCombo() {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.comboChance = 1;
+    kitchen.start();
+    pressKey(kitchen, '1');
+
+    return { kitchen, order: kitchen.getActiveOrder() };
+}
+
+// Prepare the order's current dish and serve it with the serve key
+function serveCurrent(kitchen, order) {
+    order.dish.ingredients.forEach(ing => prepareIngredient(kitchen.dishSystem, order.dish, ing));
+    return pressKey(kitchen, 'space');
+}
+
+test('a combo stays up, selected, until its last dish is served', () => {
+    const { kitchen, order } = setupCombo();
+    const served = [];
+    kitchen.events.on('order:itemServed', ({ item }) => served.push(item.dishId));
+
+    assert.ok(order.isCombo());
+    assert.ok(order.items.length <= OrderSystem.MAX_COMBO_SIZE);
+    const firstDish = order.dish;
+
+    serveCurrent(kitchen, order);
+    assert.equal(order.isComplete, false);
+    assert.equal(kitchen.getActiveOrder(), order);
+    assert.equal(order.getServedCount(), 1);
+    assert.notEqual(order.dish, firstDish);
+    assert.equal(order.dish.currentIngredients.size, 0);
+
+    while (!order.isComplete) {
+        serveCurrent(kitchen, order);
+    }
+    assert.equal(served.length, order.items.length);
+    assert.equal(kitchen.orderSystem.ordersCompleted, 1);
+    assert.equal(kitchen.getActiveOrder(), undefined);
+});
+
+test('a combo is rated on the average of its dishes and pays for each one', () => {
+    const { kitchen, order } = setupCombo();
+    let score = null;
+    kitchen.orderSystem.on('orderCompleted', (event) => {
+        if (event.order === order) score = event.score;
+    });
+
+    serveCurrent(kitchen, order);
+    kitchen.clock.advance(order.timeLimit * 0.6);
+    while (!order.isComplete) {
+        serveCurrent(kitchen, order);
+    }
+
+    assert.deepEqual(order.items.map(item => item.rating), ['perfect', ...order.items.slice(1).map(() => 'good')]);
+    assert.equal(order.rating, 'good');
+    assert.equal(score, Math.round(60 * order.items.length * 0.9));
+});
+
+test('names show the dishes for a combo and the head count for a table', () => {
+    const order = new Order('classic_burger', 'Classic Burger');
+    assert.equal(order.dishName, 'Classic Burger');
+
+    order.addItem('fried_chicken', 'Fried Chicken');
+    assert.equal(order.dishName, 'Classic Burger + Fried Chicken');
+
+    order.addItem('caesar_salad', 'Caesar Salad');
+    assert.equal(order.dishName, 'Table of 3');
+});
+
+test('combo dishes do not set personal bests', () => {
+    const { kitchen, order } = setupCombo();
+    const highScores = new HighScores(null);
+    kitchen.use(highScores);
+
+    while (!order.isComplete) {
+        serveCurrent(kitchen, order);
+    }
+    assert.equal(highScores.getDishBest('fried_chicken'), null);
+});
@@ -0,0 +1,152 @@
+/**
+ * Cooking station tests - Slot capacity and pack stations
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKitchen, pressKey } = require('./helpers.js');
+
+function createStation(cookingSlots) {
+    return new CookingStation('grill', {
+        name: 'Grill',
+        allowedActions: ['grill'],
+        color: '#fd7e14',
+        cookingSlots
+    }, new GameClock());
+}
+
+test('getNextAvailableSlot fills slots in order', () => {
+    const station = createStation(3);
+
+    assert.equal(station.getNextAvailableSlot(), 0);
+    station.addItem(0, { name: 'Patty' });
+    assert.equal(station.getNextAvailableSlot(), 1);
+    station.addItem(1, { name: 'Patty' });
+    assert.equal(station.getNextAvailableSlot(), 2);
+});
+
+test('getNextAvailableSlot returns -1 when the station is full', () => {
+    const station = createStation(2);
+    station.addItem(0, { name: 'Patty' });
+    station.addItem(1, { name: 'Patty' });
+
+    assert.equal(station.getNextAvailableSlot(), -1);
+    assert.equal(station.hasAvailableSlot(), false);
+});
+
+test('getNextAvailableSlot reuses the first slot that is emptied', () => {
+    const station = createStation(3);
+    station.addItem(0, { name: 'Patty' });
+    station.addItem(1, { name: 'Patty' });
+    station.addItem(2, { name: 'Patty' });
+
+    station.removeItem(1);
+
+    assert.equal(station.getNextAvailableSlot(), 1);
+    assert.equal(station.hasAvailableSlot(), true);
+});
+
+test('addItem refuses slots beyond the station capacity', () => {
+    const station = createStation(2);
+
+    assert.equal(station.addItem(2, { name: 'Patty' }), false);
+    assert.equal(station.currentItems.size, 0);
+});
+
+test('a full station refuses to start another cooking step', () => {
+    const { dishSystem, cookingStationManager } = createKitchen();
+    const grill = cookingStationManager.getStation('grill');
+
+    for (let i = 0; i < grill.cookingSlots; i++) {
+        const dish = dishSystem.createDishInstance('classic_burger');
+        dishSystem.addIngredientToDish(dish, 'beef_patty');
+        cookingStationManager.setActiveDish(dish, 'grill');
+        assert.equal(cookingStationManager.handleCookingAction('grill', 'beef_patty'), true);
+    }
+
+    const dish = dishSystem.createDishInstance('classic_burger');
+    dishSystem.addIngredientToDish(dish, 'beef_patty');
+    cookingStationManager.setActiveDish(dish, 'grill');
+
+    assert.equal(cookingStationManager.handleCookingAction('grill', 'beef_patty'), false);
+    assert.equal(grill.getNextAvailableSlot(), -1);
+});
+
+test('a pack station that leaves out its slot count still cooks in its one slot', async () => {
+    const kitchen = createKitchen();
+    const { dishSystem } = kitchen;
+    await kitchen.loadRecipePack({
+        name: 'Roast Pack',
+        tools: [{ id: 'roast', name: 'Roast', type: 'cook', key: ']' }],
+        cookingStations: [{ id: 'oven', name: 'Oven', allowedActions: ['roast'] }],
+        dishes: [{
+            id: 'roast_chicken',
+            name: 'Roast Chicken',
+            ingredients: [{
+                id: 'chicken_breast',
+                required: true,
+                prepSteps: [{ action: 'roast', description: 'Roast chicken', station: 'oven', time: 4000 }]
+            }],
+            finalSteps: [{ action: 'plate', description: 'Plate and serve', key: 'space' }]
+        }]
+    });
+    kitchen.orderSystem.setMenu(['roast_chicken']);
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+
+    const oven = kitchen.cookingStationManager.getStation('oven');
+    assert.equal(oven.cookingSlots, 1);
+
+    pressKey(kitchen, '1');
+    const dish = kitchen.getActiveOrder().dish;
+    pressKey(kitchen, dishSystem.getDishKey(dish, 'ingredient', 'chicken_breast', 'c'));
+    pressKey(kitchen, dishSystem.getDishKey(dish, 'tool', 'roast', ']'));
+    assert.equal(oven.currentItems.size, 1);
+
+    kitchen.clock.advance(4000);
+    pressKey(kitchen, kitchen.keyBindings.getSpecialKey('retrieve'));
+    assert.equal(dish.ingredientStates.get('chicken_breast').isReady, true);
+
+    pressKey(kitchen, 'space');
+    assert.equal(kitchen.orderSystem.ordersCompleted, 1);
+});
+
+test('cancelling a dish throws away what it had cooking', () => {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+    const fryer = kitchen.cookingStationManager.getStation('fryer');
+
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    kitchen.clock.advance(3000);
+    pressKey(kitchen, 'escape');
+    assert.equal(fryer.currentItems.size, 0);
+
+    // Starting over cooks from scratch rather than finishing on the old item's timer
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    const dish = kitchen.getActiveOrder().dish;
+    kitchen.clock.advance(2000);
+    pressKey(kitchen, 'enter');
+    assert.equal(dish.ingredientStates.get('chicken_breast').isCooking, true);
+
+    kitchen.clock.advance(3000);
+    pressKey(kitchen, 'enter');
+    assert.equal(dish.ingredientStates.get('chicken_breast').isReady, true);
+});
+
+test('an order that expires takes what it had cooking off the stations', () => {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+    const fryer = kitchen.cookingStationManager.getStation('fryer');
+
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    const order = kitchen.getActiveOrder();
+    assert.equal(fryer.currentItems.size, 1);
+
+    kitchen.clock.advance(order.timeLimit + 1000);
+    assert.equal(order.rating, 'failed');
+    assert.equal(fryer.currentItems.size, 0);
+});
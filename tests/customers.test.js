@@ -0,0 +1,107 @@
+/**
+ * Customer tests - Patience, moods and tips
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKitchen, prepareIngredient } = require('./helpers.js');
+
+// A prepared order for a given customer type, with the usual time limit for that type
+function spawnOrderFor(kitchen, typeId) {
+    const { orderSystem, dishSystem } = kitchen;
+    orderSystem.setMenu(['fried_chicken']);
+    orderSystem.comboChance = 0;
+
+    const order = orderSystem.spawnOrder();
+    const customer = new Customer(typeId);
+    order.timeLimit = customer.getPatience(order.timeLimit / order.customer.type.patience);
+    order.customer = customer;
+    order.dish.ingredients.forEach(ing => prepareIngredient(dishSystem, order.dish, ing));
+    return order;
+}
+
+// Serve after `fraction` of the customer's patience has run out
+function serveAfter(kitchen, order, fraction) {
+    kitchen.clock.advance(order.timeLimit * fraction);
+    kitchen.orderSystem.completeOrder(order.id, true);
+    return order;
+}
+
+test('mood follows the patience left', () => {
+    const kitchen = createKitchen();
+    const order = spawnOrderFor(kitchen, 'regular');
+    const moods = [];
+
+    for (let i = 0; i < 4; i++) {
+        moods.push(order.getMood().id);
+        kitchen.clock.advance(order.timeLimit * 0.3);
+    }
+
+    assert.deepEqual(moods, ['happy', 'happy', 'impatient', 'annoyed']);
+});
+
+test('an impatient customer pays less for the same rating', () => {
+    const happy = createKitchen();
+    serveAfter(happy, spawnOrderFor(happy, 'regular'), 0.4);
+
+    const impatient = createKitchen();
+    serveAfter(impatient, spawnOrderFor(impatient, 'regular'), 0.6);
+
+    assert.equal(happy.orderSystem.completedOrders[0].rating, 'good');
+    assert.equal(impatient.orderSystem.completedOrders[0].rating, 'good');
+    assert.equal(happy.orderSystem.totalScore, 60);
+    assert.equal(impatient.orderSystem.totalScore, 54);
+});
+
+test('tips go in their own total and depend on speed and accuracy', () => {
+    const kitchen = createKitchen();
+
+    const fast = serveAfter(kitchen, spawnOrderFor(kitchen, 'regular'), 0.1);
+    assert.equal(fast.tip, 200);
+
+    const slow = serveAfter(kitchen, spawnOrderFor(kitchen, 'regular'), 0.9);
+    assert.equal(slow.tip, Math.round(200 * 0.3 * 0.25));
+
+    const wrong = spawnOrderFor(kitchen, 'regular');
+    kitchen.orderSystem.completeOrder(wrong.id, false);
+    assert.equal(wrong.tip, 0);
+
+    const stats = kitchen.orderSystem.getStats();
+    assert.equal(stats.totalTips, fast.tip + slow.tip);
+    assert.equal(stats.totalScore, 100 + 23);
+});
+
+test('VIPs have less patience and tip more', () => {
+    const kitchen = createKitchen();
+    const regular = spawnOrderFor(kitchen, 'regular');
+    const vip = spawnOrderFor(kitchen, 'vip');
+
+    assert.ok(vip.timeLimit < regular.timeLimit);
+
+    serveAfter(kitchen, regular, 0.1);
+    serveAfter(kitchen, vip, 0);
+    assert.ok(vip.tip > regular.tip);
+});
+
+test('angry customers take 20 points off the score and leave no tip', () => {
+    const kitchen = createKitchen();
+    kitchen.start();
+    const order = kitchen.orderSystem.getActiveOrders()[0];
+    kitchen.clock.advance(order.timeLimit + 1000);
+    const expired = kitchen.orderSystem.completedOrders.length;
+
+    assert.equal(order.rating, 'failed');
+    assert.equal(order.tip, 0);
+    assert.equal(kitchen.orderSystem.totalTips, 0);
+    assert.equal(kitchen.orderSystem.totalScore, OrderSystem.EXPIRED_SCORE * expired);
+    assert.equal(OrderSystem.EXPIRED_SCORE, -20);
+});
+
+test('the same seed brings the same customers', () => {
+    const customers = () => {
+        const kitchen = createKitchen({ random: new SeededRandom('regulars') });
+        return Array.from({ length: 4 }, () => kitchen.orderSystem.spawnOrder().customer.toJSON());
+    };
+
+    assert.deepEqual(customers(), customers());
+});
@@ -0,0 +1,154 @@
+/**
+ * Dish tests - Every built-in recipe can be cooked and served with its own keys
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKitchen, pressKey, prepareIngredient } = require('./helpers.js');
+
+// Built-in dishes only; recipe packs aren't loaded under Node
+const builtInDishes = createKitchen().dishSystem.getAllDishes();
+
+// Press a step's key, and for station steps wait out the cooking time and retrieve
+function performStep(kitchen, dish, step, results) {
+    const key = kitchen.dishSystem.getDishKey(dish, 'tool', step.action, step.key);
+    assert.ok(pressKey(kitchen, key), `"${key}" does nothing for ${step.description}`);
+
+    if (kitchen.dishSystem.isStationStep(step)) {
+        kitchen.clock.advance(step.time || 3000);
+        pressKey(kitchen, kitchen.keyBindings.getSpecialKey('retrieve'));
+        assert.equal(results.at(-1).id, 'retrieve', `${step.description} was not retrieved`);
+    }
+}
+
+for (const recipe of builtInDishes) {
+    test(`${recipe.name} can be completed in its intended key order`, () => {
+        const kitchen = createKitchen();
+        const results = [];
+        kitchen.on('actionResult', (result) => results.push(result));
+
+        kitchen.orderSystem.setMenu([recipe.id]);
+        kitchen.orderSystem.modifierChance = 0; // The recipe as written, no special requests
+        kitchen.orderSystem.comboChance = 0;
+        kitchen.start();
+        pressKey(kitchen, kitchen.keyBindings.getSpecialKey('order1'));
+
+        const order = kitchen.getActiveOrder();
+        assert.equal(order.dishId, recipe.id);
+        const dish = order.dish;
+
+        // Every ingredient in recipe order, each followed by its prep steps
+        for (const ingredient of dish.ingredients) {
+            const ingredientData = kitchen.dishSystem.getIngredient(ingredient.id);
+            const key = kitchen.dishSystem.getDishKey(dish, 'ingredient', ingredient.id, ingredientData.key);
+            assert.ok(pressKey(kitchen, key), `"${key}" does nothing for ${ingredientData.name}`);
+
+            for (const step of ingredient.prepSteps) {
+                performStep(kitchen, dish, step, results);
+            }
+        }
+
+        // Then the final steps; plating happens when the dish is served
+        for (const step of dish.finalSteps.filter(step => step.key !== 'space')) {
+            performStep(kitchen, dish, step, results);
+        }
+
+        const failed = results.filter(result => !result.success);
+        assert.deepEqual(failed, [], 'every key press should succeed');
+        assert.ok(kitchen.dishSystem.isDishValid(dish));
+
+        pressKey(kitchen, kitchen.keyBindings.getSpecialKey('serve'));
+
+        assert.equal(order.isComplete, true);
+        assert.equal(order.rating, 'perfect');
+        assert.equal(kitchen.getStats().totalScore, 100);
+    });
+}
+
+test('isDishValid accepts a dish with every required ingredient prepared', () => {
+    const { dishSystem } = createKitchen();
+
+    for (const recipe of builtInDishes) {
+        const dish = dishSystem.createDishInstance(recipe.id);
+        dish.ingredients.filter(ing => ing.required).forEach(ing => prepareIngredient(dishSystem, dish, ing));
+
+        assert.ok(dishSystem.isDishValid(dish), recipe.name);
+    }
+});
+
+test('isDishValid rejects a dish missing any required ingredient', () => {
+    const { dishSystem } = createKitchen();
+
+    for (const recipe of builtInDishes) {
+        const required = recipe.ingredients.filter(ing => ing.required);
+        assert.ok(required.length > 0, `${recipe.name} has no required ingredients`);
+
+        for (const missing of required) {
+            const dish = dishSystem.createDishInstance(recipe.id);
+            dish.ingredients
+                .filter(ing => ing.id !== missing.id)
+                .forEach(ing => prepareIngredient(dishSystem, dish, ing));
+
+            assert.equal(dishSystem.isDishValid(dish), false, `${recipe.name} without ${missing.id}`);
+        }
+    }
+});
+
+test('isDishValid rejects required ingredients that still need prep', () => {
+    const { dishSystem } = createKitchen();
+    const dish = dishSystem.createDishInstance('classic_burger');
+
+    dish.ingredients.filter(ing => ing.required).forEach(ing => dishSystem.addIngredientToDish(dish, ing.id));
+
+    assert.equal(dishSystem.isDishValid(dish), false);
+});
+
+for (const [presetId, preset] of Object.entries(KeyBindings.PRESETS)) {
+    test(`under ${preset.name} every dish key works where the hints say it does`, () => {
+        const keyBindings = new KeyBindings(null);
+        keyBindings.setPreset(presetId);
+        const dishSystem = new DishSystem(keyBindings);
+
+        for (const recipe of dishSystem.getAllDishes()) {
+            const dish = dishSystem.createDishInstance(recipe.id);
+            const mappings = dishSystem.getDishKeyMappings(dish);
+            const remap = dishSystem.keyRemaps.get(dish.id);
+
+            // Every binding the dish declares, with the raw key views pass to getDishKey
+            const bindings = [];
+            dish.ingredients.forEach(ingredient => {
+                bindings.push({ type: 'ingredient', id: ingredient.id, key: dishSystem.getIngredient(ingredient.id).key });
+                (ingredient.prepSteps || []).forEach(step => bindings.push({ type: 'tool', id: step.action, key: step.key }));
+            });
+            (dish.finalSteps || []).filter(step => step.key && step.key !== 'space')
+                .forEach(step => bindings.push({ type: 'tool', id: step.action, key: step.key }));
+
+            bindings.forEach(({ type, id, key }) => {
+                const hintKey = dishSystem.getDishKey(dish, type, id, key);
+                if (!(remap && remap.has(`${type}:${id}`))) {
+                    assert.equal(hintKey, dishSystem.getBoundKey(type, id, key));
+                }
+
+                const mapping = mappings.get(hintKey);
+                assert.ok(mapping && mapping.type === type && mapping.id === id,
+                    `${recipe.name}: "${hintKey}" should be ${type} ${id} under ${preset.name}`);
+            });
+        }
+    });
+}
+
+test('layout presets move dish keys to the same physical key', () => {
+    const keyBindings = new KeyBindings(null);
+    const dishSystem = new DishSystem(keyBindings);
+    const burgerKeys = () => {
+        const mappings = dishSystem.getDishKeyMappings(dishSystem.createDishInstance('classic_burger'));
+        return Object.fromEntries(Array.from(mappings, ([key, entry]) => [entry.id, key]));
+    };
+
+    keyBindings.setPreset('azerty');
+    assert.equal(burgerKeys().grill, 'a');
+
+    keyBindings.setPreset('dvorak');
+    assert.equal(burgerKeys().beef_patty, 'x');
+    assert.equal(burgerKeys().grill, "'");
+});
@@ -0,0 +1,123 @@
+/**
+ * Game event tests - Lifecycle events and plugins
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKitchen, pressKey } = require('./helpers.js');
+
+// Record the type of every event on the bus
+function recordEvents(kitchen) {
+    const types = [];
+    kitchen.events.on('*', ({ type }) => types.push(type));
+    return types;
+}
+
+test('a game emits lifecycle, order and station events', () => {
+    const kitchen = createKitchen();
+    const types = recordEvents(kitchen);
+
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+    pressKey(kitchen, '1');
+    pressKey(kitchen, 'c');
+    pressKey(kitchen, 'f');
+    kitchen.clock.advance(5000);
+    pressKey(kitchen, 'enter');
+    pressKey(kitchen, 'i');
+    pressKey(kitchen, 'r');
+    pressKey(kitchen, 'space');
+    kitchen.pause();
+
+    for (const type of [
+        'game:started', 'order:spawned', 'order:selected', 'ingredient:added', 'tool:used',
+        'station:itemStarted', 'station:itemReady', 'game:tick', 'order:itemServed', 'order:completed', 'game:paused'
+    ]) {
+        assert.ok(types.includes(type), `${type} was not emitted`);
+    }
+});
+
+test('order:completed carries the rating and score', () => {
+    const kitchen = createKitchen();
+    let completed = null;
+    kitchen.events.on('order:completed', (event) => { completed = event; });
+
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+    const order = kitchen.orderSystem.getActiveOrders()[0];
+    kitchen.orderSystem.completeOrder(order.id, false);
+
+    assert.equal(completed.order, order);
+    assert.equal(completed.rating, 'bad');
+    assert.equal(completed.score, 0);
+});
+
+test('dish:cancelled fires when the player cancels a dish', () => {
+    const kitchen = createKitchen();
+    let cancelled = null;
+    kitchen.events.on('dish:cancelled', (event) => { cancelled = event; });
+
+    kitchen.start();
+    pressKey(kitchen, '1');
+    const order = kitchen.getActiveOrder();
+    pressKey(kitchen, 'escape');
+
+    assert.equal(cancelled.order, order);
+    assert.equal(cancelled.dish, order.dish);
+});
+
+test('unknown event types throw', () => {
+    const kitchen = createKitchen();
+
+    assert.throws(() => kitchen.events.on('order:spawn', () => {}), /Unknown game event/);
+    assert.throws(() => kitchen.events.emit('order:spawn'), /Unknown game event/);
+});
+
+test('a failing listener does not stop the others', () => {
+    const kitchen = createKitchen();
+    const errors = [];
+    const consoleError = console.error;
+    console.error = (...args) => errors.push(args);
+
+    let spawned = 0;
+    kitchen.events.on('order:spawned', () => { throw new Error('broken add-on'); });
+    kitchen.events.on('order:spawned', () => { spawned++; });
+
+    try {
+        kitchen.start();
+    } finally {
+        console.error = consoleError;
+    }
+
+    assert.equal(spawned, 1);
+    assert.equal(errors.length, 1);
+});
+
+test('plugins get the bus and kitchen and can be removed', () => {
+    const kitchen = createKitchen();
+    let installedWith = null;
+    let ticks = 0;
+
+    const remove = kitchen.use({
+        install(events, installedKitchen) {
+            installedWith = installedKitchen;
+            return events.on('game:tick', () => { ticks++; });
+        }
+    });
+
+    kitchen.start();
+    kitchen.clock.advance(3000);
+    remove();
+    kitchen.clock.advance(3000);
+
+    assert.equal(installedWith, kitchen);
+    assert.equal(ticks, 3);
+    assert.equal(kitchen.plugins.length, 0);
+});
+
+test('use() rejects things that are not plugins', () => {
+    const kitchen = createKitchen();
+
+    assert.throws(() => kitchen.use({}), /must be a function/);
+});
@@ -0,0 +1,57 @@
+/**
+ * Test helpers - Shared setup for the Node test suite
+ * Loads the headless game core and keeps its console chatter out of test output
+ */
+
+const { createKitchen } = require('../js/headless.js');
+
+// The core logs every action; tests only care about failures
+console.log = () => {};
+console.warn = () => {};
+
+// Press a key the way InputHandler does; returns the action it resolved to
+function pressKey(kitchen, key) {
+    const action = kitchen.resolveAction(key);
+    if (action) {
+        kitchen.performAction(action, key);
+    }
+    return action;
+}
+
+// Add an ingredient and run all its prep steps straight on the dish (no stations or keys)
+function prepareIngredient(dishSystem, dish, ingredient) {
+    dishSystem.addIngredientToDish(dish, ingredient.id);
+
+    for (const step of ingredient.prepSteps) {
+        dishSystem.useToolOnDish(dish, step.action);
+        if (dishSystem.isStationStep(step)) {
+            dishSystem.completeStationStep(dish, ingredient.id);
+        }
+    }
+}
+
+// In-memory stand-in for localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+// A kitchen with add-ons installed and no combo orders. `createPlugins(kitchen, storage)`
+// returns the add-ons by name; they're installed in that order and returned with the kitchen
+function setupKitchen(createPlugins = () => ({}), { storage = createStorage(), menu = null } = {}) {
+    const kitchen = createKitchen();
+    const plugins = createPlugins(kitchen, storage);
+    Object.values(plugins).forEach(plugin => kitchen.use(plugin));
+    if (menu) {
+        kitchen.orderSystem.setMenu(menu);
+    }
+    kitchen.orderSystem.comboChance = 0;
+
+    return { kitchen, storage, ...plugins };
+}
+
+module.exports = { createKitchen, createStorage, setupKitchen, pressKey, prepareIngredient };
@@ -0,0 +1,136 @@
+/**
+ * High score tests - Leaderboard, personal bests, export and import
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupKitchen, pressKey, prepareIngredient } = require('./helpers.js');
+
+function setup() {
+    const setupResult = setupKitchen((kitchen, storage) => ({ highScores: new HighScores(storage) }));
+
+    const results = [];
+    setupResult.highScores.on('recorded', (result) => results.push(result));
+
+    return { ...setupResult, results };
+}
+
+// Select an order, wait `delay` ms, then serve it prepared
+function serveAfter(kitchen, delay, dishId = 'fried_chicken') {
+    kitchen.orderSystem.setMenu([dishId]);
+    kitchen.orderSystem.comboChance = 0;
+    const order = kitchen.orderSystem.spawnOrder();
+    kitchen.selectOrder(order.id);
+    order.dish.ingredients.forEach(ing => prepareIngredient(kitchen.dishSystem, order.dish, ing));
+    kitchen.clock.advance(delay);
+    kitchen.orderSystem.completeOrder(order.id, true);
+    return order;
+}
+
+test('a finished game goes on the leaderboard with its stats', () => {
+    const { kitchen, highScores, results, storage } = setup();
+    kitchen.start();
+    serveAfter(kitchen, 3000);
+    kitchen.reset();
+
+    assert.equal(results.length, 1);
+    const { entry, rank } = results[0];
+    assert.equal(rank, 1);
+    assert.equal(entry.score, 100);
+    assert.equal(entry.duration, 3);
+    assert.equal(entry.perfectRate, 100);
+    assert.equal(entry.seed, kitchen.random.seed);
+    assert.equal(entry.difficulty, 'Normal');
+
+    assert.deepEqual(new HighScores(storage).getSessions(), highScores.getSessions());
+});
+
+test('the leaderboard keeps the best games, highest first', () => {
+    const { kitchen, highScores, results } = setup();
+
+    for (let i = 0; i < HighScores.MAX_SESSIONS + 2; i++) {
+        kitchen.start();
+        kitchen.clock.advance(1000);
+        kitchen.orderSystem.totalScore = i * 10;
+        kitchen.reset();
+    }
+
+    const scores = highScores.getSessions().map(session => session.score);
+    assert.equal(scores.length, HighScores.MAX_SESSIONS);
+    assert.equal(scores[0], (HighScores.MAX_SESSIONS + 1) * 10);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    assert.equal(results[results.length - 1].rank, 1);
+});
+
+test('games reset before they start are not recorded', () => {
+    const { kitchen, results } = setup();
+    kitchen.reset();
+    kitchen.start();
+    kitchen.reset();
+
+    assert.equal(results.length, 0);
+});
+
+test('personal bests time each dish from select to serve', () => {
+    const { kitchen, highScores, results } = setup();
+    kitchen.start();
+
+    serveAfter(kitchen, 8000);
+    assert.equal(highScores.getDishBest('fried_chicken').time, 8000);
+
+    serveAfter(kitchen, 12000);
+    assert.equal(highScores.getDishBest('fried_chicken').time, 8000);
+
+    serveAfter(kitchen, 5000);
+    assert.equal(highScores.getDishBest('fried_chicken').time, 5000);
+
+    kitchen.reset();
+    assert.deepEqual(results[0].newBests, ['fried_chicken']);
+});
+
+test('replays do not touch the leaderboard', () => {
+    const { kitchen, highScores } = setup();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    kitchen.clock.advance(5000);
+    ['enter', 'i', 'r', 'space'].forEach(key => pressKey(kitchen, key));
+    const session = kitchen.recorder.export();
+    kitchen.reset();
+
+    const before = highScores.export();
+    kitchen.replaySession(session);
+    kitchen.clock.advance(10000);
+    kitchen.reset();
+
+    assert.equal(highScores.export(), before);
+});
+
+test('importing merges leaderboards and keeps the faster personal best', () => {
+    const first = setup();
+    first.kitchen.start();
+    serveAfter(first.kitchen, 9000);
+    first.kitchen.reset();
+
+    const second = setup();
+    second.kitchen.start();
+    serveAfter(second.kitchen, 4000);
+    serveAfter(second.kitchen, 4000);
+    second.kitchen.reset();
+
+    first.highScores.import(second.highScores.export());
+    first.highScores.import(second.highScores.export());
+
+    assert.deepEqual(first.highScores.getSessions().map(session => session.score), [200, 100]);
+    assert.equal(first.highScores.getDishBest('fried_chicken').time, 4000);
+});
+
+test('imports that are not high score tables are rejected', () => {
+    const { highScores } = setup();
+
+    assert.throws(() => highScores.import('{"sessions": "nope"}'), /Not a Cook Tap high score table/);
+    assert.throws(() => highScores.import({ version: 99, sessions: [], dishBests: {} }), /Unsupported high score version/);
+    assert.throws(() => highScores.import({ version: 1, sessions: [{ score: 'lots' }], dishBests: {} }), /malformed/);
+    assert.deepEqual(highScores.getSessions(), []);
+});
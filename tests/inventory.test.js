@@ -0,0 +1,133 @@
+/**
+ * Inventory tests - Ingredient stock, money and restocking
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, setupKitchen, pressKey, prepareIngredient } = require('./helpers.js');
+
+function setup(storage) {
+    const setupResult = setupKitchen((kitchen, storage) => ({ inventory: new Inventory(kitchen.dishSystem, storage) }), { storage, menu: ['fried_chicken'] });
+
+    const results = [];
+    setupResult.kitchen.on('actionResult', (result) => results.push(result));
+
+    return { ...setupResult, results };
+}
+
+test('adding an ingredient uses one unit of stock', () => {
+    const { kitchen, inventory } = setup();
+    kitchen.start();
+    pressKey(kitchen, '1');
+    pressKey(kitchen, 'c');
+
+    assert.equal(inventory.getStock('chicken_breast'), Inventory.STARTING_STOCK - 1);
+    assert.equal(inventory.getStock('salt'), Inventory.STARTING_STOCK);
+});
+
+test('an ingredient that has run out can\'t be added', () => {
+    const { kitchen, inventory, results } = setup();
+    inventory.stock.chicken_breast = 0;
+    kitchen.start();
+    pressKey(kitchen, '1');
+    pressKey(kitchen, 'c');
+
+    assert.deepEqual(results.at(-1), { type: 'ingredient', id: 'chicken_breast', dish: kitchen.getActiveOrder().dish, success: false });
+    assert.equal(kitchen.getActiveOrder().dish.currentIngredients.size, 0);
+    assert.equal(inventory.getStock('chicken_breast'), 0);
+});
+
+test('a cancelled dish wastes what went into it', () => {
+    const { kitchen, inventory } = setup();
+    kitchen.start();
+    ['1', 'c', 'i', 'escape'].forEach(key => pressKey(kitchen, key));
+
+    assert.equal(inventory.shift.wasted, kitchen.dishSystem.getIngredient('chicken_breast').cost + kitchen.dishSystem.getIngredient('salt').cost);
+    assert.equal(inventory.getStock('chicken_breast'), Inventory.STARTING_STOCK - 1);
+});
+
+test('served dishes are paid for with a markup, and tips go in the till', () => {
+    const { kitchen, inventory } = setup();
+    const { orderSystem, dishSystem } = kitchen;
+    kitchen.start();
+
+    const order = orderSystem.getActiveOrders()[0];
+    order.dish.ingredients.forEach(ing => prepareIngredient(dishSystem, order.dish, ing));
+    orderSystem.completeOrder(order.id, true);
+
+    const price = (120 + 5 + 5) * Inventory.PRICE_MARKUP;
+    assert.equal(inventory.shift.sales, price);
+    assert.equal(inventory.shift.tips, order.tip);
+    assert.equal(inventory.money, Inventory.STARTING_MONEY + price + order.tip);
+
+    // Bad serves are sent back unpaid
+    const bad = orderSystem.spawnOrder();
+    orderSystem.completeOrder(bad.id, false);
+    assert.equal(inventory.shift.sales, price);
+});
+
+test('restocking happens between shifts and costs money', () => {
+    const storage = createStorage();
+    const { kitchen, inventory } = setup(storage);
+    const cost = kitchen.dishSystem.getIngredient('beef_patty').cost * Inventory.RESTOCK_AMOUNT;
+
+    kitchen.start();
+    assert.equal(inventory.restock('beef_patty'), false);
+    kitchen.reset();
+
+    assert.equal(inventory.restock('beef_patty'), true);
+    assert.equal(inventory.getStock('beef_patty'), Inventory.STARTING_STOCK + Inventory.RESTOCK_AMOUNT);
+    assert.equal(inventory.money, Inventory.STARTING_MONEY - cost);
+
+    // Stock and money carry over to the next visit
+    const reloaded = new Inventory(kitchen.dishSystem, storage);
+    assert.equal(reloaded.getStock('beef_patty'), inventory.getStock('beef_patty'));
+    assert.equal(reloaded.money, inventory.money);
+
+    inventory.money = cost - 1;
+    assert.equal(inventory.restock('beef_patty'), false);
+});
+
+test('replays don\'t use stock or earn money', () => {
+    const { kitchen, inventory } = setup();
+    kitchen.start();
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    kitchen.clock.advance(5000);
+    ['enter', 'i', 'r', 'space'].forEach(key => pressKey(kitchen, key));
+    const session = kitchen.recorder.export();
+    kitchen.reset();
+
+    const stock = inventory.getStock('chicken_breast');
+    const money = inventory.money;
+    inventory.stock.salt = 0;
+    let served = 0;
+    kitchen.orderSystem.on('orderCompleted', () => served++);
+    kitchen.replaySession(session);
+    kitchen.clock.advance(10000);
+
+    // The salt still goes in, as it did when the game was played
+    assert.equal(served, 1);
+    assert.equal(inventory.getStock('chicken_breast'), stock);
+    assert.equal(inventory.money, money);
+});
+
+test('a replay runs out of an ingredient where the recorded game did', () => {
+    const { kitchen, inventory, results } = setup();
+    inventory.stock.chicken_breast = 0;
+    kitchen.start();
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    assert.equal(results.at(-2).success, false);
+    kitchen.clock.advance(5000);
+    ['enter', 'i', 'r', 'space'].forEach(key => pressKey(kitchen, key));
+    const session = kitchen.recorder.export();
+    kitchen.reset();
+
+    inventory.stock.chicken_breast = 5;
+    let differences = null;
+    kitchen.on('replayFinished', (result) => { differences = result.differences; });
+    kitchen.replaySession(session);
+    kitchen.clock.advance(10000);
+
+    assert.deepEqual(differences, []);
+    assert.equal(inventory.getStock('chicken_breast'), 5);
+});
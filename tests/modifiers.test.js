@@ -0,0 +1,107 @@
+/**
+ * Order modifier tests - Extras, leave-outs and well-done requests
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKitchen, prepareIngredient } = require('./helpers.js');
+
+const extraCheese = { type: 'extra', ingredientId: 'cheese' };
+const noPickles = { type: 'without', ingredientId: 'pickles' };
+const wellDonePatty = { type: 'wellDone', ingredientId: 'beef_patty' };
+
+// A burger with just its required ingredients prepared
+function prepareBurger(dishSystem, modifiers) {
+    const dish = dishSystem.createDishInstance('classic_burger', modifiers);
+    dish.ingredients
+        .filter(ing => ing.required && ing.id !== 'cheese')
+        .forEach(ing => prepareIngredient(dishSystem, dish, ing));
+    return dish;
+}
+
+// A burger order whose dish carries `modifiers`
+function spawnBurgerOrder(kitchen, modifiers) {
+    const { orderSystem, dishSystem } = kitchen;
+    orderSystem.setMenu(['classic_burger']);
+    orderSystem.modifierChance = 0;
+    orderSystem.comboChance = 0;
+
+    const order = orderSystem.spawnOrder();
+    order.dish = dishSystem.createDishInstance('classic_burger', modifiers);
+    return order;
+}
+
+test('an extra must go in before the dish can be served', () => {
+    const { dishSystem } = createKitchen();
+    const dish = prepareBurger(dishSystem, [extraCheese]);
+
+    assert.equal(dishSystem.isDishValid(dish), false);
+    dishSystem.addIngredientToDish(dish, 'cheese');
+    assert.equal(dishSystem.isDishValid(dish), true);
+});
+
+test('a left-out ingredient spoils the dish if it goes in', () => {
+    const { dishSystem } = createKitchen();
+    const dish = prepareBurger(dishSystem, [noPickles]);
+
+    assert.equal(dishSystem.isDishValid(dish), true);
+    dishSystem.addIngredientToDish(dish, 'pickles');
+    assert.equal(dishSystem.isDishValid(dish), false);
+});
+
+test('modifiers only change the order they belong to', () => {
+    const { dishSystem } = createKitchen();
+    const modified = dishSystem.createDishInstance('classic_burger', [extraCheese, noPickles]);
+    const plain = dishSystem.createDishInstance('classic_burger');
+
+    assert.equal(modified.ingredients.find(ing => ing.id === 'cheese').required, true);
+    assert.equal(plain.ingredients.find(ing => ing.id === 'cheese').required, false);
+    assert.equal(dishSystem.getDish('classic_burger').ingredients.find(ing => ing.id === 'pickles').forbidden, undefined);
+    assert.deepEqual(plain.modifiers, []);
+    assert.deepEqual([extraCheese, noPickles, wellDonePatty].map(modifier => dishSystem.describeModifier(modifier)),
+        ['Extra Cheese', 'No Pickles', 'Well-done Beef Patty']);
+});
+
+test('a well-done request served just ready drops a band, but overcooked is what they wanted', () => {
+    const rare = createKitchen();
+    const rareOrder = spawnBurgerOrder(rare, [wellDonePatty]);
+    rareOrder.dish.ingredients.filter(ing => ing.required).forEach(ing => prepareIngredient(rare.dishSystem, rareOrder.dish, ing));
+    rare.orderSystem.completeOrder(rareOrder.id, rare.dishSystem.isDishValid(rareOrder.dish));
+    assert.equal(rareOrder.rating, 'good');
+
+    const wellDone = createKitchen();
+    const { dishSystem } = wellDone;
+    const order = spawnBurgerOrder(wellDone, [wellDonePatty]);
+    order.dish.ingredients.filter(ing => ing.required && ing.id !== 'beef_patty').forEach(ing => prepareIngredient(dishSystem, order.dish, ing));
+    dishSystem.addIngredientToDish(order.dish, 'beef_patty');
+    dishSystem.useToolOnDish(order.dish, 'grill');
+    dishSystem.completeStationStep(order.dish, 'beef_patty', 'overcooked');
+
+    assert.deepEqual(dishSystem.getDishQuality(order.dish), { overcooked: 0, ruined: 0, wrongDoneness: 0 });
+    wellDone.orderSystem.completeOrder(order.id, dishSystem.isDishValid(order.dish));
+    assert.equal(order.rating, 'perfect');
+});
+
+test('modifiers come from the seed and never double up on an ingredient', () => {
+    const modifiers = () => {
+        const kitchen = createKitchen({ random: new SeededRandom('no pickles') });
+        kitchen.orderSystem.setMenu(['classic_burger']);
+        kitchen.orderSystem.modifierChance = 1;
+        return Array.from({ length: 5 }, () => kitchen.orderSystem.spawnOrder().dish.modifiers);
+    };
+
+    const first = modifiers();
+    assert.deepEqual(first, modifiers());
+    first.forEach(orderModifiers => {
+        assert.ok(orderModifiers.length >= 1 && orderModifiers.length <= DishSystem.MAX_MODIFIERS);
+        assert.equal(new Set(orderModifiers.map(modifier => modifier.ingredientId)).size, orderModifiers.length);
+    });
+});
+
+test('dishes with nothing optional or grilled never get modifiers', () => {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.modifierChance = 1;
+
+    assert.deepEqual(kitchen.orderSystem.spawnOrder().dish.modifiers, []);
+});
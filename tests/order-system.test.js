@@ -0,0 +1,103 @@
+/**
+ * Order system tests - Rating bands and expiry scoring
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKitchen, prepareIngredient } = require('./helpers.js');
+
+// An order whose dish is ready to serve
+function spawnReadyOrder(kitchen, dishId = 'fried_chicken') {
+    const { dishSystem, orderSystem } = kitchen;
+    orderSystem.setMenu([dishId]);
+    orderSystem.comboChance = 0;
+
+    const order = orderSystem.spawnOrder();
+    order.dish.ingredients.forEach(ing => prepareIngredient(dishSystem, order.dish, ing));
+    return order;
+}
+
+// Serve an order after `fraction` of its time limit has gone by
+function serveAfter(fraction, options = {}) {
+    const kitchen = createKitchen();
+    const order = spawnReadyOrder(kitchen);
+
+    if (options.prepare) {
+        options.prepare(order.dish);
+    }
+    kitchen.clock.advance(order.timeLimit * fraction);
+    kitchen.orderSystem.completeOrder(order.id, options.dishValid !== false);
+
+    return { order, stats: kitchen.orderSystem.getStats() };
+}
+
+test('serving with more than 75% of the time left is perfect', () => {
+    const { order, stats } = serveAfter(0.1);
+
+    assert.equal(order.rating, 'perfect');
+    assert.equal(stats.totalScore, 100);
+    assert.equal(stats.perfectOrders, 1);
+});
+
+test('serving with 25-75% of the time left is good', () => {
+    const { order, stats } = serveAfter(0.5);
+
+    assert.equal(order.rating, 'good');
+    assert.equal(stats.totalScore, 60);
+    assert.equal(stats.perfectOrders, 0);
+});
+
+test('serving with less than 25% of the time left is average', () => {
+    const { order, stats } = serveAfter(0.9);
+
+    // 30 points, less a quarter for the annoyed customer
+    assert.equal(order.rating, 'average');
+    assert.equal(stats.totalScore, 23);
+});
+
+test('an invalid dish is bad however fast it is served', () => {
+    const { order, stats } = serveAfter(0.1, { dishValid: false });
+
+    assert.equal(order.rating, 'bad');
+    assert.equal(stats.totalScore, 0);
+    assert.equal(stats.ordersCompleted, 1);
+});
+
+test('each overcooked ingredient drops the rating one band', () => {
+    const { order } = serveAfter(0.1, {
+        prepare: (dish) => {
+            dish.ingredientStates.get('chicken_breast').cookedState = 'overcooked';
+        }
+    });
+
+    assert.equal(order.rating, 'good');
+});
+
+test('a dish with burnt ingredients is bad', () => {
+    const { order, stats } = serveAfter(0.1, {
+        prepare: (dish) => {
+            dish.ingredientStates.get('chicken_breast').ruined = true;
+        }
+    });
+
+    assert.equal(order.rating, 'bad');
+    assert.equal(stats.totalScore, 0);
+});
+
+test('an order that runs out of time expires', () => {
+    const kitchen = createKitchen();
+    const expired = [];
+    kitchen.orderSystem.on('orderExpired', (event) => expired.push(event));
+
+    kitchen.start();
+    const order = kitchen.orderSystem.getActiveOrders()[0];
+    kitchen.clock.advance(order.timeLimit + 1000);
+
+    assert.equal(order.rating, 'failed');
+    assert.equal(kitchen.orderSystem.getOrder(order.id), undefined);
+    assert.equal(expired.find(event => event.order === order).score, -20);
+
+    const stats = kitchen.orderSystem.getStats();
+    assert.equal(stats.totalScore, OrderSystem.EXPIRED_SCORE * expired.length);
+    assert.equal(stats.ordersCompleted, 0);
+});
@@ -0,0 +1,102 @@
+/**
+ * Shift report tests - End-of-shift analytics and CSV export
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setupKitchen, pressKey, prepareIngredient } = require('./helpers.js');
+
+function setup() {
+    return setupKitchen(() => ({ shiftReport: new ShiftReport() }), { menu: ['fried_chicken'] });
+}
+
+test('orders are summed up by dish with ratings, serve and wait times', () => {
+    const { kitchen, shiftReport } = setup();
+    const { orderSystem, dishSystem, clock } = kitchen;
+
+    const served = orderSystem.spawnOrder();
+    const expired = orderSystem.spawnOrder();
+    clock.advance(2000);
+    kitchen.selectOrder(served.id);
+    served.dish.ingredients.forEach(ing => prepareIngredient(dishSystem, served.dish, ing));
+    clock.advance(3000);
+    orderSystem.completeOrder(served.id, true);
+    orderSystem.expireOrder(expired.id);
+
+    const report = shiftReport.build();
+    assert.equal(report.dishes.length, 1);
+    assert.deepEqual(report.dishes[0].ratings, { perfect: 1, good: 0, average: 0, bad: 0, failed: 1 });
+    assert.equal(report.dishes[0].averageServeTime, 5);
+    assert.equal(report.dishes[0].averageWaitTime, 2);
+    assert.equal(report.averageServeTime, 5);
+});
+
+test('wrong keys are counted by what was pressed', () => {
+    const { kitchen, shiftReport } = setup();
+    kitchen.start();
+
+    pressKey(kitchen, '1');
+    pressKey(kitchen, 'space');
+    pressKey(kitchen, 'space');
+    kitchen.reportUnmappedKey('z');
+
+    const { wrongKeys } = shiftReport.build();
+    assert.deepEqual(wrongKeys, [
+        { label: 'serve (special)', count: 2 },
+        { label: 'Z (nothing to do)', count: 1 }
+    ]);
+});
+
+test('station use is sampled every second', () => {
+    const { kitchen, shiftReport } = setup();
+    kitchen.start();
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    kitchen.clock.advance(3000);
+
+    const { stationUse } = shiftReport.build();
+    assert.equal(stationUse.samples.length, 3);
+    assert.deepEqual(stationUse.samples.map(sample => sample.counts.fryer), [1, 1, 1]);
+    assert.ok(stationUse.stations.some(station => station.id === 'fryer' && station.slots === 2));
+});
+
+test('orders that expire while another is selected are flagged', () => {
+    const { kitchen, shiftReport } = setup();
+    const { orderSystem } = kitchen;
+
+    const neglected = orderSystem.spawnOrder();
+    const busy = orderSystem.spawnOrder();
+    kitchen.selectOrder(busy.id);
+    orderSystem.expireOrder(neglected.id);
+    orderSystem.expireOrder(busy.id);
+
+    const { expiredWhileBusy } = shiftReport.build();
+    assert.deepEqual(expiredWhileBusy.map(order => [order.id, order.expiredWhileOn]), [[neglected.id, busy.dishName]]);
+});
+
+test('the report is built when the game ends and exports as CSV', () => {
+    const { kitchen, shiftReport } = setup();
+    let ready = null;
+    shiftReport.on('ready', ({ report }) => { ready = report; });
+
+    kitchen.start();
+    kitchen.clock.advance(2000);
+    pressKey(kitchen, '1');
+    pressKey(kitchen, 'space');
+    kitchen.reset();
+
+    assert.equal(shiftReport.getLastReport(), ready);
+    assert.equal(ready.gameTime, 2);
+
+    const csv = ShiftReport.toCSV(ready);
+    const lines = csv.split('\n');
+    assert.equal(lines[0], 'Orders');
+    assert.ok(lines.includes('Order,Dish,Customer,Spawned (s),Waited (s),Served after (s),Rating,Tip ($),Expired while working on'));
+    assert.ok(lines.includes('Time (s),Prep Station,Grill Station,Deep Fryer,Stove Station'));
+    assert.ok(lines.includes('serve (special),1'));
+});
+
+test('CSV fields with commas or quotes are quoted', () => {
+    assert.equal(ShiftReport.csvField('Mac, "Cheese"'), '"Mac, ""Cheese"""');
+    assert.equal(ShiftReport.csvField(null), '');
+    assert.equal(ShiftReport.csvField(4.5), '4.5');
+});
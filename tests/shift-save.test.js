@@ -0,0 +1,239 @@
+/**
+ * Shift save tests - Saving, resuming and upgrading a shift in progress
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createKitchen, createStorage, setupKitchen, pressKey, prepareIngredient } = require('./helpers.js');
+
+// Save `kitchen` and load the shift into a new kitchen, as a page reload would;
+// `install` adds plugins to the new kitchen before the shift is restored
+function reload(kitchen, options = {}, install = () => {}) {
+    const storage = createStorage();
+    assert.ok(new ShiftSave(storage).save(kitchen));
+
+    const resumed = createKitchen(options);
+    install(resumed);
+    resumed.restoreSnapshot(new ShiftSave(storage).load());
+    return resumed;
+}
+
+test('a resumed shift keeps orders, dish progress, cooking items and score', () => {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.start();
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    kitchen.clock.advance(2000);
+    kitchen.orderSystem.totalScore = 120;
+
+    const order = kitchen.orderSystem.getActiveOrders()[0];
+    const resumed = reload(kitchen);
+    const resumedOrder = resumed.orderSystem.getOrder(order.id);
+
+    assert.ok(resumed.isPaused);
+    assert.equal(resumed.gameTime, kitchen.gameTime);
+    assert.equal(resumed.orderSystem.totalScore, 120);
+    assert.equal(resumedOrder.getRemainingTime(), order.getRemainingTime());
+    assert.ok(resumedOrder.isActive);
+    assert.deepEqual([...resumedOrder.dish.currentIngredients], [...order.dish.currentIngredients]);
+
+    // The chicken carries on frying from where it was
+    const fryer = resumed.cookingStationManager.getStation('fryer');
+    const item = fryer.currentItems.get(0);
+    assert.equal(item.dish, resumedOrder.dish);
+    assert.equal(item.state, 'cooking');
+
+    resumed.start();
+    resumed.clock.advance(item.cookingTime - 2000);
+    assert.equal(item.state, 'ready');
+});
+
+test('a resumed shift spawns the same orders as one that was never saved', () => {
+    const random = () => new SeededRandom('shift');
+    const played = createKitchen({ random: random() });
+    const saved = createKitchen({ random: random() });
+
+    played.start();
+    saved.start();
+    played.clock.advance(20000);
+    saved.clock.advance(20000);
+
+    const resumed = reload(saved, { random: random() });
+    resumed.start();
+    played.clock.advance(40000);
+    resumed.clock.advance(40000);
+
+    const dishes = (kitchen) => kitchen.orderSystem.getActiveOrders().map(order => order.dishId);
+    assert.equal(resumed.gameTime, played.gameTime);
+    assert.deepEqual(dishes(resumed), dishes(played));
+});
+
+test('a resumed shift carries on recording the same session', () => {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    kitchen.clock.advance(2000);
+
+    const resumed = reload(kitchen);
+    resumed.orderSystem.comboChance = 0;
+    resumed.start();
+    resumed.clock.advance(3000);
+    ['enter', 'i', 'r', 'space'].forEach(key => pressKey(resumed, key));
+
+    const session = resumed.recorder.export();
+    const keys = JSON.parse(session).events.filter(event => event.type === 'key').map(event => event.key);
+    assert.deepEqual(keys, ['1', 'c', 'f', 'enter', 'i', 'r', 'space']);
+
+    // The whole shift replays, from before the save to after it
+    const replayer = createKitchen();
+    replayer.orderSystem.comboChance = 0;
+    let differences = null;
+    replayer.on('replayFinished', (result) => { differences = result.differences; });
+    replayer.replaySession(session);
+    replayer.clock.advance(10000);
+    assert.deepEqual(differences, []);
+});
+
+test('a resumed shift keeps its report, achievement facts and takings', () => {
+    const addOns = (kitchen, storage) => ({
+        report: new ShiftReport(),
+        achievements: new Achievements(storage),
+        inventory: new Inventory(kitchen.dishSystem, storage)
+    });
+    const { kitchen, report, achievements, inventory } = setupKitchen(addOns, { storage: null, menu: ['fried_chicken'] });
+    kitchen.setSeed('late-lunch');
+    kitchen.start();
+
+    // A wrong key, a cancelled dish and expired orders
+    ['1', 'c', 'c', 'escape'].forEach(key => pressKey(kitchen, key));
+    kitchen.clock.advance(90000);
+    assert.ok(kitchen.orderSystem.completedOrders.length > 0);
+
+    // Carrying on the shift doesn't start its records over
+    let resumedAddOns = null;
+    reload(kitchen, {}, (resumed) => {
+        resumedAddOns = addOns(resumed, null);
+        Object.values(resumedAddOns).forEach(plugin => resumed.use(plugin));
+    }).start();
+
+    assert.deepEqual(resumedAddOns.report.build(), report.build());
+    assert.deepEqual(resumedAddOns.achievements.session, achievements.session);
+    assert.deepEqual(resumedAddOns.inventory.shift, inventory.shift);
+});
+
+test('saves from a newer version are not loaded', () => {
+    const storage = createStorage();
+    storage.setItem(ShiftSave.STORAGE_KEY, JSON.stringify({ version: ShiftSave.VERSION + 1 }));
+
+    assert.equal(new ShiftSave(storage).load(), null);
+});
+
+test('older saves are upgraded through the migrations', () => {
+    const kitchen = createKitchen();
+    kitchen.start();
+    kitchen.clock.advance(3000);
+
+    const storage = createStorage();
+    new ShiftSave(storage).save(kitchen);
+
+    // Pretend the current format is one version on from the saved one
+    const { VERSION, MIGRATIONS } = ShiftSave;
+    ShiftSave.VERSION = VERSION + 1;
+    ShiftSave.MIGRATIONS = { [VERSION]: (snapshot) => ({ ...snapshot, gameTime: snapshot.gameTime + 1 }) };
+    try {
+        const snapshot = new ShiftSave(storage).load();
+        assert.equal(snapshot.version, VERSION + 1);
+        assert.equal(snapshot.gameTime, 4);
+    } finally {
+        ShiftSave.VERSION = VERSION;
+        ShiftSave.MIGRATIONS = MIGRATIONS;
+    }
+});
+
+// A save of `kitchen` in the version 3 format, when every order had exactly one dish
+function saveAsVersion3(kitchen, storage) {
+    new ShiftSave(storage).save(kitchen);
+    const saved = JSON.parse(storage.getItem(ShiftSave.STORAGE_KEY));
+    saved.version = 3;
+    saved.orders.orders = saved.orders.orders.map(({ items: [item], ...order }) => ({ ...order, dishId: item.dishId, dish: item.dish }));
+    return saved;
+}
+
+test('version 1 saves resume with regular customers and an empty tip jar', () => {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+    kitchen.clock.advance(2000);
+
+    // What a save looked like before customers
+    const storage = createStorage();
+    const saved = saveAsVersion3(kitchen, storage);
+    saved.version = 1;
+    delete saved.orders.totalTips;
+    saved.orders.orders.forEach(order => {
+        delete order.customer;
+        delete order.dish.modifiers;
+    });
+    storage.setItem(ShiftSave.STORAGE_KEY, JSON.stringify(saved));
+
+    const resumed = createKitchen();
+    resumed.restoreSnapshot(new ShiftSave(storage).load());
+
+    assert.equal(resumed.orderSystem.totalTips, 0);
+    assert.ok(resumed.orderSystem.getActiveOrders().length > 0);
+    assert.ok(resumed.orderSystem.getActiveOrders().every(order => order.customer.typeId === 'regular'));
+});
+
+test('version 2 saves resume with orders that have no modifiers', () => {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.comboChance = 0;
+    kitchen.start();
+
+    // What a save looked like before order modifiers
+    const storage = createStorage();
+    const saved = saveAsVersion3(kitchen, storage);
+    saved.version = 2;
+    saved.orders.orders.forEach(order => delete order.dish.modifiers);
+    storage.setItem(ShiftSave.STORAGE_KEY, JSON.stringify(saved));
+
+    const resumed = createKitchen();
+    resumed.restoreSnapshot(new ShiftSave(storage).load());
+
+    assert.ok(resumed.orderSystem.getActiveOrders().length > 0);
+    assert.ok(resumed.orderSystem.getActiveOrders().every(order => order.dish.modifiers.length === 0));
+});
+
+test('a combo resumes with its served dishes and the one in progress', () => {
+    const kitchen = createKitchen();
+    kitchen.orderSystem.setMenu(['fried_chicken']);
+    kitchen.orderSystem.comboChance = 1;
+    const order = kitchen.orderSystem.spawnOrder();
+    order.dish.ingredients.forEach(ing => prepareIngredient(kitchen.dishSystem, order.dish, ing));
+    kitchen.orderSystem.completeOrder(order.id, true);
+    kitchen.selectOrder(order.id);
+    pressKey(kitchen, 'c');
+
+    const resumed = reload(kitchen);
+    const resumedOrder = resumed.orderSystem.getOrder(order.id);
+
+    assert.equal(resumedOrder.items.length, order.items.length);
+    assert.equal(resumedOrder.getServedCount(), 1);
+    assert.equal(resumedOrder.items[0].rating, 'perfect');
+    assert.equal(resumedOrder.dish, resumedOrder.items[1].dish);
+    assert.deepEqual([...resumedOrder.dish.currentIngredients], ['chicken_breast']);
+});
+
+test('replays are never saved', () => {
+    const kitchen = createKitchen();
+    kitchen.start();
+    kitchen.clock.advance(2000);
+    const session = kitchen.recorder.export();
+    kitchen.reset();
+    kitchen.replaySession(session);
+
+    const storage = createStorage();
+    assert.equal(new ShiftSave(storage).save(kitchen), false);
+    assert.equal(new ShiftSave(storage).load(), null);
+});
@@ -0,0 +1,146 @@
+/**
+ * Sound engine tests - Volumes, station loops and the critical-order tick
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, setupKitchen, pressKey } = require('./helpers.js');
+
+// Just enough of an AudioParam to take values and ramps
+function createParam(value = 1) {
+    return {
+        value,
+        setValueAtTime() {},
+        linearRampToValueAtTime() {},
+        exponentialRampToValueAtTime() {},
+        cancelScheduledValues() {}
+    };
+}
+
+// Stand-in for the Web Audio AudioContext; keeps every oscillator and noise source it makes
+class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.sampleRate = 8000;
+        this.destination = {};
+        this.oscillators = [];
+        this.noiseSources = [];
+    }
+
+    createNode(props) {
+        return { connect() {}, start() {}, stop() { this.stopped = true; }, ...props };
+    }
+
+    createGain() {
+        return this.createNode({ gain: createParam() });
+    }
+
+    createOscillator() {
+        const oscillator = this.createNode({ type: 'sine', frequency: createParam(440) });
+        this.oscillators.push(oscillator);
+        return oscillator;
+    }
+
+    createBufferSource() {
+        const source = this.createNode({ buffer: null, loop: false });
+        this.noiseSources.push(source);
+        return source;
+    }
+
+    createBiquadFilter() {
+        return this.createNode({ type: 'lowpass', frequency: createParam(), Q: createParam() });
+    }
+
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    }
+
+    resume() {
+        this.state = 'running';
+    }
+}
+
+// A kitchen with the sound engine installed and fake audio; music is stopped after the test
+function setup(t, storage) {
+    window.AudioContext = FakeAudioContext;
+    const setupResult = setupKitchen(() => ({ sound: new SoundEngine(storage) }), { menu: ['fried_chicken'] });
+
+    t.after(() => {
+        setupResult.sound.stopAll();
+        delete window.AudioContext;
+    });
+    return setupResult;
+}
+
+// Clock ticks played so far
+function countTicks(sound) {
+    return sound.context.oscillators.filter(oscillator => oscillator.frequency.value === 1800).length;
+}
+
+test('volumes are clamped to 0-1 and saved', () => {
+    const storage = createStorage();
+    const sound = new SoundEngine(storage);
+
+    assert.equal(sound.setVolume('music', 1.5), true);
+    assert.equal(sound.setVolume('sfx', -0.5), true);
+    assert.equal(sound.setVolume('master', 'loud'), true);
+    assert.equal(sound.setVolume('voices', 0.5), false);
+    assert.deepEqual(sound.volumes, { master: 0, music: 1, sfx: 0 });
+
+    assert.deepEqual(new SoundEngine(storage).volumes, { master: 0, music: 1, sfx: 0 });
+    assert.deepEqual(new SoundEngine(createStorage()).volumes, SoundEngine.DEFAULT_VOLUMES);
+});
+
+test('saved volumes out of range are clamped and unreadable ones keep their defaults', () => {
+    const storage = createStorage();
+    storage.setItem(SoundEngine.STORAGE_KEY, JSON.stringify({ master: 3, music: 'quiet', sfx: 0.25 }));
+
+    assert.deepEqual(new SoundEngine(storage).volumes, { master: 1, music: SoundEngine.DEFAULT_VOLUMES.music, sfx: 0.25 });
+});
+
+test('volumes reach the audio graph', (t) => {
+    const { sound } = setup(t, createStorage());
+    sound.resume();
+    sound.setVolume('music', 0.1);
+
+    assert.equal(sound.masterGain.gain.value, SoundEngine.DEFAULT_VOLUMES.master);
+    assert.equal(sound.musicGain.gain.value, 0.1);
+    assert.equal(sound.sfxGain.gain.value, SoundEngine.DEFAULT_VOLUMES.sfx);
+});
+
+test('a station loop plays while the station has something cooking', (t) => {
+    const { kitchen, sound } = setup(t, createStorage());
+    kitchen.start();
+    assert.deepEqual(Array.from(sound.loops.keys()), []);
+
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    assert.deepEqual(Array.from(sound.loops.keys()), ['bubbling']);
+    const noise = sound.loops.get('bubbling').sources[0];
+
+    kitchen.clock.advance(5000);
+    pressKey(kitchen, 'enter');
+    assert.deepEqual(Array.from(sound.loops.keys()), []);
+    assert.equal(noise.stopped, true);
+});
+
+test('the clock ticks only while an order is critical', (t) => {
+    const { kitchen, sound } = setup(t, createStorage());
+    sound.resume();
+    const order = kitchen.orderSystem.spawnOrder();
+
+    kitchen.clock.advance(order.timeLimit * 0.6);
+    assert.equal(order.getUrgencyLevel(), 'urgent');
+    sound.tickUrgentOrders();
+    assert.equal(countTicks(sound), 0);
+
+    kitchen.clock.advance(order.timeLimit * 0.2);
+    assert.equal(order.getUrgencyLevel(), 'critical');
+    sound.tickUrgentOrders();
+    assert.equal(countTicks(sound), 1);
+
+    order.complete('good');
+    sound.tickUrgentOrders();
+    assert.equal(countTicks(sound), 1);
+});
@@ -0,0 +1,142 @@
+/**
+ * Upgrade tests - Extra slots, faster cooking, the warming lamp and auto-retrieve
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, setupKitchen, pressKey } = require('./helpers.js');
+
+// A fried chicken kitchen with plenty of money to spend
+function setup(storage) {
+    const setupResult = setupKitchen((kitchen, storage) => {
+        const inventory = new Inventory(kitchen.dishSystem, storage);
+        return { inventory, upgrades: new Upgrades(inventory, storage) };
+    }, { storage, menu: ['fried_chicken'] });
+    setupResult.inventory.money = 100000;
+
+    return { ...setupResult, fryer: setupResult.kitchen.cookingStationManager.getStation('fryer') };
+}
+
+// Select the first order and put its chicken in the fryer
+function startFrying(kitchen) {
+    ['1', 'c', 'f'].forEach(key => pressKey(kitchen, key));
+    return kitchen.getActiveOrder().dish;
+}
+
+test('upgrades are bought between shifts, in tree order, and are saved', () => {
+    const storage = createStorage();
+    const { kitchen, inventory, upgrades } = setup(storage);
+
+    assert.equal(upgrades.isUnlocked('warming_lamp'), false);
+    assert.equal(upgrades.buy('warming_lamp'), false);
+
+    kitchen.start();
+    assert.equal(upgrades.buy('grill_speed'), false);
+    kitchen.reset();
+
+    const money = inventory.money;
+    assert.equal(upgrades.buy('grill_speed'), true);
+    assert.equal(upgrades.buy('fryer_speed'), true);
+    assert.equal(inventory.money, money - 2 * Upgrades.CATALOG.find(upgrade => upgrade.id === 'grill_speed').cost);
+    assert.equal(upgrades.getPrice('grill_speed'), 2000);
+    assert.equal(upgrades.buy('warming_lamp'), true);
+    assert.equal(upgrades.isMaxed('warming_lamp'), true);
+    assert.equal(upgrades.buy('warming_lamp'), false);
+
+    const reloaded = new Upgrades(inventory, storage);
+    assert.deepEqual(reloaded.levels, { grill_speed: 1, fryer_speed: 1, warming_lamp: 1 });
+
+    inventory.money = 0;
+    assert.equal(upgrades.buy('grill_slot'), false);
+});
+
+test('extra slots and faster cooking are built into the stations', () => {
+    const { kitchen, upgrades, fryer } = setup();
+    const slots = fryer.cookingSlots;
+
+    upgrades.buy('fryer_slot');
+    upgrades.buy('fryer_speed');
+    assert.equal(fryer.cookingSlots, slots + 1);
+    assert.equal(kitchen.cookingStationManager.getStation('grill').cookTimeMultiplier, 1);
+
+    kitchen.start();
+    const dish = startFrying(kitchen);
+    kitchen.clock.advance(5000 * Upgrades.SPEED_MULTIPLIER);
+    assert.equal(fryer.currentItems.get(0).state, 'ready');
+
+    pressKey(kitchen, 'enter');
+    assert.equal(dish.ingredientStates.get('chicken_breast').isReady, true);
+});
+
+test('under the warming lamp food overcooks but never burns', () => {
+    const { kitchen, upgrades, fryer } = setup();
+    upgrades.levels = { grill_speed: 1, fryer_speed: 1, warming_lamp: 1 };
+    kitchen.cookingStationManager.initializeStations();
+    const cookTime = 5000 * Upgrades.SPEED_MULTIPLIER;
+
+    kitchen.start();
+    startFrying(kitchen);
+    kitchen.clock.advance(cookTime + 3000 * 5);
+
+    assert.equal(fryer.currentItems.get(0).state, 'overcooked');
+});
+
+test('the kitchen runner brings food back as soon as it is done', () => {
+    const { kitchen, upgrades, fryer } = setup();
+    upgrades.levels = { warming_lamp: 1, auto_retrieve: 1 };
+    kitchen.cookingStationManager.initializeStations();
+
+    kitchen.start();
+    const dish = startFrying(kitchen);
+    kitchen.clock.advance(5000);
+
+    assert.equal(fryer.currentItems.size, 0);
+    assert.equal(dish.ingredientStates.get('chicken_breast').isReady, true);
+    assert.equal(dish.ingredientStates.get('chicken_breast').cookedState, 'ready');
+});
+
+test('the kitchen runner leaves a well-done request on the grill until it is overcooked', () => {
+    const { kitchen, upgrades } = setup();
+    upgrades.levels = { auto_retrieve: 1 };
+    kitchen.cookingStationManager.initializeStations();
+    kitchen.orderSystem.setMenu(['classic_burger']);
+    kitchen.orderSystem.modifierChance = 0;
+
+    kitchen.start();
+    const order = kitchen.orderSystem.getActiveOrders()[0];
+    order.dish = kitchen.dishSystem.createDishInstance('classic_burger', [{ type: 'wellDone', ingredientId: 'beef_patty' }]);
+    kitchen.selectOrder(order.id);
+    kitchen.addIngredient(order.dish, 'beef_patty');
+    kitchen.useTool(order.dish, 'grill');
+
+    const grill = kitchen.cookingStationManager.getStation('grill');
+    const { cookingTime, burnTime } = grill.currentItems.get(0);
+    kitchen.clock.advance(cookingTime);
+    assert.equal(grill.currentItems.size, 1);
+
+    kitchen.clock.advance(burnTime);
+    assert.equal(grill.currentItems.size, 0);
+    assert.equal(order.dish.ingredientStates.get('beef_patty').cookedState, 'overcooked');
+});
+
+test('replays cook with the upgrades they were recorded with', () => {
+    const { kitchen, upgrades, fryer } = setup();
+    upgrades.buy('fryer_speed');
+
+    kitchen.start();
+    startFrying(kitchen);
+    kitchen.clock.advance(5000 * Upgrades.SPEED_MULTIPLIER);
+    ['enter', 'i', 'r', 'space'].forEach(key => pressKey(kitchen, key));
+    const session = kitchen.recorder.export();
+    kitchen.reset();
+
+    upgrades.levels = {};
+    let differences = null;
+    kitchen.on('replayFinished', (result) => { differences = result.differences; });
+    kitchen.replaySession(session);
+    assert.equal(fryer.cookTimeMultiplier, Upgrades.SPEED_MULTIPLIER);
+    kitchen.clock.advance(10000);
+
+    assert.deepEqual(differences, []);
+    assert.equal(fryer.cookTimeMultiplier, 1);
+});